@@ -0,0 +1,273 @@
+// Account Data Manager for PacksList
+// Self-service export of everything stored about the signed-in user, and account
+// deletion: re-authenticate, then remove posts with their revisions, photos, reviews
+// and message text, replace the profile with a tombstone and delete the Firebase Auth user.
+
+class AccountDataManager {
+  constructor() {
+    this.modal = null;
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  get currentUser() {
+    return window.authManager?.currentUser || null;
+  }
+
+  // Profile, posts with revisions, written reviews, and conversations with messages
+  async collectData(uid) {
+    const [profileDoc, postsSnapshot, reviewsSnapshot, threadsSnapshot] = await Promise.all([
+      this.db.collection('users').doc(uid).get(),
+      this.db.collection('posts').where('userId', '==', uid).get(),
+      this.db.collection('reviews').where('reviewerId', '==', uid).get(),
+      this.db.collection('threads').where('participants', 'array-contains', uid).get()
+    ]);
+
+    const posts = await Promise.all(postsSnapshot.docs.map(async doc => ({
+      id: doc.id,
+      ...doc.data(),
+      revisions: window.postManager ? await window.postManager.getRevisions(doc.id) : []
+    })));
+
+    const threads = await Promise.all(threadsSnapshot.docs.map(async doc => {
+      const messages = await doc.ref.collection('messages').orderBy('createdAt', 'asc').get();
+      return {
+        id: doc.id,
+        ...doc.data(),
+        messages: messages.docs.map(message => ({ id: message.id, ...message.data() }))
+      };
+    }));
+
+    return {
+      exportedAt: new Date().toISOString(),
+      uid,
+      email: this.currentUser?.email || null,
+      profile: profileDoc.exists ? profileDoc.data() : null,
+      posts,
+      reviews: reviewsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      threads
+    };
+  }
+
+  // Firestore values as plain JSON: timestamps become ISO strings
+  toJSON(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(item => this.toJSON(item));
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.toJSON(item)]));
+    }
+    return value;
+  }
+
+  // Download the signed-in user's data as a JSON file
+  async exportData() {
+    const user = this.currentUser;
+    if (!user) {
+      window.authManager?.showSignInModal();
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    try {
+      const data = this.toJSON(await this.collectData(user.uid));
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+      link.download = `packslist-data-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      return { success: true };
+    } catch (error) {
+      console.error('Error exporting account data:', error);
+      window.authManager?.showAuthError('Unable to export your data. Please try again.');
+      return { success: false, error: 'Unable to export your data. Please try again.' };
+    }
+  }
+
+  // Firebase requires a recent sign-in before deleting an account
+  async reauthenticate(password) {
+    const user = this.currentUser;
+    const credential = firebase.auth.EmailAuthProvider.credential(user.email, password);
+    await user.reauthenticateWithCredential(credential);
+  }
+
+  // Permanently delete the signed-in user's account and data
+  async deleteAccount(password) {
+    const user = this.currentUser;
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    if (window.authManager.role !== 'user') {
+      return { success: false, error: 'Ask a super admin to remove your admin role before deleting your account.' };
+    }
+
+    // Rules keep suspended and banned profiles in place so the status cannot be reset
+    if (window.authManager.getAccountStatus() !== 'active') {
+      return { success: false, error: 'Suspended or banned accounts cannot be deleted. Contact support for help.' };
+    }
+
+    try {
+      await this.reauthenticate(password);
+    } catch (error) {
+      return { success: false, error: window.authManager.getErrorMessage(error) };
+    }
+
+    const uid = user.uid;
+    try {
+      const postsSnapshot = await this.db.collection('posts').where('userId', '==', uid).get();
+      await this.deletePosts(uid, postsSnapshot.docs);
+      await this.deleteReviews(uid);
+      await this.clearMessages(uid);
+      // The tombstone stays behind so the profile cannot be re-created with a fresh status or date of birth
+      await this.db.collection('users').doc(uid).set({
+        accountStatus: 'deleted',
+        deletedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Logged before the Auth user goes, while the entry can still be attributed
+      await window.auditLogger?.log('user.delete', {
+        target: `users/${uid}`,
+        before: { email: user.email, posts: postsSnapshot.size },
+        after: null,
+        details: { selfService: true },
+        level: 'warning'
+      });
+      await user.delete();
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      return { success: false, error: 'Unable to delete your account. Please try again.' };
+    }
+  }
+
+  // Each post goes with its revisions, which rules only release once the post is deleted
+  async deletePosts(uid, docs) {
+    for (const doc of docs) {
+      const revisions = await doc.ref.collection('revisions').get();
+      const refs = [doc.ref, ...revisions.docs.map(revision => revision.ref)];
+      for (let i = 0; i < refs.length; i += AccountDataManager.BATCH_SIZE) {
+        const batch = this.db.batch();
+        refs.slice(i, i + AccountDataManager.BATCH_SIZE).forEach(ref => batch.delete(ref));
+        await batch.commit();
+      }
+    }
+
+    if (window.imageUploadManager) {
+      await Promise.all(docs.map(doc => window.imageUploadManager.deletePostImages(uid, doc.id)));
+    }
+  }
+
+  // Delete through ReviewManager so post and vendor rating stats stay correct
+  async deleteReviews(uid) {
+    const snapshot = await this.db.collection('reviews').where('reviewerId', '==', uid).get();
+    for (const doc of snapshot.docs) {
+      const result = await window.reviewManager.deleteReview(doc.get('postId'), uid);
+      if (!result.success) throw new Error(result.error);
+    }
+  }
+
+  // Messages stay in the other participant's thread with their text removed,
+  // along with the thread preview when it shows one of them
+  async clearMessages(uid) {
+    const threads = await this.db.collection('threads').where('participants', 'array-contains', uid).get();
+    for (const thread of threads.docs) {
+      const messages = await thread.ref.collection('messages').where('senderId', '==', uid).get();
+      const live = messages.docs.filter(doc => !doc.get('deletedAt'));
+
+      for (let i = 0; i < live.length; i += AccountDataManager.BATCH_SIZE) {
+        const batch = this.db.batch();
+        live.slice(i, i + AccountDataManager.BATCH_SIZE).forEach(doc => batch.update(doc.ref, {
+          text: '',
+          deletedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }));
+        await batch.commit();
+      }
+
+      if (thread.get('lastSenderId') === uid && thread.get('lastMessage')) {
+        await thread.ref.update({ lastMessage: '' });
+      }
+    }
+  }
+
+  // Confirmation dialog asking for the password before deleting
+  openDeleteDialog() {
+    if (!this.currentUser) {
+      window.authManager?.showSignInModal();
+      return;
+    }
+    this.closeDeleteDialog();
+
+    this.modal = document.createElement('div');
+    this.modal.className = 'vendor-modal active account-delete-modal';
+    this.modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <button class="close-btn" data-action="close">✕</button>
+        </div>
+        <div class="modal-body">
+          <h2 class="form-title">Delete Account</h2>
+          <form class="post-edit-form">
+            <p class="post-edit-notice">
+              This permanently deletes your profile, packs, photos and reviews, and removes the text
+              of messages you sent. Download your data first if you want a copy.
+            </p>
+            <div class="form-group">
+              <label class="form-label">Password</label>
+              <input class="form-input" name="password" type="password" autocomplete="current-password" required>
+            </div>
+            <p class="post-edit-error" hidden></p>
+            <button type="submit" class="submit-btn delete-account-btn">Delete My Account</button>
+          </form>
+        </div>
+      </div>
+    `;
+
+    const form = this.modal.querySelector('form');
+    const errorEl = form.querySelector('.post-edit-error');
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal || e.target.dataset.action === 'close') {
+        this.closeDeleteDialog();
+      }
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const submitBtn = form.querySelector('.submit-btn');
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Deleting...';
+
+      const result = await this.deleteAccount(form.elements.password.value);
+      if (!result.success) {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Delete My Account';
+        errorEl.textContent = result.error;
+        errorEl.hidden = false;
+        return;
+      }
+
+      this.closeDeleteDialog();
+      window.location.href = 'index.html';
+    });
+
+    document.body.appendChild(this.modal);
+    form.elements.password.focus();
+  }
+
+  closeDeleteDialog() {
+    if (this.modal) {
+      this.modal.remove();
+      this.modal = null;
+    }
+  }
+}
+
+AccountDataManager.BATCH_SIZE = 400;
+
+// Create global instance
+window.accountDataManager = new AccountDataManager();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccountDataManager;
+}
@@ -0,0 +1,40 @@
+// Admin Section helpers for PacksList
+// Shared by the admin panel section scripts: start-up once a permitted user is
+// authenticated, and HTML escaping for the values they render.
+
+class AdminSection {
+  // Run initialize after DOMContentLoaded, once authManager reports a signed-in
+  // user holding the given permission
+  onAuthorized(permission, initialize) {
+    document.addEventListener('DOMContentLoaded', () => {
+      const waitForAuth = () => {
+        if (!window.authManager) {
+          setTimeout(waitForAuth, 100);
+          return;
+        }
+        window.authManager.addAuthListener((event) => {
+          if (event === 'authenticated' && window.authManager.canPerformAction(permission)) {
+            initialize();
+          }
+        });
+      };
+      waitForAuth();
+    });
+  }
+
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Create global instance
+window.adminSection = new AdminSection();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AdminSection;
+}
@@ -0,0 +1,155 @@
+// Config History for PacksList Admin
+// Lists saved versions of each config document with a side-by-side diff and rollback
+
+class ConfigHistory {
+  constructor() {
+    this.type = ConfigHistory.TYPES[0];
+    this.entries = [];
+    this.selectedId = null;
+    this.isInitialized = false;
+  }
+
+  // Initialize once a settings manager is signed in
+  initialize() {
+    if (this.isInitialized) return;
+    this.isInitialized = true;
+
+    const typeSelect = document.getElementById('config-history-type');
+    if (typeSelect) {
+      typeSelect.innerHTML = ConfigHistory.TYPES
+        .map(type => `<option value="${type}">${type}</option>`)
+        .join('');
+      typeSelect.addEventListener('change', (e) => {
+        this.type = e.target.value;
+        this.loadHistory();
+      });
+    }
+
+    // Saves from other tabs or admins show up without a reload
+    window.configManager.onConfigUpdate((event, data) => {
+      if (event === 'configUpdated' && data?.type === this.type) {
+        this.loadHistory();
+      }
+    });
+
+    this.loadHistory();
+  }
+
+  async loadHistory() {
+    const container = document.getElementById('config-history');
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading">Loading history...</div>';
+    this.entries = await window.configManager.getConfigHistory(this.type);
+    this.selectedId = null;
+    this.renderHistory();
+    this.renderDiff();
+  }
+
+  renderHistory() {
+    const container = document.getElementById('config-history');
+    if (!container) return;
+
+    if (this.entries.length === 0) {
+      container.innerHTML = '<div class="loading">No saved changes for this config yet.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="table-header">${this.entries.length} saved version${this.entries.length === 1 ? '' : 's'}</div>
+    ` + this.entries.map(entry => `
+      <div class="history-row ${entry.id === this.selectedId ? 'selected' : ''}">
+        <div class="history-info">
+          <h5>Version ${entry.version}${entry.rollbackOf ? ' <span class="history-badge">rollback</span>' : ''}</h5>
+          <div class="history-meta">
+            ${window.adminSection.escapeHTML(entry.changedByEmail || entry.changedBy || 'Unknown')} ·
+            ${this.formatDate(entry.changedAt)} ·
+            ${entry.changes.length} change${entry.changes.length === 1 ? '' : 's'}
+          </div>
+        </div>
+        <div class="history-actions">
+          <button class="btn btn-outline btn-sm" onclick="configHistory.showDiff('${entry.id}')">View diff</button>
+          <button class="btn btn-primary btn-sm" onclick="configHistory.rollback('${entry.id}')">Roll back</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  showDiff(entryId) {
+    this.selectedId = this.selectedId === entryId ? null : entryId;
+    this.renderHistory();
+    this.renderDiff();
+  }
+
+  // Before/after columns for each changed path of the selected entry
+  renderDiff() {
+    const container = document.getElementById('config-history-diff');
+    if (!container) return;
+
+    const entry = this.entries.find(e => e.id === this.selectedId);
+    if (!entry) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="table-header">Changes saved as version ${entry.version + 1}</div>
+      <div class="diff-row diff-heading">
+        <div>Field</div><div>Before</div><div>After</div>
+      </div>
+    ` + entry.changes.map(change => `
+      <div class="diff-row">
+        <div class="diff-path">${window.adminSection.escapeHTML(change.path)}</div>
+        <pre class="diff-before">${window.adminSection.escapeHTML(this.formatValue(change.before))}</pre>
+        <pre class="diff-after">${window.adminSection.escapeHTML(this.formatValue(change.after))}</pre>
+      </div>
+    `).join('');
+  }
+
+  // Restore the version an entry replaced after confirmation
+  async rollback(entryId) {
+    const entry = this.entries.find(e => e.id === entryId);
+    if (!entry) return;
+
+    if (!confirm(`Roll ${this.type} back to version ${entry.version}? This is recorded as a new change.`)) {
+      return;
+    }
+
+    const saved = await window.configManager.rollbackConfig(this.type, entryId);
+    if (!saved) {
+      alert('Unable to roll back this config. Check the console for validation errors.');
+      return;
+    }
+    this.loadHistory();
+  }
+
+  formatValue(value) {
+    return value === null ? '—' : JSON.stringify(value, null, 2);
+  }
+
+  formatDate(timestamp) {
+    return timestamp?.toDate ? timestamp.toDate().toLocaleString() : 'just now';
+  }
+}
+
+ConfigHistory.TYPES = [
+  'cities',
+  'vendor-categories',
+  'metro-areas',
+  'product-types',
+  'ui-strings',
+  'region-settings',
+  'time-filtering',
+  'vendor-display'
+];
+
+// Create global instance
+window.configHistory = new ConfigHistory();
+
+// Initialize once the admin is authenticated
+window.adminSection.onAuthorized('manage_settings', () => window.configHistory.initialize());
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigHistory;
+}
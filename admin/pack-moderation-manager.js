@@ -0,0 +1,444 @@
+// Pack Moderation Manager for PacksList Admin
+// Backs the Pack Moderation queue: post lifecycle, compliance flags and user reports
+
+class PackModerationManager {
+  constructor() {
+    this.posts = [];
+    this.reports = [];
+    this.selectedPostIds = new Set();
+    this.currentFilter = 'pending';
+    this.isInitialized = false;
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  get currentUser() {
+    return window.authManager?.currentUser || null;
+  }
+
+  // Initialize once an admin is signed in
+  initialize() {
+    if (this.isInitialized) return;
+    this.isInitialized = true;
+
+    const filterSelect = document.getElementById('pack-filter');
+    if (filterSelect) {
+      this.currentFilter = filterSelect.value;
+      filterSelect.addEventListener('change', (e) => {
+        this.currentFilter = e.target.value;
+        this.loadQueue();
+      });
+    }
+
+    this.loadQueue();
+    this.updateFlaggedCount();
+    this.updatePendingCount();
+  }
+
+  // Load the queue for the selected filter
+  async loadQueue() {
+    this.selectedPostIds.clear();
+
+    if (this.currentFilter === 'flagged') {
+      await this.loadReports();
+    } else {
+      await this.loadPosts(this.currentFilter);
+    }
+  }
+
+  // Load posts by lifecycle status ('all' for every post)
+  async loadPosts(status) {
+    const container = document.getElementById('pack-review-queue');
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading">Loading packs for review...</div>';
+
+    try {
+      let query = this.db.collection('posts');
+      if (status !== 'all') {
+        query = query.where('status', '==', status);
+      }
+      const [snapshot] = await Promise.all([
+        query.orderBy('created', 'desc').limit(100).get(),
+        window.complianceManager?.loadProfiles()
+      ]);
+
+      this.posts = [];
+      snapshot.forEach(doc => this.posts.push({ id: doc.id, ...doc.data() }));
+      this.renderPosts(container);
+    } catch (error) {
+      console.error('Error loading packs:', error);
+      container.innerHTML = '<div class="loading">Unable to load packs.</div>';
+    }
+  }
+
+  renderPosts(container) {
+    if (this.posts.length === 0) {
+      container.innerHTML = '<div class="loading">No packs in this queue 🎉</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="pack-review-actions">
+        <label class="checkbox-label">
+          <input type="checkbox" onchange="packModerationManager.toggleSelectAll(this.checked)">
+          <span>Select all</span>
+        </label>
+        <span class="pack-review-meta" id="pack-selection-count">0 selected</span>
+      </div>
+    ` + this.posts.map(post => {
+      const status = post.status || 'approved';
+      const actions = PackModerationManager.TRANSITIONS[status] || [];
+      const violations = this.getViolations(post);
+      return `
+        <div class="pack-review-card" data-post-id="${post.id}">
+          <div class="pack-review-header">
+            <div class="pack-review-info">
+              <label class="checkbox-label">
+                <input type="checkbox" ${this.selectedPostIds.has(post.id) ? 'checked' : ''}
+                  onchange="packModerationManager.toggleSelection('${post.id}', this.checked)">
+                <h4>${window.adminSection.escapeHTML(post.title || 'Untitled')}</h4>
+              </label>
+              <div class="pack-review-meta">
+                $${window.adminSection.escapeHTML(post.price)} · ${window.adminSection.escapeHTML(post.vendor || '')} · ${window.adminSection.escapeHTML(post.city || '')}
+                · ${this.formatDate(post.created)}
+              </div>
+              <div class="pack-review-meta">
+                <span class="status-badge">${status}</span>
+                ${post.statusReason ? ` · ${window.adminSection.escapeHTML(post.statusReason)}` : ''}
+                ${post.statusChangedAt ? ` · ${this.formatDate(post.statusChangedAt)}` : ''}
+                ${post.updatedAt ? ` · edited ${this.formatDate(post.updatedAt)}` : ''}
+              </div>
+              ${post.license ? `
+                <div class="pack-review-meta">
+                  License: ${window.adminSection.escapeHTML(post.license.licenseNumber || '—')}
+                  ${post.license.businessName ? ` · ${window.adminSection.escapeHTML(post.license.businessName)}` : ''}
+                </div>
+              ` : ''}
+              ${violations.length > 0 ? `
+                <ul class="compliance-flags">
+                  ${violations.map(violation => `<li>⚠️ ${window.adminSection.escapeHTML(violation)}</li>`).join('')}
+                </ul>
+              ` : ''}
+              ${post.description ? `<p>${window.adminSection.escapeHTML(post.description)}</p>` : ''}
+            </div>
+            <div class="pack-review-actions">
+              ${actions.map(action => `
+                <button class="btn ${PackModerationManager.ACTION_STYLES[action]} btn-sm"
+                  onclick="packModerationManager.changeStatus(['${post.id}'], '${action}')">
+                  ${PackModerationManager.ACTION_LABELS[action]}
+                </button>
+              `).join('')}
+              ${post.lastRevisionId ? `
+                <button class="btn btn-outline btn-sm" onclick="packModerationManager.viewRevisions('${post.id}')">History</button>
+              ` : ''}
+            </div>
+          </div>
+          <div class="report-conversation" id="pack-revisions-${post.id}"></div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Show what the owner changed in each edit, newest first
+  async viewRevisions(postId) {
+    const container = document.getElementById(`pack-revisions-${postId}`);
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading">Loading history...</div>';
+
+    const revisions = await window.postManager.getRevisions(postId);
+    container.innerHTML = revisions.length === 0
+      ? '<div class="pack-review-meta">No edits recorded.</div>'
+      : revisions.map(revision => `
+          <div class="pack-review-meta">
+            <strong>${this.formatDate(revision.editedAt)}</strong> (was ${window.adminSection.escapeHTML(revision.status || 'approved')}):
+            ${revision.changedFields.map(field =>
+              `${field} was "${window.adminSection.escapeHTML(this.formatRevisionValue(revision[field]))}"`
+            ).join(', ')}
+          </div>
+        `).join('');
+  }
+
+  toggleSelection(postId, selected) {
+    if (selected) {
+      this.selectedPostIds.add(postId);
+    } else {
+      this.selectedPostIds.delete(postId);
+    }
+    this.updateSelectionCount();
+  }
+
+  toggleSelectAll(selected) {
+    this.selectedPostIds = new Set(selected ? this.posts.map(post => post.id) : []);
+    document.querySelectorAll('#pack-review-queue .pack-review-card input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = selected;
+    });
+    this.updateSelectionCount();
+  }
+
+  updateSelectionCount() {
+    const counter = document.getElementById('pack-selection-count');
+    if (counter) counter.textContent = `${this.selectedPostIds.size} selected`;
+  }
+
+  // Check whether a post may move from its current status to the next one
+  canTransition(post, nextStatus) {
+    const transitions = PackModerationManager.TRANSITIONS[post.status || 'approved'] || [];
+    return transitions.includes(nextStatus);
+  }
+
+  // Ways a post breaks its state's compliance profile
+  getViolations(post) {
+    return window.complianceManager ? window.complianceManager.checkPost(post) : [];
+  }
+
+  // Move one or more posts to a new lifecycle status
+  async changeStatus(postIds, nextStatus) {
+    const posts = this.posts.filter(post => postIds.includes(post.id) && this.canTransition(post, nextStatus));
+    if (posts.length === 0) {
+      alert(`None of the selected packs can be ${nextStatus}.`);
+      return;
+    }
+
+    const flagged = posts.filter(post => this.getViolations(post).length > 0);
+    if (nextStatus === 'approved' && flagged.length > 0
+        && !confirm(`${flagged.length} pack(s) have compliance flags. Approve anyway?`)) {
+      return;
+    }
+
+    let reason = '';
+    if (nextStatus !== 'approved') {
+      reason = prompt(`Reason for marking ${posts.length} pack(s) as ${nextStatus}:`);
+      if (reason === null) return;
+      reason = reason.trim();
+      if (!reason) {
+        alert('A reason is required.');
+        return;
+      }
+    }
+
+    try {
+      const batch = this.db.batch();
+      posts.forEach(post => {
+        batch.update(this.db.collection('posts').doc(post.id), {
+          status: nextStatus,
+          statusReason: reason,
+          statusChangedBy: this.currentUser?.uid || null,
+          statusChangedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        window.auditLogger?.addToBatch(batch, 'moderation.status', {
+          target: `posts/${post.id}`,
+          before: { status: post.status || 'approved' },
+          after: { status: nextStatus, reason }
+        });
+      });
+      await batch.commit();
+
+      console.log(`Moderation: ${posts.length} pack(s) -> ${nextStatus}`);
+      await this.loadQueue();
+      this.updatePendingCount();
+    } catch (error) {
+      console.error('Error updating pack status:', error);
+      alert('Unable to update packs. Please try again.');
+    }
+  }
+
+  // Approve every selected pack
+  bulkApprove() {
+    this.changeStatus([...this.selectedPostIds], 'approved');
+  }
+
+  // Reject every selected pack with one shared reason
+  bulkReject() {
+    this.changeStatus([...this.selectedPostIds], 'rejected');
+  }
+
+  // Update sidebar and dashboard pending counters
+  async updatePendingCount() {
+    try {
+      const snapshot = await this.db.collection('posts').where('status', '==', 'pending').get();
+      const count = snapshot.size;
+      ['pending-count', 'packs-badge', 'pending-packs'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = count;
+      });
+      const quickCount = document.getElementById('quick-pending-count');
+      if (quickCount) quickCount.textContent = `${count} packs waiting`;
+    } catch (error) {
+      console.error('Error counting pending packs:', error);
+    }
+  }
+
+  // Load pending user reports
+  async loadReports() {
+    const container = document.getElementById('pack-review-queue');
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading">Loading reports...</div>';
+
+    try {
+      const snapshot = await this.db.collection('reports')
+        .where('status', '==', 'pending')
+        .orderBy('createdAt', 'desc')
+        .limit(50)
+        .get();
+
+      this.reports = [];
+      snapshot.forEach(doc => this.reports.push({ id: doc.id, ...doc.data() }));
+      this.renderReports(container);
+    } catch (error) {
+      console.error('Error loading reports:', error);
+      container.innerHTML = '<div class="loading">Unable to load reports.</div>';
+    }
+  }
+
+  renderReports(container) {
+    if (this.reports.length === 0) {
+      container.innerHTML = '<div class="loading">No open reports 🎉</div>';
+      return;
+    }
+
+    container.innerHTML = this.reports.map(report => `
+      <div class="pack-review-card flagged" data-report-id="${report.id}">
+        <div class="pack-review-header">
+          <div class="pack-review-info">
+            <h4>🚩 Reported ${window.adminSection.escapeHTML(report.type || 'content')}</h4>
+            <div class="pack-review-meta">
+              Reporter: ${window.adminSection.escapeHTML(report.reporterId)} · Reported user: ${window.adminSection.escapeHTML(report.reportedUserId || 'unknown')}
+              · ${this.formatDate(report.createdAt)}
+            </div>
+            <p>${window.adminSection.escapeHTML(report.reason || '')}</p>
+          </div>
+          <div class="pack-review-actions">
+            ${report.threadId ? `<button class="btn btn-outline btn-sm" onclick="packModerationManager.viewConversation('${report.id}')">View Conversation</button>` : ''}
+            <button class="btn btn-success btn-sm" onclick="packModerationManager.resolveReport('${report.id}', 'dismissed')">Dismiss</button>
+            <button class="btn btn-danger btn-sm" onclick="packModerationManager.resolveReport('${report.id}', 'actioned')">Mark Actioned</button>
+          </div>
+        </div>
+        <div class="report-conversation" id="report-conversation-${report.id}"></div>
+      </div>
+    `).join('');
+  }
+
+  // Show the last messages of a reported conversation inline
+  async viewConversation(reportId) {
+    const report = this.reports.find(item => item.id === reportId);
+    const container = document.getElementById(`report-conversation-${reportId}`);
+    if (!report || !container) return;
+
+    container.innerHTML = '<div class="loading">Loading conversation...</div>';
+
+    try {
+      const snapshot = await this.db.collection('threads').doc(report.threadId)
+        .collection('messages')
+        .orderBy('createdAt', 'desc')
+        .limit(20)
+        .get();
+
+      const messages = [];
+      snapshot.forEach(doc => messages.unshift(doc.data()));
+      container.innerHTML = messages.length === 0
+        ? '<div class="pack-review-meta">No messages in this conversation.</div>'
+        : messages.map(message => `
+            <div class="pack-review-meta">
+              <strong>${message.senderId === report.reportedUserId ? 'Reported user' : 'Reporter'}:</strong>
+              ${window.adminSection.escapeHTML(message.text)}
+            </div>
+          `).join('');
+    } catch (error) {
+      console.error('Error loading reported conversation:', error);
+      container.innerHTML = '<div class="pack-review-meta">Unable to load conversation.</div>';
+    }
+  }
+
+  // Close a report with an outcome
+  async resolveReport(reportId, resolution) {
+    try {
+      const batch = this.db.batch();
+      batch.update(this.db.collection('reports').doc(reportId), {
+        status: 'resolved',
+        resolution,
+        resolvedBy: this.currentUser?.uid || null,
+        resolvedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      window.auditLogger?.addToBatch(batch, 'moderation.report', {
+        target: `reports/${reportId}`,
+        before: { status: 'pending' },
+        after: { status: 'resolved', resolution }
+      });
+      await batch.commit();
+
+      this.reports = this.reports.filter(report => report.id !== reportId);
+      this.renderReports(document.getElementById('pack-review-queue'));
+      this.updateFlaggedCount();
+    } catch (error) {
+      console.error('Error resolving report:', error);
+      alert('Unable to update report. Please try again.');
+    }
+  }
+
+  // Update dashboard flagged-content metric
+  async updateFlaggedCount() {
+    try {
+      const snapshot = await this.db.collection('reports').where('status', '==', 'pending').get();
+      const flagged = document.getElementById('flagged-content');
+      const flaggedChange = document.getElementById('flagged-change');
+      if (flagged) flagged.textContent = snapshot.size;
+      if (flaggedChange) flaggedChange.textContent = `${snapshot.size} unresolved`;
+    } catch (error) {
+      console.error('Error counting reports:', error);
+    }
+  }
+
+  // Revision values are strings, numbers, photo lists or the license map
+  formatRevisionValue(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.values(value).filter(Boolean).join(' / ');
+    }
+    return value ?? '';
+  }
+
+  formatDate(timestamp) {
+    if (!timestamp) return '';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return isNaN(date) ? '' : date.toLocaleString();
+  }
+}
+
+// Allowed admin transitions from each lifecycle status. Expired posts come back
+// through owner renewal, which also sets a fresh expiresAt
+PackModerationManager.TRANSITIONS = {
+  pending: ['approved', 'rejected', 'removed'],
+  approved: ['rejected', 'removed', 'expired'],
+  rejected: ['approved', 'removed'],
+  expired: ['removed'],
+  removed: ['approved']
+};
+
+PackModerationManager.ACTION_LABELS = {
+  approved: '✓ Approve',
+  rejected: '✕ Reject',
+  removed: '🗑 Remove',
+  expired: '⏰ Expire'
+};
+
+PackModerationManager.ACTION_STYLES = {
+  approved: 'btn-success',
+  rejected: 'btn-danger',
+  removed: 'btn-outline',
+  expired: 'btn-outline'
+};
+
+// Create global instance
+window.packModerationManager = new PackModerationManager();
+
+// Initialize once a moderator (or admin) is authenticated
+window.adminSection.onAuthorized('moderate', () => window.packModerationManager.initialize());
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PackModerationManager;
+}
@@ -0,0 +1,173 @@
+// Region Settings for PacksList Admin
+// Edits the per-state parts of config/region-settings: minimum ages and compliance profiles
+
+class RegionSettings {
+  constructor() {
+    this.settings = {};
+    this.categories = [];
+    this.isInitialized = false;
+  }
+
+  // Initialize once a settings manager is signed in
+  initialize() {
+    if (this.isInitialized) return;
+    this.isInitialized = true;
+
+    window.configManager.onConfigUpdate((event, data) => {
+      if (event === 'configUpdated' && data?.type === 'region-settings') {
+        this.settings = data.data;
+        this.renderMinimumAges();
+        this.renderCompliance();
+      }
+    });
+
+    this.loadSettings();
+  }
+
+  async loadSettings() {
+    const [settings, categories] = await Promise.all([
+      window.configManager.loadConfigType('region-settings'),
+      window.configManager.loadConfigType('vendor-categories')
+    ]);
+    this.settings = settings;
+    this.categories = categories.items || [];
+    this.renderMinimumAges();
+    this.renderCompliance();
+  }
+
+  // States with at least one configured city, plus any already in the settings
+  getStates() {
+    const states = (window.cityRegistry?.getCities() || []).map(city => city.state).filter(Boolean);
+    return [...new Set([
+      ...states,
+      ...Object.keys(this.settings.minimumAge || {}),
+      ...Object.keys(this.settings.compliance || {})
+    ])].sort();
+  }
+
+  renderMinimumAges() {
+    const container = document.getElementById('region-minimum-ages');
+    if (!container) return;
+
+    const minimumAge = this.settings.minimumAge || {};
+    container.innerHTML = this.getStates().map(state => `
+      <div class="config-row">
+        <label for="minimum-age-${state}">${window.adminSection.escapeHTML(state)}</label>
+        <input type="number" id="minimum-age-${state}" class="form-input" data-state="${window.adminSection.escapeHTML(state)}"
+          min="${RegionSettings.MINIMUM_AGE}" max="99" step="1"
+          value="${Number(minimumAge[state]) || RegionSettings.MINIMUM_AGE}">
+      </div>
+    `).join('');
+  }
+
+  async saveMinimumAges() {
+    const inputs = document.querySelectorAll('#region-minimum-ages input[data-state]');
+    const minimumAge = {};
+
+    for (const input of inputs) {
+      const age = Number(input.value);
+      if (!Number.isInteger(age) || age < RegionSettings.MINIMUM_AGE || age > 99) {
+        alert(`${input.dataset.state}: minimum age must be a whole number from ${RegionSettings.MINIMUM_AGE} to 99.`);
+        return;
+      }
+      minimumAge[input.dataset.state] = age;
+    }
+
+    const saved = await window.configManager.updateConfig('region-settings', { minimumAge });
+    if (!saved) {
+      alert('Unable to save minimum ages. Check the console for validation errors.');
+    }
+  }
+
+  // One card per state: allowed categories, disclaimers, peer listings and license fields
+  renderCompliance() {
+    const container = document.getElementById('region-compliance');
+    if (!container) return;
+
+    const profiles = window.complianceManager.mergeProfiles(this.settings.compliance || {});
+    container.innerHTML = this.getStates().map(state => {
+      const profile = profiles[state] || ComplianceManager.DEFAULT_PROFILE;
+      return `
+        <div class="compliance-card" data-state="${window.adminSection.escapeHTML(state)}">
+          <h4>${window.adminSection.escapeHTML(state)}</h4>
+          <div class="config-row">
+            <label>Allowed categories <small class="config-help">(none checked allows all)</small></label>
+            <div class="compliance-options">
+              ${this.categories.map(category => `
+                <label class="checkbox-label">
+                  <input type="checkbox" data-field="allowedCategories" value="${window.adminSection.escapeHTML(category.key)}"
+                    ${profile.allowedCategories.includes(category.key) ? 'checked' : ''}>
+                  <span>${window.adminSection.escapeHTML(category.name || category.key)}</span>
+                </label>
+              `).join('')}
+            </div>
+          </div>
+          <div class="config-row">
+            <label>Disclaimers <small class="config-help">(one per line, up to 5)</small></label>
+            <textarea class="form-input" data-field="disclaimers" rows="3">${window.adminSection.escapeHTML(profile.disclaimers.join('\n'))}</textarea>
+          </div>
+          <div class="config-row">
+            <label class="checkbox-label">
+              <input type="checkbox" data-field="peerListingsAllowed" ${profile.peerListingsAllowed ? 'checked' : ''}>
+              <span>Allow peer listings (no license details)</span>
+            </label>
+          </div>
+          <div class="config-row">
+            <label>Required license fields</label>
+            <div class="compliance-options">
+              ${Object.entries(ComplianceManager.LICENSE_FIELDS).map(([field, label]) => `
+                <label class="checkbox-label">
+                  <input type="checkbox" data-field="requiredLicenseFields" value="${field}"
+                    ${profile.requiredLicenseFields.includes(field) ? 'checked' : ''}>
+                  <span>${label}</span>
+                </label>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async saveCompliance() {
+    const compliance = {};
+    document.querySelectorAll('#region-compliance .compliance-card').forEach(card => {
+      const checked = field => [...card.querySelectorAll(`input[data-field="${field}"]:checked`)].map(input => input.value);
+      const disclaimers = card.querySelector('[data-field="disclaimers"]').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+
+      compliance[card.dataset.state] = {
+        allowedCategories: checked('allowedCategories'),
+        disclaimers,
+        peerListingsAllowed: card.querySelector('[data-field="peerListingsAllowed"]').checked,
+        requiredLicenseFields: checked('requiredLicenseFields')
+      };
+    });
+
+    const tooMany = Object.entries(compliance).find(([, profile]) => profile.disclaimers.length > 5);
+    if (tooMany) {
+      alert(`${tooMany[0]}: at most 5 disclaimers are allowed.`);
+      return;
+    }
+
+    const saved = await window.configManager.updateConfig('region-settings', { compliance });
+    if (!saved) {
+      alert('Unable to save compliance profiles. Check the console for validation errors.');
+    }
+  }
+}
+
+RegionSettings.MINIMUM_AGE = 21; // floor enforced by firestore.rules
+
+// Create global instance
+window.regionSettings = new RegionSettings();
+
+// Initialize once the admin is authenticated
+window.adminSection.onAuthorized('manage_settings', () => window.regionSettings.initialize());
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegionSettings;
+}
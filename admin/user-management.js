@@ -0,0 +1,305 @@
+// User Management for PacksList Admin
+// Lists user profiles and lets admins grant or revoke roles and suspend or ban accounts
+
+class UserManagement {
+  constructor() {
+    this.users = [];
+    this.searchTerm = '';
+    this.roleFilter = 'all';
+    this.isInitialized = false;
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  // Initialize once an admin is signed in
+  initialize() {
+    if (this.isInitialized) return;
+    this.isInitialized = true;
+
+    const searchInput = document.getElementById('user-search');
+    if (searchInput) {
+      searchInput.addEventListener('input', (e) => {
+        this.searchTerm = e.target.value.trim().toLowerCase();
+        this.renderUsers();
+      });
+    }
+
+    const roleFilter = document.getElementById('user-role-filter');
+    if (roleFilter) {
+      roleFilter.addEventListener('change', (e) => {
+        this.roleFilter = e.target.value;
+        this.renderUsers();
+      });
+    }
+
+    this.loadUsers();
+  }
+
+  // Load profiles and overlay the authoritative role documents
+  async loadUsers() {
+    const container = document.getElementById('users-table');
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading">Loading users...</div>';
+
+    try {
+      const [snapshot, roles] = await Promise.all([
+        this.db.collection('users').limit(200).get(),
+        window.roleManager.listRoles()
+      ]);
+
+      const rolesByUid = {};
+      roles.forEach(entry => { rolesByUid[entry.uid] = entry.role; });
+
+      this.users = [];
+      snapshot.forEach(doc => {
+        const data = doc.data();
+        // Tombstones left by self-service account deletion
+        if (data.accountStatus === 'deleted') return;
+        this.users.push({ ...data, uid: doc.id, role: rolesByUid[doc.id] || 'user' });
+      });
+
+      const countEl = document.getElementById('users-count');
+      if (countEl) countEl.textContent = this.users.length;
+
+      this.renderUsers();
+    } catch (error) {
+      console.error('Error loading users:', error);
+      container.innerHTML = '<div class="loading">Unable to load users.</div>';
+    }
+  }
+
+  getFilteredUsers() {
+    return this.users.filter(user => {
+      if (this.roleFilter === 'admin' && !window.roleManager.isPrivilegedRole(user.role)) return false;
+      if (this.roleFilter === 'user' && user.role !== 'user') return false;
+      if (this.roleFilter === 'suspended' && this.getStatus(user) !== 'suspended') return false;
+      if (this.roleFilter === 'banned' && this.getStatus(user) !== 'banned') return false;
+
+      if (!this.searchTerm) return true;
+      const haystack = `${user.displayName || ''} ${user.email || ''}`.toLowerCase();
+      return haystack.includes(this.searchTerm);
+    });
+  }
+
+  renderUsers() {
+    const container = document.getElementById('users-table');
+    if (!container) return;
+
+    const users = this.getFilteredUsers();
+    if (users.length === 0) {
+      container.innerHTML = '<div class="loading">No users found.</div>';
+      return;
+    }
+
+    const currentUid = window.authManager?.currentUser?.uid;
+
+    container.innerHTML = `
+      <div class="table-header">${users.length} user${users.length === 1 ? '' : 's'}</div>
+    ` + users.map(user => {
+      const editable = user.uid !== currentUid && window.roleManager.canManageRole(user.role);
+      return `
+        <div class="user-row" data-uid="${user.uid}">
+          <div class="user-info">
+            <h5>${window.adminSection.escapeHTML(user.displayName || 'Unnamed user')}</h5>
+            <div class="user-email">${window.adminSection.escapeHTML(user.email || '')}</div>
+          </div>
+          <span class="user-role">${window.adminSection.escapeHTML(RoleManager.ROLES[user.role]?.label || user.role)}</span>
+          ${this.renderStatus(user)}
+          <div class="user-actions">
+            <select class="filter-select" ${editable ? '' : 'disabled'}
+              onchange="userManagement.changeRole('${user.uid}', this.value)">
+              ${Object.keys(RoleManager.ROLES).map(role => `
+                <option value="${role}" ${role === user.role ? 'selected' : ''}
+                  ${window.roleManager.canManageRole(role) ? '' : 'disabled'}>
+                  ${RoleManager.ROLES[role].label}
+                </option>
+              `).join('')}
+            </select>
+            ${editable ? this.renderStatusActions(user) : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Grant a new role after confirmation
+  async changeRole(uid, role) {
+    const user = this.users.find(u => u.uid === uid);
+    if (!user) return;
+
+    const label = RoleManager.ROLES[role]?.label || role;
+    if (!confirm(`Change ${user.email || uid} to ${label}?`)) {
+      this.renderUsers();
+      return;
+    }
+
+    const result = await window.roleManager.grantRole(uid, role);
+    if (!result.success) {
+      alert(result.error);
+      this.renderUsers();
+      return;
+    }
+
+    user.role = role;
+    this.renderUsers();
+  }
+
+  // Effective status; suspensions lapse at their expiry
+  getStatus(user) {
+    const status = user.accountStatus || 'active';
+    const until = user.suspension?.until;
+    if (status === 'suspended' && until && until.toDate() <= new Date()) return 'active';
+    return status;
+  }
+
+  renderStatus(user) {
+    const status = this.getStatus(user);
+    const until = status === 'suspended' && user.suspension?.until
+      ? ` until ${user.suspension.until.toDate().toLocaleDateString()}`
+      : '';
+    return `
+      <span class="user-status user-status-${status}" title="${window.adminSection.escapeHTML(user.suspension?.reason || '')}">
+        ${UserManagement.STATUS_LABELS[status] || status}${until}
+      </span>
+    `;
+  }
+
+  renderStatusActions(user) {
+    if (this.getStatus(user) !== 'active') {
+      return `<button class="btn btn-outline btn-sm" onclick="userManagement.changeStatus('${user.uid}', 'active')">Reinstate</button>`;
+    }
+    return `
+      <button class="btn btn-outline btn-sm" onclick="userManagement.changeStatus('${user.uid}', 'suspended')">Suspend</button>
+      <button class="btn btn-danger btn-sm" onclick="userManagement.changeStatus('${user.uid}', 'banned')">Ban</button>
+    `;
+  }
+
+  // Suspend (with a reason and optional length), ban, or reinstate an account
+  async changeStatus(uid, status) {
+    const user = this.users.find(u => u.uid === uid);
+    if (!user) return;
+
+    let suspension = null;
+    if (status !== 'active') {
+      const reason = prompt(status === 'banned'
+        ? `Reason for banning ${user.email || uid}? All of their listings will be removed.`
+        : `Reason for suspending ${user.email || uid}:`);
+      if (reason === null) return;
+      if (!reason.trim()) {
+        alert('A reason is required.');
+        return;
+      }
+
+      let until = null;
+      if (status === 'suspended') {
+        const days = prompt('Suspend for how many days? Leave empty for no end date.', '7');
+        if (days === null) return;
+        if (days.trim()) {
+          const count = Number(days);
+          if (!Number.isFinite(count) || count <= 0) {
+            alert('Enter a positive number of days.');
+            return;
+          }
+          until = firebase.firestore.Timestamp.fromMillis(Date.now() + count * 24 * 60 * 60 * 1000);
+        }
+      }
+
+      suspension = {
+        reason: reason.trim(),
+        until,
+        by: window.authManager.currentUser.uid,
+        at: firebase.firestore.FieldValue.serverTimestamp()
+      };
+    } else if (!confirm(`Reinstate ${user.email || uid}?`)) {
+      return;
+    }
+
+    try {
+      const batch = this.db.batch();
+      batch.update(this.db.collection('users').doc(uid), {
+        accountStatus: status,
+        suspension,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      window.auditLogger?.addToBatch(batch, UserManagement.STATUS_ACTIONS[status], {
+        target: `users/${uid}`,
+        before: { accountStatus: this.getStatus(user) },
+        after: { accountStatus: status, reason: suspension?.reason || null, until: suspension?.until || null },
+        level: status === 'active' ? 'info' : 'warning'
+      });
+      await batch.commit();
+
+      user.accountStatus = status;
+      user.suspension = suspension && { ...suspension, at: null };
+      this.renderUsers();
+    } catch (error) {
+      console.error('Error updating account status:', error);
+      alert('Unable to update this account. Please try again.');
+      return;
+    }
+
+    if (status === 'banned') {
+      try {
+        await this.removeListings(uid, suspension.reason);
+      } catch (error) {
+        console.error('Error removing listings:', error);
+        alert('The account is banned, but some of its listings could not be removed. Remove them from the moderation queue.');
+      }
+    }
+  }
+
+  // Take down every listing a banned user could otherwise renew or edit back online;
+  // reinstating does not restore them
+  async removeListings(uid, reason) {
+    const snapshot = await this.db.collection('posts').where('userId', '==', uid).get();
+    const posts = snapshot.docs.filter(doc => doc.get('status') !== 'removed');
+
+    for (let i = 0; i < posts.length; i += UserManagement.BATCH_SIZE) {
+      const batch = this.db.batch();
+      posts.slice(i, i + UserManagement.BATCH_SIZE).forEach(doc => {
+        batch.update(doc.ref, {
+          status: 'removed',
+          statusReason: `Account banned: ${reason}`,
+          statusChangedBy: window.authManager.currentUser.uid,
+          statusChangedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        window.auditLogger?.addToBatch(batch, 'moderation.status', {
+          target: `posts/${doc.id}`,
+          before: { status: doc.get('status') || 'approved' },
+          after: { status: 'removed', reason }
+        });
+      });
+      await batch.commit();
+    }
+    return posts.length;
+  }
+}
+
+UserManagement.STATUS_LABELS = {
+  active: 'Active',
+  suspended: 'Suspended',
+  banned: 'Banned'
+};
+
+UserManagement.STATUS_ACTIONS = {
+  active: 'user.reinstate',
+  suspended: 'user.suspend',
+  banned: 'user.ban'
+};
+
+// Posts per batch when removing a banned user's listings (each also writes an audit entry)
+UserManagement.BATCH_SIZE = 200;
+
+// Create global instance
+window.userManagement = new UserManagement();
+
+// Initialize once the admin is authenticated
+window.adminSection.onAuthorized('manage_users', () => window.userManagement.initialize());
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UserManagement;
+}
@@ -0,0 +1,194 @@
+// Age Gate for PacksList
+// Every device confirms the visitor is 21+ before browsing; accounts record a
+// date of birth checked against the minimum age for their state, kept in
+// region-settings.minimumAge and edited from the admin panel.
+
+class AgeGate {
+  constructor() {
+    this.minimumAges = null;
+    this.minimumAgesPromise = null;
+    this.overlay = null;
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  // region-settings.minimumAge keyed by state, e.g. { MA: 21, RI: 21, CT: 21 }
+  async loadMinimumAges() {
+    if (this.minimumAges) return this.minimumAges;
+    if (!this.minimumAgesPromise) {
+      this.minimumAgesPromise = this.db.collection('config').doc('region-settings').get()
+        .then(doc => (doc.exists && doc.get('minimumAge')) || {})
+        .catch(error => {
+          console.warn('Using default minimum ages:', error);
+          return {};
+        })
+        .then(minimumAge => {
+          this.minimumAges = minimumAge;
+          return minimumAge;
+        });
+    }
+    return this.minimumAgesPromise;
+  }
+
+  // Minimum age for a state; unknown states get the strictest configured age
+  getMinimumAge(minimumAges, state) {
+    const ages = Object.values(minimumAges).map(Number).filter(Number.isFinite);
+    const age = Number(minimumAges[state]) || Math.max(AgeGate.MINIMUM_AGE, ...ages);
+    return Math.max(age, AgeGate.MINIMUM_AGE);
+  }
+
+  // State of a profile's home city, if it has one
+  getProfileState(profile) {
+    return window.cityRegistry?.getCity(profile?.city)?.state || null;
+  }
+
+  // Whole years between a date of birth and now
+  calculateAge(dateOfBirth, now = new Date()) {
+    let age = now.getFullYear() - dateOfBirth.getFullYear();
+    const hadBirthday = now.getMonth() > dateOfBirth.getMonth()
+      || (now.getMonth() === dateOfBirth.getMonth() && now.getDate() >= dateOfBirth.getDate());
+    if (!hadBirthday) age--;
+    return age;
+  }
+
+  // YYYY-MM-DD from a date input, read as a calendar date rather than UTC midnight
+  parseDateOfBirth(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getMonth() === Number(match[2]) - 1 && date <= new Date() ? date : null;
+  }
+
+  // Error message for a date of birth, or null when the user is old enough
+  async validateDateOfBirth(value, state = null) {
+    const dateOfBirth = this.parseDateOfBirth(value);
+    if (!dateOfBirth) return 'Please enter a valid date of birth.';
+
+    const minimumAge = this.getMinimumAge(await this.loadMinimumAges(), state);
+    if (this.calculateAge(dateOfBirth) < minimumAge) {
+      return `You must be ${minimumAge} or older to use PacksList.`;
+    }
+    return null;
+  }
+
+  // Per-device 21+ confirmation
+  isConfirmed() {
+    try {
+      return !!localStorage.getItem(AgeGate.STORAGE_KEY);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  confirm() {
+    try {
+      localStorage.setItem(AgeGate.STORAGE_KEY, JSON.stringify({ confirmedAt: Date.now() }));
+    } catch (error) {
+      console.warn('Could not remember age confirmation:', error);
+    }
+    this.closeOverlay();
+  }
+
+  // Full-page confirmation shown on a device's first visit
+  showGate() {
+    this.closeOverlay();
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'age-gate';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.innerHTML = `
+      <div class="age-gate-content">
+        <h2>Are you ${AgeGate.MINIMUM_AGE} or older?</h2>
+        <p>PacksList lists cannabis products. You must be of legal age in your state to continue.</p>
+        <div class="age-gate-actions">
+          <button type="button" class="submit-btn" data-action="confirm">Yes, I am ${AgeGate.MINIMUM_AGE}+</button>
+          <button type="button" class="btn-link" data-action="decline">No</button>
+        </div>
+        <p class="age-gate-declined" hidden>Sorry, you must be ${AgeGate.MINIMUM_AGE} or older to visit PacksList.</p>
+      </div>
+    `;
+
+    this.overlay.addEventListener('click', (e) => {
+      const { action } = e.target.dataset;
+      if (action === 'confirm') {
+        this.confirm();
+      } else if (action === 'decline') {
+        this.overlay.querySelector('.age-gate-actions').hidden = true;
+        this.overlay.querySelector('.age-gate-declined').hidden = false;
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  // Date of birth form for signed-in accounts that have not verified their age
+  showDateOfBirthPrompt() {
+    this.closeOverlay();
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'age-gate';
+    this.overlay.innerHTML = `
+      <div class="age-gate-content">
+        <h2>Confirm your age</h2>
+        <p>Enter your date of birth before posting or messaging. It cannot be changed later.</p>
+        <form class="age-gate-form">
+          <input class="form-input" name="dateOfBirth" type="date" required>
+          <p class="age-gate-error" hidden></p>
+          <div class="age-gate-actions">
+            <button type="submit" class="submit-btn">Confirm</button>
+            <button type="button" class="btn-link" data-action="close">Cancel</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const form = this.overlay.querySelector('form');
+    const errorEl = form.querySelector('.age-gate-error');
+
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target.dataset.action === 'close') this.closeOverlay();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const result = await window.authManager.verifyAge(form.elements.dateOfBirth.value);
+      if (!result.success) {
+        errorEl.textContent = result.error;
+        errorEl.hidden = false;
+        return;
+      }
+      this.closeOverlay();
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  closeOverlay() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+}
+
+AgeGate.STORAGE_KEY = 'packslist-age-confirmed';
+AgeGate.MINIMUM_AGE = 21; // floor enforced by firestore.rules; states may only raise it
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.ageGate = new AgeGate();
+
+  document.addEventListener('DOMContentLoaded', () => {
+    if (!window.ageGate.isConfirmed()) {
+      window.ageGate.showGate();
+    }
+  });
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AgeGate;
+}
@@ -1 +1 @@
-import{S as q,p as L,a as f,s as C,b as R,n as S,i as T,d as _,t as G,f as J,e as X,g as A,h as x,k as B,l as Y,r as l,m as z,o as U,u as Z,j as u}from"./useAuth-g5JMFC9x.js";var $=class extends q{constructor(t,e){super(),this.options=e,this.#s=t,this.#o=null,this.#a=L(),this.bindMethods(),this.setOptions(e)}#s;#t=void 0;#i=void 0;#e=void 0;#r;#n;#a;#o;#m;#d;#f;#c;#u;#h;#p=new Set;bindMethods(){this.refetch=this.refetch.bind(this)}onSubscribe(){this.listeners.size===1&&(this.#t.addObserver(this),H(this.#t,this.options)?this.#l():this.updateResult(),this.#g())}onUnsubscribe(){this.hasListeners()||this.destroy()}shouldFetchOnReconnect(){return M(this.#t,this.options,this.options.refetchOnReconnect)}shouldFetchOnWindowFocus(){return M(this.#t,this.options,this.options.refetchOnWindowFocus)}destroy(){this.listeners=new Set,this.#R(),this.#O(),this.#t.removeObserver(this)}setOptions(t){const e=this.options,s=this.#t;if(this.options=this.#s.defaultQueryOptions(t),this.options.enabled!==void 0&&typeof this.options.enabled!="boolean"&&typeof this.options.enabled!="function"&&typeof f(this.options.enabled,this.#t)!="boolean")throw new Error("Expected enabled to be a boolean or a callback that returns a boolean");this.#w(),this.#t.setOptions(this.options),e._defaulted&&!C(this.options,e)&&this.#s.getQueryCache().notify({type:"observerOptionsUpdated",query:this.#t,observer:this});const i=this.hasListeners();i&&K(this.#t,s,this.options,e)&&this.#l(),this.updateResult(),i&&(this.#t!==s||f(this.options.enabled,this.#t)!==f(e.enabled,this.#t)||R(this.options.staleTime,this.#t)!==R(e.staleTime,this.#t))&&this.#b();const r=this.#v();i&&(this.#t!==s||f(this.options.enabled,this.#t)!==f(e.enabled,this.#t)||r!==this.#h)&&this.#y(r)}getOptimisticResult(t){const e=this.#s.getQueryCache().build(this.#s,t),s=this.createResult(e,t);return et(this,s)&&(this.#e=s,this.#n=this.options,this.#r=this.#t.state),s}getCurrentResult(){return this.#e}trackResult(t,e){return new Proxy(t,{get:(s,i)=>(this.trackProp(i),e?.(i),i==="promise"&&!this.options.experimental_prefetchInRender&&this.#a.status==="pending"&&this.#a.reject(new Error("experimental_prefetchInRender feature flag is not enabled")),Reflect.get(s,i))})}trackProp(t){this.#p.add(t)}getCurrentQuery(){return this.#t}refetch({...t}={}){return this.fetch({...t})}fetchOptimistic(t){const e=this.#s.defaultQueryOptions(t),s=this.#s.getQueryCache().build(this.#s,e);return s.fetch().then(()=>this.createResult(s,e))}fetch(t){return this.#l({...t,cancelRefetch:t.cancelRefetch??!0}).then(()=>(this.updateResult(),this.#e))}#l(t){this.#w();let e=this.#t.fetch(this.options,t);return t?.throwOnError||(e=e.catch(S)),e}#b(){this.#R();const t=R(this.options.staleTime,this.#t);if(T||this.#e.isStale||!_(t))return;const s=G(this.#e.dataUpdatedAt,t)+1;this.#c=setTimeout(()=>{this.#e.isStale||this.updateResult()},s)}#v(){return(typeof this.options.refetchInterval=="function"?this.options.refetchInterval(this.#t):this.options.refetchInterval)??!1}#y(t){this.#O(),this.#h=t,!(T||f(this.options.enabled,this.#t)===!1||!_(this.#h)||this.#h===0)&&(this.#u=setInterval(()=>{(this.options.refetchIntervalInBackground||J.isFocused())&&this.#l()},this.#h))}#g(){this.#b(),this.#y(this.#v())}#R(){this.#c&&(clearTimeout(this.#c),this.#c=void 0)}#O(){this.#u&&(clearInterval(this.#u),this.#u=void 0)}createResult(t,e){const s=this.#t,i=this.options,r=this.#e,n=this.#r,a=this.#n,h=t!==s?t.state:this.#i,{state:p}=t;let o={...p},g=!1,c;if(e._optimisticResults){const d=this.hasListeners(),O=!d&&H(t,e),y=d&&K(t,s,e,i);(O||y)&&(o={...o,...X(p.data,t.options)}),e._optimisticResults==="isRestoring"&&(o.fetchStatus="idle")}let{error:j,errorUpdatedAt:P,status:v}=o;c=o.data;let D=!1;if(e.placeholderData!==void 0&&c===void 0&&v==="pending"){let d;r?.isPlaceholderData&&e.placeholderData===a?.placeholderData?(d=r.data,D=!0):d=typeof e.placeholderData=="function"?e.placeholderData(this.#f?.state.data,this.#f):e.placeholderData,d!==void 0&&(v="success",c=A(r?.data,d,e),g=!0)}if(e.select&&c!==void 0&&!D)if(r&&c===n?.data&&e.select===this.#m)c=this.#d;else try{this.#m=e.select,c=e.select(c),c=A(r?.data,c,e),this.#d=c,this.#o=null}catch(d){this.#o=d}this.#o&&(j=this.#o,c=this.#d,P=Date.now(),v="error");const E=o.fetchStatus==="fetching",I=v==="pending",Q=v==="error",k=I&&E,N=c!==void 0,m={status:v,fetchStatus:o.fetchStatus,isPending:I,isSuccess:v==="success",isError:Q,isInitialLoading:k,isLoading:k,data:c,dataUpdatedAt:o.dataUpdatedAt,error:j,errorUpdatedAt:P,failureCount:o.fetchFailureCount,failureReason:o.fetchFailureReason,errorUpdateCount:o.errorUpdateCount,isFetched:o.dataUpdateCount>0||o.errorUpdateCount>0,isFetchedAfterMount:o.dataUpdateCount>h.dataUpdateCount||o.errorUpdateCount>h.errorUpdateCount,isFetching:E,isRefetching:E&&!I,isLoadingError:Q&&!N,isPaused:o.fetchStatus==="paused",isPlaceholderData:g,isRefetchError:Q&&N,isStale:F(t,e),refetch:this.refetch,promise:this.#a,isEnabled:f(e.enabled,t)!==!1};if(this.options.experimental_prefetchInRender){const d=w=>{m.status==="error"?w.reject(m.error):m.data!==void 0&&w.resolve(m.data)},O=()=>{const w=this.#a=m.promise=L();d(w)},y=this.#a;switch(y.status){case"pending":t.queryHash===s.queryHash&&d(y);break;case"fulfilled":(m.status==="error"||m.data!==y.value)&&O();break;case"rejected":(m.status!=="error"||m.error!==y.reason)&&O();break}}return m}updateResult(){const t=this.#e,e=this.createResult(this.#t,this.options);if(this.#r=this.#t.state,this.#n=this.options,this.#r.data!==void 0&&(this.#f=this.#t),C(e,t))return;this.#e=e;const s=()=>{if(!t)return!0;const{notifyOnChangeProps:i}=this.options,r=typeof i=="function"?i():i;if(r==="all"||!r&&!this.#p.size)return!0;const n=new Set(r??this.#p);return this.options.throwOnError&&n.add("error"),Object.keys(this.#e).some(a=>{const b=a;return this.#e[b]!==t[b]&&n.has(b)})};this.#C({listeners:s()})}#w(){const t=this.#s.getQueryCache().build(this.#s,this.options);if(t===this.#t)return;const e=this.#t;this.#t=t,this.#i=t.state,this.hasListeners()&&(e?.removeObserver(this),t.addObserver(this))}onQueryUpdate(){this.updateResult(),this.hasListeners()&&this.#g()}#C(t){x.batch(()=>{t.listeners&&this.listeners.forEach(e=>{e(this.#e)}),this.#s.getQueryCache().notify({query:this.#t,type:"observerResultsUpdated"})})}};function tt(t,e){return f(e.enabled,t)!==!1&&t.state.data===void 0&&!(t.state.status==="error"&&e.retryOnMount===!1)}function H(t,e){return tt(t,e)||t.state.data!==void 0&&M(t,e,e.refetchOnMount)}function M(t,e,s){if(f(e.enabled,t)!==!1&&R(e.staleTime,t)!=="static"){const i=typeof s=="function"?s(t):s;return i==="always"||i!==!1&&F(t,e)}return!1}function K(t,e,s,i){return(t!==e||f(i.enabled,t)===!1)&&(!s.suspense||t.state.status!=="error")&&F(t,s)}function F(t,e){return f(e.enabled,t)!==!1&&t.isStaleByTime(R(e.staleTime,t))}function et(t,e){return!C(t.getCurrentResult(),e)}var st=class extends q{#s;#t=void 0;#i;#e;constructor(t,e){super(),this.#s=t,this.setOptions(e),this.bindMethods(),this.#r()}bindMethods(){this.mutate=this.mutate.bind(this),this.reset=this.reset.bind(this)}setOptions(t){const e=this.options;this.options=this.#s.defaultMutationOptions(t),C(this.options,e)||this.#s.getMutationCache().notify({type:"observerOptionsUpdated",mutation:this.#i,observer:this}),e?.mutationKey&&this.options.mutationKey&&B(e.mutationKey)!==B(this.options.mutationKey)?this.reset():this.#i?.state.status==="pending"&&this.#i.setOptions(this.options)}onUnsubscribe(){this.hasListeners()||this.#i?.removeObserver(this)}onMutationUpdate(t){this.#r(),this.#n(t)}getCurrentResult(){return this.#t}reset(){this.#i?.removeObserver(this),this.#i=void 0,this.#r(),this.#n()}mutate(t,e){return this.#e=e,this.#i?.removeObserver(this),this.#i=this.#s.getMutationCache().build(this.#s,this.options),this.#i.addObserver(this),this.#i.execute(t)}#r(){const t=this.#i?.state??Y();this.#t={...t,isPending:t.status==="pending",isSuccess:t.status==="success",isError:t.status==="error",isIdle:t.status==="idle",mutate:this.mutate,reset:this.reset}}#n(t){x.batch(()=>{if(this.#e&&this.hasListeners()){const e=this.#t.variables,s=this.#t.context;t?.type==="success"?(this.#e.onSuccess?.(t.data,e,s),this.#e.onSettled?.(t.data,null,e,s)):t?.type==="error"&&(this.#e.onError?.(t.error,e,s),this.#e.onSettled?.(void 0,t.error,e,s))}this.listeners.forEach(e=>{e(this.#t)})})}},W=l.createContext(!1),it=()=>l.useContext(W);W.Provider;function rt(){let t=!1;return{clearReset:()=>{t=!1},reset:()=>{t=!0},isReset:()=>t}}var nt=l.createContext(rt()),at=()=>l.useContext(nt),ot=(t,e)=>{(t.suspense||t.throwOnError||t.experimental_prefetchInRender)&&(e.isReset()||(t.retryOnMount=!1))},ht=t=>{l.useEffect(()=>{t.clearReset()},[t])},ct=({result:t,errorResetBoundary:e,throwOnError:s,query:i,suspense:r})=>t.isError&&!e.isReset()&&!t.isFetching&&i&&(r&&t.data===void 0||z(s,[t.error,i])),ut=t=>{if(t.suspense){const e=i=>i==="static"?i:Math.max(i??1e3,1e3),s=t.staleTime;t.staleTime=typeof s=="function"?(...i)=>e(s(...i)):e(s),typeof t.gcTime=="number"&&(t.gcTime=Math.max(t.gcTime,1e3))}},lt=(t,e)=>t.isLoading&&t.isFetching&&!e,dt=(t,e)=>t?.suspense&&e.isPending,V=(t,e,s)=>e.fetchOptimistic(t).catch(()=>{s.clearReset()});function ft(t,e,s){const i=it(),r=at(),n=U(),a=n.defaultQueryOptions(t);n.getDefaultOptions().queries?._experimental_beforeQuery?.(a),a._optimisticResults=i?"isRestoring":"optimistic",ut(a),ot(a,r),ht(r);const b=!n.getQueryCache().get(a.queryHash),[h]=l.useState(()=>new e(n,a)),p=h.getOptimisticResult(a),o=!i&&t.subscribed!==!1;if(l.useSyncExternalStore(l.useCallback(g=>{const c=o?h.subscribe(x.batchCalls(g)):S;return h.updateResult(),c},[h,o]),()=>h.getCurrentResult(),()=>h.getCurrentResult()),l.useEffect(()=>{h.setOptions(a)},[a,h]),dt(a,p))throw V(a,h,r);if(ct({result:p,errorResetBoundary:r,throwOnError:a.throwOnError,query:n.getQueryCache().get(a.queryHash),suspense:a.suspense}))throw p.error;return n.getDefaultOptions().queries?._experimental_afterQuery?.(a,p),a.experimental_prefetchInRender&&!T&&lt(p,i)&&(b?V(a,h,r):n.getQueryCache().get(a.queryHash)?.promise)?.catch(S).finally(()=>{h.updateResult()}),a.notifyOnChangeProps?p:h.trackResult(p)}function pt(t,e){return ft(t,$)}function mt(t,e){const s=U(),[i]=l.useState(()=>new st(s,t));l.useEffect(()=>{i.setOptions(t)},[i,t]);const r=l.useSyncExternalStore(l.useCallback(a=>i.subscribe(x.batchCalls(a)),[i]),()=>i.getCurrentResult(),()=>i.getCurrentResult()),n=l.useCallback((a,b)=>{i.mutate(a,b).catch(S)},[i]);if(r.error&&z(i.options.throwOnError,[r.error]))throw r.error;return{...r,mutate:n,mutateAsync:r.mutate}}function yt(){return pt({queryKey:["vendors"],queryFn:async()=>{let t=0;for(;!window.db&&t<50;)await new Promise(s=>setTimeout(s,100)),t++;const e=window.db;if(!e)throw new Error("Firebase database not available after waiting");try{const s=await e.collection("posts").get(),i=[];return s.forEach(r=>{const n=r.data();n?.title&&n?.vendor&&n?.city&&i.push({id:r.id,title:n.title,price:n.price||0,vendor:n.vendor,city:n.city,description:n.description||"",created:n.created,userId:n.userId||"",lat:n.lat||41.824,lng:n.lng||-71.4128,images:n.images||[]})}),i}catch(s){throw console.error("Error fetching vendors:",s),s}},staleTime:3e4,refetchInterval:6e4,retry:3,retryDelay:2e3,enabled:!0})}function gt(){const t=U();return mt({mutationFn:async e=>(await window.db.collection("posts").add({...e,created:new Date})).id,onSuccess:()=>{t.invalidateQueries({queryKey:["vendors"]})}})}function Rt({currentPage:t="map"}){const{user:e,userProfile:s}=Z(),i=()=>{window.authManager?.showSignInModal()},r=()=>{window.authManager?.showSignUpModal()};return u.jsx("header",{className:"header",children:u.jsxs("div",{className:"header-content",children:[u.jsxs("div",{className:"header-left",children:[u.jsx("h1",{className:"header-title",children:"PacksList"}),u.jsx("span",{className:"header-subtitle",children:"Find a Plug 🔌"})]}),u.jsxs("nav",{className:"header-nav",children:[u.jsx("a",{href:"index.html",className:t==="map"?"active":"",children:"🗺️ Map"}),u.jsx("a",{href:"listings.html",className:t==="listings"?"active":"",children:"📋 Browse"}),u.jsx("a",{href:"new.html",className:t==="new"?"active":"",children:"➕ Post"}),e?u.jsx("a",{href:"account.html",className:t==="account"?"active":"",children:"👤 Account"}):u.jsxs("div",{className:"auth-buttons",children:[u.jsx("button",{onClick:i,className:"sign-in-btn",children:"Sign In"}),u.jsx("button",{onClick:r,className:"sign-up-btn",children:"Sign Up"})]}),s?.role==="admin"&&u.jsx("a",{href:"admin/admin-panel.html",className:"admin-link",children:"👑 Admin"})]})]})})}export{Rt as H,yt as a,gt as b,pt as u};
+import{S as q,p as L,a as f,s as C,b as R,n as S,i as T,d as _,t as G,f as J,e as X,g as A,h as x,k as B,l as Y,r as l,m as z,o as U,u as Z,j as u}from"./useAuth-g5JMFC9x.js";var $=class extends q{constructor(t,e){super(),this.options=e,this.#s=t,this.#o=null,this.#a=L(),this.bindMethods(),this.setOptions(e)}#s;#t=void 0;#i=void 0;#e=void 0;#r;#n;#a;#o;#m;#d;#f;#c;#u;#h;#p=new Set;bindMethods(){this.refetch=this.refetch.bind(this)}onSubscribe(){this.listeners.size===1&&(this.#t.addObserver(this),H(this.#t,this.options)?this.#l():this.updateResult(),this.#g())}onUnsubscribe(){this.hasListeners()||this.destroy()}shouldFetchOnReconnect(){return M(this.#t,this.options,this.options.refetchOnReconnect)}shouldFetchOnWindowFocus(){return M(this.#t,this.options,this.options.refetchOnWindowFocus)}destroy(){this.listeners=new Set,this.#R(),this.#O(),this.#t.removeObserver(this)}setOptions(t){const e=this.options,s=this.#t;if(this.options=this.#s.defaultQueryOptions(t),this.options.enabled!==void 0&&typeof this.options.enabled!="boolean"&&typeof this.options.enabled!="function"&&typeof f(this.options.enabled,this.#t)!="boolean")throw new Error("Expected enabled to be a boolean or a callback that returns a boolean");this.#w(),this.#t.setOptions(this.options),e._defaulted&&!C(this.options,e)&&this.#s.getQueryCache().notify({type:"observerOptionsUpdated",query:this.#t,observer:this});const i=this.hasListeners();i&&K(this.#t,s,this.options,e)&&this.#l(),this.updateResult(),i&&(this.#t!==s||f(this.options.enabled,this.#t)!==f(e.enabled,this.#t)||R(this.options.staleTime,this.#t)!==R(e.staleTime,this.#t))&&this.#b();const r=this.#v();i&&(this.#t!==s||f(this.options.enabled,this.#t)!==f(e.enabled,this.#t)||r!==this.#h)&&this.#y(r)}getOptimisticResult(t){const e=this.#s.getQueryCache().build(this.#s,t),s=this.createResult(e,t);return et(this,s)&&(this.#e=s,this.#n=this.options,this.#r=this.#t.state),s}getCurrentResult(){return this.#e}trackResult(t,e){return new Proxy(t,{get:(s,i)=>(this.trackProp(i),e?.(i),i==="promise"&&!this.options.experimental_prefetchInRender&&this.#a.status==="pending"&&this.#a.reject(new Error("experimental_prefetchInRender feature flag is not enabled")),Reflect.get(s,i))})}trackProp(t){this.#p.add(t)}getCurrentQuery(){return this.#t}refetch({...t}={}){return this.fetch({...t})}fetchOptimistic(t){const e=this.#s.defaultQueryOptions(t),s=this.#s.getQueryCache().build(this.#s,e);return s.fetch().then(()=>this.createResult(s,e))}fetch(t){return this.#l({...t,cancelRefetch:t.cancelRefetch??!0}).then(()=>(this.updateResult(),this.#e))}#l(t){this.#w();let e=this.#t.fetch(this.options,t);return t?.throwOnError||(e=e.catch(S)),e}#b(){this.#R();const t=R(this.options.staleTime,this.#t);if(T||this.#e.isStale||!_(t))return;const s=G(this.#e.dataUpdatedAt,t)+1;this.#c=setTimeout(()=>{this.#e.isStale||this.updateResult()},s)}#v(){return(typeof this.options.refetchInterval=="function"?this.options.refetchInterval(this.#t):this.options.refetchInterval)??!1}#y(t){this.#O(),this.#h=t,!(T||f(this.options.enabled,this.#t)===!1||!_(this.#h)||this.#h===0)&&(this.#u=setInterval(()=>{(this.options.refetchIntervalInBackground||J.isFocused())&&this.#l()},this.#h))}#g(){this.#b(),this.#y(this.#v())}#R(){this.#c&&(clearTimeout(this.#c),this.#c=void 0)}#O(){this.#u&&(clearInterval(this.#u),this.#u=void 0)}createResult(t,e){const s=this.#t,i=this.options,r=this.#e,n=this.#r,a=this.#n,h=t!==s?t.state:this.#i,{state:p}=t;let o={...p},g=!1,c;if(e._optimisticResults){const d=this.hasListeners(),O=!d&&H(t,e),y=d&&K(t,s,e,i);(O||y)&&(o={...o,...X(p.data,t.options)}),e._optimisticResults==="isRestoring"&&(o.fetchStatus="idle")}let{error:j,errorUpdatedAt:P,status:v}=o;c=o.data;let D=!1;if(e.placeholderData!==void 0&&c===void 0&&v==="pending"){let d;r?.isPlaceholderData&&e.placeholderData===a?.placeholderData?(d=r.data,D=!0):d=typeof e.placeholderData=="function"?e.placeholderData(this.#f?.state.data,this.#f):e.placeholderData,d!==void 0&&(v="success",c=A(r?.data,d,e),g=!0)}if(e.select&&c!==void 0&&!D)if(r&&c===n?.data&&e.select===this.#m)c=this.#d;else try{this.#m=e.select,c=e.select(c),c=A(r?.data,c,e),this.#d=c,this.#o=null}catch(d){this.#o=d}this.#o&&(j=this.#o,c=this.#d,P=Date.now(),v="error");const E=o.fetchStatus==="fetching",I=v==="pending",Q=v==="error",k=I&&E,N=c!==void 0,m={status:v,fetchStatus:o.fetchStatus,isPending:I,isSuccess:v==="success",isError:Q,isInitialLoading:k,isLoading:k,data:c,dataUpdatedAt:o.dataUpdatedAt,error:j,errorUpdatedAt:P,failureCount:o.fetchFailureCount,failureReason:o.fetchFailureReason,errorUpdateCount:o.errorUpdateCount,isFetched:o.dataUpdateCount>0||o.errorUpdateCount>0,isFetchedAfterMount:o.dataUpdateCount>h.dataUpdateCount||o.errorUpdateCount>h.errorUpdateCount,isFetching:E,isRefetching:E&&!I,isLoadingError:Q&&!N,isPaused:o.fetchStatus==="paused",isPlaceholderData:g,isRefetchError:Q&&N,isStale:F(t,e),refetch:this.refetch,promise:this.#a,isEnabled:f(e.enabled,t)!==!1};if(this.options.experimental_prefetchInRender){const d=w=>{m.status==="error"?w.reject(m.error):m.data!==void 0&&w.resolve(m.data)},O=()=>{const w=this.#a=m.promise=L();d(w)},y=this.#a;switch(y.status){case"pending":t.queryHash===s.queryHash&&d(y);break;case"fulfilled":(m.status==="error"||m.data!==y.value)&&O();break;case"rejected":(m.status!=="error"||m.error!==y.reason)&&O();break}}return m}updateResult(){const t=this.#e,e=this.createResult(this.#t,this.options);if(this.#r=this.#t.state,this.#n=this.options,this.#r.data!==void 0&&(this.#f=this.#t),C(e,t))return;this.#e=e;const s=()=>{if(!t)return!0;const{notifyOnChangeProps:i}=this.options,r=typeof i=="function"?i():i;if(r==="all"||!r&&!this.#p.size)return!0;const n=new Set(r??this.#p);return this.options.throwOnError&&n.add("error"),Object.keys(this.#e).some(a=>{const b=a;return this.#e[b]!==t[b]&&n.has(b)})};this.#C({listeners:s()})}#w(){const t=this.#s.getQueryCache().build(this.#s,this.options);if(t===this.#t)return;const e=this.#t;this.#t=t,this.#i=t.state,this.hasListeners()&&(e?.removeObserver(this),t.addObserver(this))}onQueryUpdate(){this.updateResult(),this.hasListeners()&&this.#g()}#C(t){x.batch(()=>{t.listeners&&this.listeners.forEach(e=>{e(this.#e)}),this.#s.getQueryCache().notify({query:this.#t,type:"observerResultsUpdated"})})}};function tt(t,e){return f(e.enabled,t)!==!1&&t.state.data===void 0&&!(t.state.status==="error"&&e.retryOnMount===!1)}function H(t,e){return tt(t,e)||t.state.data!==void 0&&M(t,e,e.refetchOnMount)}function M(t,e,s){if(f(e.enabled,t)!==!1&&R(e.staleTime,t)!=="static"){const i=typeof s=="function"?s(t):s;return i==="always"||i!==!1&&F(t,e)}return!1}function K(t,e,s,i){return(t!==e||f(i.enabled,t)===!1)&&(!s.suspense||t.state.status!=="error")&&F(t,s)}function F(t,e){return f(e.enabled,t)!==!1&&t.isStaleByTime(R(e.staleTime,t))}function et(t,e){return!C(t.getCurrentResult(),e)}var st=class extends q{#s;#t=void 0;#i;#e;constructor(t,e){super(),this.#s=t,this.setOptions(e),this.bindMethods(),this.#r()}bindMethods(){this.mutate=this.mutate.bind(this),this.reset=this.reset.bind(this)}setOptions(t){const e=this.options;this.options=this.#s.defaultMutationOptions(t),C(this.options,e)||this.#s.getMutationCache().notify({type:"observerOptionsUpdated",mutation:this.#i,observer:this}),e?.mutationKey&&this.options.mutationKey&&B(e.mutationKey)!==B(this.options.mutationKey)?this.reset():this.#i?.state.status==="pending"&&this.#i.setOptions(this.options)}onUnsubscribe(){this.hasListeners()||this.#i?.removeObserver(this)}onMutationUpdate(t){this.#r(),this.#n(t)}getCurrentResult(){return this.#t}reset(){this.#i?.removeObserver(this),this.#i=void 0,this.#r(),this.#n()}mutate(t,e){return this.#e=e,this.#i?.removeObserver(this),this.#i=this.#s.getMutationCache().build(this.#s,this.options),this.#i.addObserver(this),this.#i.execute(t)}#r(){const t=this.#i?.state??Y();this.#t={...t,isPending:t.status==="pending",isSuccess:t.status==="success",isError:t.status==="error",isIdle:t.status==="idle",mutate:this.mutate,reset:this.reset}}#n(t){x.batch(()=>{if(this.#e&&this.hasListeners()){const e=this.#t.variables,s=this.#t.context;t?.type==="success"?(this.#e.onSuccess?.(t.data,e,s),this.#e.onSettled?.(t.data,null,e,s)):t?.type==="error"&&(this.#e.onError?.(t.error,e,s),this.#e.onSettled?.(void 0,t.error,e,s))}this.listeners.forEach(e=>{e(this.#t)})})}},W=l.createContext(!1),it=()=>l.useContext(W);W.Provider;function rt(){let t=!1;return{clearReset:()=>{t=!1},reset:()=>{t=!0},isReset:()=>t}}var nt=l.createContext(rt()),at=()=>l.useContext(nt),ot=(t,e)=>{(t.suspense||t.throwOnError||t.experimental_prefetchInRender)&&(e.isReset()||(t.retryOnMount=!1))},ht=t=>{l.useEffect(()=>{t.clearReset()},[t])},ct=({result:t,errorResetBoundary:e,throwOnError:s,query:i,suspense:r})=>t.isError&&!e.isReset()&&!t.isFetching&&i&&(r&&t.data===void 0||z(s,[t.error,i])),ut=t=>{if(t.suspense){const e=i=>i==="static"?i:Math.max(i??1e3,1e3),s=t.staleTime;t.staleTime=typeof s=="function"?(...i)=>e(s(...i)):e(s),typeof t.gcTime=="number"&&(t.gcTime=Math.max(t.gcTime,1e3))}},lt=(t,e)=>t.isLoading&&t.isFetching&&!e,dt=(t,e)=>t?.suspense&&e.isPending,V=(t,e,s)=>e.fetchOptimistic(t).catch(()=>{s.clearReset()});function ft(t,e,s){const i=it(),r=at(),n=U(),a=n.defaultQueryOptions(t);n.getDefaultOptions().queries?._experimental_beforeQuery?.(a),a._optimisticResults=i?"isRestoring":"optimistic",ut(a),ot(a,r),ht(r);const b=!n.getQueryCache().get(a.queryHash),[h]=l.useState(()=>new e(n,a)),p=h.getOptimisticResult(a),o=!i&&t.subscribed!==!1;if(l.useSyncExternalStore(l.useCallback(g=>{const c=o?h.subscribe(x.batchCalls(g)):S;return h.updateResult(),c},[h,o]),()=>h.getCurrentResult(),()=>h.getCurrentResult()),l.useEffect(()=>{h.setOptions(a)},[a,h]),dt(a,p))throw V(a,h,r);if(ct({result:p,errorResetBoundary:r,throwOnError:a.throwOnError,query:n.getQueryCache().get(a.queryHash),suspense:a.suspense}))throw p.error;return n.getDefaultOptions().queries?._experimental_afterQuery?.(a,p),a.experimental_prefetchInRender&&!T&&lt(p,i)&&(b?V(a,h,r):n.getQueryCache().get(a.queryHash)?.promise)?.catch(S).finally(()=>{h.updateResult()}),a.notifyOnChangeProps?p:h.trackResult(p)}function pt(t,e){return ft(t,$)}function mt(t,e){const s=U(),[i]=l.useState(()=>new st(s,t));l.useEffect(()=>{i.setOptions(t)},[i,t]);const r=l.useSyncExternalStore(l.useCallback(a=>i.subscribe(x.batchCalls(a)),[i]),()=>i.getCurrentResult(),()=>i.getCurrentResult()),n=l.useCallback((a,b)=>{i.mutate(a,b).catch(S)},[i]);if(r.error&&z(i.options.throwOnError,[r.error]))throw r.error;return{...r,mutate:n,mutateAsync:r.mutate}}function yt(t={}){return pt({queryKey:["vendors",t],queryFn:async()=>{try{return await window.listingsQuery.fetchMapListings(t)}catch(e){throw console.error("Error fetching vendors:",e),e}},staleTime:3e4,refetchInterval:6e4,retry:3,retryDelay:2e3,enabled:!0})}function xt(t={}){const e=U(),s=window.listingsQuery,i=["vendors","listings",s.normalizeFilters(t)],r=pt({queryKey:i,queryFn:async()=>{const a=await s.fetchPage(t);return{pages:[a.listings],cursor:a.cursor,hasMore:a.hasMore}},staleTime:3e4,refetchOnWindowFocus:!1,placeholderData:c=>c,retry:3,retryDelay:2e3}),[n,a]=l.useState(!1),o=JSON.stringify(i),h=l.useCallback(async()=>{const b=e.getQueryData(i);if(!(!b?.hasMore||n)){a(!0);try{const c=await s.fetchPage(t,b.cursor);e.setQueryData(i,p=>p&&p.cursor===b.cursor?{pages:[...p.pages,c.listings],cursor:c.cursor,hasMore:c.hasMore}:p)}catch(c){console.error("Error fetching more vendors:",c)}finally{a(!1)}}},[e,o,n]);return{...r,listings:r.data?r.data.pages.flat():[],hasNextPage:!!r.data?.hasMore,isFetchingNextPage:n,fetchNextPage:h}}function gt(){const t=U();return mt({mutationFn:async e=>{const{id:o,...p}=e,c=window.db.collection("posts"),r=o?c.doc(o):c.doc();const w=await window.postManager.computeExpiresAt(p.vendor),g=window.geoIndex?await window.geoIndex.locationForCity(p.city):{};return await r.set({...p,...g,status:"pending",created:firebase.firestore.FieldValue.serverTimestamp(),expiresAt:w,...window.searchIndex?{searchTokens:window.searchIndex.buildPostTokens(p)}:{}}),r.id},onSuccess:()=>{t.invalidateQueries({queryKey:["vendors"]})}})}function Rt({currentPage:t="map"}){const{user:e,userProfile:s}=Z(),[n,a]=l.useState(0);l.useEffect(()=>window.messageManager?.onUnreadCountChange(a),[]);const i=()=>{window.authManager?.showSignInModal()},r=()=>{window.authManager?.showSignUpModal()};return u.jsx("header",{className:"header",children:u.jsxs("div",{className:"header-content",children:[u.jsxs("div",{className:"header-left",children:[u.jsx("h1",{className:"header-title",children:"PacksList"}),u.jsx("span",{className:"header-subtitle",children:"Find a Plug 🔌"})]}),u.jsxs("nav",{className:"header-nav",children:[u.jsx("a",{href:"index.html",className:t==="map"?"active":"",children:"🗺️ Map"}),u.jsx("a",{href:"listings.html",className:t==="listings"?"active":"",children:"📋 Browse"}),u.jsx("a",{href:"new.html",className:t==="new"?"active":"",children:"➕ Post"}),e&&u.jsxs("a",{href:"messages.html",className:t==="messages"?"active":"",children:["💬 Messages",n>0&&u.jsx("span",{className:"nav-badge",children:n})]}),e?u.jsx("a",{href:"account.html",className:t==="account"?"active":"",children:"👤 Account"}):u.jsxs("div",{className:"auth-buttons",children:[u.jsx("button",{onClick:i,className:"sign-in-btn",children:"Sign In"}),u.jsx("button",{onClick:r,className:"sign-up-btn",children:"Sign Up"})]}),window.authManager?.isAdminUser&&u.jsx("a",{href:"admin/admin-panel.html",className:"admin-link",children:"👑 Admin"})]})]})})}function Ct(t){const[e,s]=l.useState(()=>window.configManager?.getConfig(t)||{});return l.useEffect(()=>{const i=window.configManager;if(i)return i.loadConfigType(t).then(()=>s(i.getConfig(t))),i.onConfigUpdate((r,n)=>{n?.type===t&&s(i.getConfig(t))})},[t]),e}export{Rt as H,yt as a,gt as b,xt as c,Ct as d,pt as u};
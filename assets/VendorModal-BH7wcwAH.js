@@ -1 +1 @@
-import{j as e}from"./useAuth-g5JMFC9x.js";function h({vendor:s,isOpen:a,onClose:c}){if(!a||!s)return null;const o={"bozo-headstash":{color:"#8e44ad",icon:"B"},gumbo:{color:"#e74c3c",icon:"G"},"deep-fried":{color:"#f39c12",icon:"D"},"high-tolerance":{color:"#3498db",icon:"H"},other:{color:"#95a5a6",icon:"O"}},n=o[s.vendor]||o.other,t=s.inStock?"in-stock":"low-stock",l=s.inStock?"✓ In Stock":"⚠ Low Stock",r=s.city.replace(/-/g," ").replace(/\b\w/g,i=>i.toUpperCase()),d=()=>{alert(`Messaging feature coming soon! Contact info for vendor: ${s.id}`)};return e.jsx("div",{className:"vendor-modal active",onClick:c,children:e.jsxs("div",{className:"modal-content",onClick:i=>i.stopPropagation(),children:[e.jsx("div",{className:"modal-header",children:e.jsx("button",{className:"close-btn",onClick:c,children:"✕"})}),e.jsxs("div",{className:"modal-body",children:[e.jsxs("div",{className:"vendor-card-header",children:[e.jsx("div",{className:`vendor-avatar ${s.vendor}`,style:{background:n.color},children:n.icon}),e.jsxs("div",{className:"vendor-info",children:[e.jsx("h3",{children:s.vendorDisplay}),e.jsxs("div",{className:"vendor-location",children:["📍 ",r]})]})]}),e.jsxs("div",{style:{margin:"20px 0"},children:[e.jsx("h4",{children:s.title}),e.jsx("p",{style:{margin:"10px 0",color:"#6c757d"},children:s.description||"Premium quality product available now."}),e.jsxs("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"center",margin:"15px 0"},children:[e.jsxs("div",{className:"vendor-price",style:{fontSize:"20px"},children:["$",s.price]}),e.jsxs("div",{style:{display:"flex",gap:"10px",alignItems:"center"},children:[e.jsxs("div",{className:"vendor-rating",children:["⭐ ",s.rating.toFixed(1)]}),e.jsx("div",{className:`vendor-status ${t}`,children:l}),s.verified&&e.jsx("div",{className:"vendor-status verified",children:"✓ Verified"})]})]}),e.jsx("button",{className:"message-btn",style:{width:"100%",marginTop:"20px"},onClick:d,children:"💬 Message Vendor"})]})]})]})})}export{h as V};
+import{r as m,j as e}from"./useAuth-g5JMFC9x.js";function h({vendor:s,isOpen:a,onClose:c}){const u=m.useRef(null);if(m.useEffect(()=>{a&&s&&u.current&&window.reviewManager?.renderReviews(u.current,s)},[a,s]),!a||!s)return null;const o={"bozo-headstash":{color:"#8e44ad",icon:"B"},gumbo:{color:"#e74c3c",icon:"G"},"deep-fried":{color:"#f39c12",icon:"D"},"high-tolerance":{color:"#3498db",icon:"H"},other:{color:"#95a5a6",icon:"O"}},n=o[s.vendor]||o.other,t=s.inStock?"in-stock":"low-stock",l=s.inStock?"✓ In Stock":"⚠ Low Stock",r=window.cityRegistry?.getCity(s.city)?.name||s.city.replace(/-/g," ").replace(/\b\w/g,i=>i.toUpperCase()),d=()=>{window.messageManager?.startConversation(s)},p=window.configManager;return e.jsx("div",{className:"vendor-modal active",onClick:c,children:e.jsxs("div",{className:"modal-content",onClick:i=>i.stopPropagation(),children:[e.jsx("div",{className:"modal-header",children:e.jsx("button",{className:"close-btn",onClick:c,children:"✕"})}),e.jsxs("div",{className:"modal-body",children:[(!p||p.shouldShowVendorInfo("modal"))&&e.jsxs("div",{className:"vendor-card-header",children:[e.jsx("div",{className:`vendor-avatar ${s.vendor}`,style:{background:n.color},children:n.icon}),e.jsxs("div",{className:"vendor-info",children:[e.jsx("h3",{children:s.vendorDisplay}),e.jsxs("div",{className:"vendor-location",children:["📍 ",r]})]})]}),s.images?.length>0&&e.jsx("div",{className:"vendor-gallery",children:s.images.map(i=>e.jsx("img",{src:i,alt:s.title,loading:"lazy"},i))}),e.jsxs("div",{style:{margin:"20px 0"},children:[e.jsx("h4",{children:s.title}),e.jsx("p",{style:{margin:"10px 0",color:"#6c757d"},children:s.description||"Premium quality product available now."}),e.jsxs("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"center",margin:"15px 0"},children:[e.jsxs("div",{className:"vendor-price",style:{fontSize:"20px"},children:["$",s.price]}),e.jsxs("div",{style:{display:"flex",gap:"10px",alignItems:"center"},children:[e.jsxs("div",{className:"vendor-rating",children:["⭐ ",s.reviewCount?`${s.rating.toFixed(1)} (${s.reviewCount})`:"New"]}),e.jsx("div",{className:`vendor-status ${t}`,children:l}),s.verified&&e.jsx("div",{className:"vendor-status verified",children:"✓ Verified"})]})]}),e.jsx("button",{className:"message-btn",style:{width:"100%",marginTop:"20px"},onClick:d,children:"💬 Message Vendor"}),e.jsx("div",{className:"vendor-reviews",ref:u,children:"Loading reviews..."})]})]})]})})}export{h as V};
@@ -1 +1 @@
-import{r as i,j as e,c as f,Q as y}from"./useAuth-g5JMFC9x.js";/* empty css               */import{a as b,H as k}from"./Header-COD7X1WY.js";import{V as C}from"./VendorModal-BH7wcwAH.js";function S(){const{data:s=[],isLoading:u,error:o}=b(),[c,l]=i.useState(""),[t,x]=i.useState(null),d={providence:{lat:41.824,lng:-71.4128},woonsocket:{lat:42.0029,lng:-71.5153},newport:{lat:41.4901,lng:-71.3128},"southcoast-ma":{lat:41.6362,lng:-70.9342},boston:{lat:42.3601,lng:-71.0589},cambridge:{lat:42.3736,lng:-71.1097},worcester:{lat:42.2626,lng:-71.8023},"north-shore-ma":{lat:42.5584,lng:-70.8648}},n=i.useMemo(()=>s.map(r=>{const a=d[r.city]||d.providence,m=.01,p=a.lat+(Math.random()-.5)*m,N=a.lng+(Math.random()-.5)*m;let j=r.vendor;return j.toLowerCase().includes("sprinklez")&&(j="Bozo Headstash"),{...r,vendor:j.toLowerCase().replace(/\s+/g,"-"),vendorDisplay:j,lat:p,lng:N,rating:Math.random()*2+3,inStock:Math.random()>.3,verified:Math.random()>.5}}),[s]),v=i.useMemo(()=>{let r=n;if(t&&(r=r.filter(a=>a.city===t),r.length===0&&(r=n)),c.trim()){const a=c.toLowerCase();r=r.filter(m=>m.title.toLowerCase().includes(a)||m.vendor.toLowerCase().includes(a)||m.city.toLowerCase().includes(a))}return r},[n,c,t]),g=r=>{x(r)},h=r=>{l(r)};return{vendors:n,filteredVendors:v,loading:u,error:o?.message||null,filterByCity:g,searchVendors:h,refetch:()=>{}}}function w({vendor:s,onClick:u}){const[o,c]=i.useState(!1),l={"bozo-headstash":{color:"#8e44ad",icon:"B"},gumbo:{color:"#e74c3c",icon:"G"},"deep-fried":{color:"#f39c12",icon:"D"},"high-tolerance":{color:"#3498db",icon:"H"},other:{color:"#95a5a6",icon:"O"}},t=l[s.vendor]||l.other,x=s.inStock?"in-stock":"low-stock",d=s.inStock?"✓ In Stock":"⚠ Low Stock",n=s.city.replace(/-/g," ").replace(/\b\w/g,v=>v.toUpperCase());return e.jsxs("div",{className:"vendor-card",onClick:()=>u(s),children:[s.images&&s.images.length>0&&!o&&e.jsxs("div",{className:"vendor-card-images",children:[e.jsx("img",{src:s.images[0],alt:s.title,className:"vendor-main-image",onError:()=>c(!0)}),s.images.length>1&&e.jsxs("div",{className:"image-count",children:["+",s.images.length-1]})]}),e.jsxs("div",{className:"vendor-card-header",children:[e.jsx("div",{className:`vendor-avatar ${s.vendor}`,style:{background:t.color},children:t.icon}),e.jsxs("div",{className:"vendor-info",children:[e.jsx("h3",{children:s.vendorDisplay}),e.jsxs("div",{className:"vendor-location",children:["📍 ",n]})]})]}),e.jsxs("div",{className:"vendor-card-body",children:[e.jsx("div",{className:"vendor-title",children:s.title}),e.jsx("div",{className:"vendor-description",children:s.description||"Premium quality product"})]}),e.jsxs("div",{className:"vendor-card-footer",children:[e.jsxs("div",{className:"vendor-price",children:["$",s.price]}),e.jsxs("div",{className:"vendor-meta",children:[e.jsxs("div",{className:"vendor-rating",children:["⭐ ",s.rating.toFixed(1)]}),e.jsx("div",{className:`vendor-status ${x}`,children:d}),s.verified&&e.jsx("div",{className:"vendor-status verified",children:"✓ Verified"})]})]})]})}function V(){const{filteredVendors:s,loading:u,error:o,searchVendors:c}=S(),[l,t]=i.useState(null),[x,d]=i.useState(""),[n,v]=i.useState("all"),g=a=>{d(a),c(a)},h=a=>{v(a)},r=s.filter(a=>n==="all"?!0:a.vendor===n);return u?e.jsx("div",{className:"listings-container",children:e.jsx("div",{className:"loading-state",children:"Loading packs..."})}):o?e.jsx("div",{className:"listings-container",children:e.jsxs("div",{className:"error-state",children:["Error: ",o]})}):e.jsxs("div",{className:"listings-container",children:[e.jsxs("div",{className:"listings-header",children:[e.jsx("h1",{className:"listings-title",children:"Browse Packs"}),e.jsxs("p",{className:"listings-subtitle",children:[r.length," packs available"]})]}),e.jsxs("div",{className:"search-filters",children:[e.jsx("div",{className:"search-container",children:e.jsx("input",{type:"text",className:"search-input",placeholder:"Search nearby vendors and strains",value:x,onChange:a=>g(a.target.value)})}),e.jsxs("div",{className:"filter-pills",children:[e.jsx("button",{className:`filter-pill ${n==="all"?"active":""}`,onClick:()=>h("all"),children:"All"}),e.jsx("button",{className:`filter-pill ${n==="bozo-headstash"?"active":""}`,onClick:()=>h("bozo-headstash"),children:"Bozo Headstash"}),e.jsx("button",{className:`filter-pill ${n==="gumbo"?"active":""}`,onClick:()=>h("gumbo"),children:"Gumbo"}),e.jsx("button",{className:`filter-pill ${n==="deep-fried"?"active":""}`,onClick:()=>h("deep-fried"),children:"Deep Fried"})]})]}),e.jsx("div",{className:"vendor-grid",children:r.length===0?e.jsx("div",{className:"no-results",children:e.jsx("p",{children:"No packs found matching your search."})}):r.map(a=>e.jsx(w,{vendor:a,onClick:t},a.id))}),e.jsx(C,{vendor:l,isOpen:!!l,onClose:()=>t(null)})]})}function L(){return e.jsxs("div",{className:"app-container",children:[e.jsx(k,{currentPage:"listings"}),e.jsx("main",{className:"main-content",children:e.jsx(V,{})}),e.jsx("div",{className:"bottom-toolbar",children:e.jsxs("nav",{className:"toolbar-nav",children:[e.jsxs("a",{href:"index.html",className:"nav-item",children:[e.jsx("span",{className:"nav-icon",children:"🗺️"}),e.jsx("span",{children:"Map"})]}),e.jsxs("a",{href:"listings.html",className:"nav-item active",children:[e.jsx("span",{className:"nav-icon",children:"📋"}),e.jsx("span",{children:"Browse"})]}),e.jsxs("a",{href:"new.html",className:"nav-item",children:[e.jsx("span",{className:"nav-icon",children:"➕"}),e.jsx("span",{children:"Post"})]}),e.jsxs("a",{href:"account.html",className:"nav-item",children:[e.jsx("span",{className:"nav-icon",children:"👤"}),e.jsx("span",{children:"Account"})]})]})})]})}f.createRoot(document.getElementById("root")).render(e.jsx(i.StrictMode,{children:e.jsx(y,{children:e.jsx(L,{})})}));
+import{r as i,j as e,c as f,Q as y}from"./useAuth-g5JMFC9x.js";/* empty css               */import{H as k,c as I}from"./Header-COD7X1WY.js";import{V as C}from"./VendorModal-BH7wcwAH.js";function S(){const[c,l]=i.useState(""),[t,x]=i.useState({city:"",category:"",minPrice:"",maxPrice:"",radius:0}),[K,O]=i.useState(t),[Z,W]=i.useState(0),[X,Y]=i.useState(null),{listings:s,isLoading:u,error:o,hasNextPage:H,isFetchingNextPage:A,fetchNextPage:B}=I(K),[R,E]=i.useState({}),[P,T]=i.useState(null),[D,F]=i.useState(()=>window.searchIndex?.getPlaceholder()||"Search nearby vendors and strains");i.useEffect(()=>{const r=setTimeout(()=>O({...t,near:t.radius>0?window.locationManager?.getCurrentCoordinates()||null:null}),300);return()=>clearTimeout(r)},[t,Z]),i.useEffect(()=>{window.geoIndex?.loadSettings().then(Y);const r=()=>W(a=>a+1),a=window.locationManager;if(a)return a.onCityChange(r),()=>a.removeCityChangeListener(r)},[]),i.useEffect(()=>{const r=window.searchIndex;if(r)return r.load(),r.onUpdate(a=>F(a.getPlaceholder()))},[]),i.useEffect(()=>{if(!c.trim()||!window.searchIndex){T(null);return}let r=!1;const a=setTimeout(()=>{window.searchIndex.search(c).then(m=>{r||T(m.map(p=>window.listingsQuery.toListing(p.post.id,p.post)).filter(Boolean))}).catch(m=>{console.warn("Search index unavailable, filtering locally:",m),r||T(null)})},250);return()=>{r=!0,clearTimeout(a)}},[c]),i.useEffect(()=>{const r=[...s,...P||[]];r.length&&window.reviewManager?.getPostStatsMap(r.map(a=>a.id)).then(E)},[s,P]);const d=r=>{const a=window.cityRegistry?.getCoordinates(r.city)||{lat:41.824,lng:-71.4128},m=.01,p=a.lat+(Math.random()-.5)*m,N=a.lng+(Math.random()-.5)*m;let j=r.vendor;return j.toLowerCase().includes("sprinklez")&&(j="Bozo Headstash"),{...r,vendor:j.toLowerCase().replace(/\s+/g,"-"),vendorDisplay:j,lat:p,lng:N,rating:R[r.id]?.mean||0,reviewCount:R[r.id]?.count||0}},n=i.useMemo(()=>s.map(d),[s,R]),v=i.useMemo(()=>{if(c.trim()&&P)return P.filter(r=>window.listingsQuery.matchesFilters(r,K)).map(d);if(c.trim()){const r=c.toLowerCase();return n.filter(a=>a.title.toLowerCase().includes(r)||a.vendor.toLowerCase().includes(r)||a.city.toLowerCase().includes(r))}return n},[n,c,P,K,R]),g=r=>{x(a=>({...a,city:r||""}))},M=(r,a)=>{x(m=>({...m,[r]:a}))},h=r=>{l(r)};return{vendors:n,filteredVendors:v,loading:u,error:o?.message||null,filters:t,setFilter:M,maxRadius:X?.maxSearchRadius||50,nearMe:()=>M("radius",t.radius>0||!X?0:window.geoIndex.getDefaultRadius(X,window.locationManager?.getCurrentCity()?.key)),filterByCity:g,searchVendors:h,searchPlaceholder:D,hasMore:!c.trim()&&H,loadingMore:A,loadMore:B,refetch:()=>{}}}function w({vendor:s,onClick:u}){const[o,c]=i.useState(!1),l={"bozo-headstash":{color:"#8e44ad",icon:"B"},gumbo:{color:"#e74c3c",icon:"G"},"deep-fried":{color:"#f39c12",icon:"D"},"high-tolerance":{color:"#3498db",icon:"H"},other:{color:"#95a5a6",icon:"O"}},t=l[s.vendor]||l.other,x=s.inStock?"in-stock":"low-stock",d=s.inStock?"✓ In Stock":"⚠ Low Stock",n=window.cityRegistry?.getCity(s.city)?.name||s.city.replace(/-/g," ").replace(/\b\w/g,v=>v.toUpperCase()),g=window.configManager;return e.jsxs("div",{className:"vendor-card",onClick:()=>u(s),children:[s.images&&s.images.length>0&&!o&&e.jsxs("div",{className:"vendor-card-images",children:[e.jsx("img",{src:s.thumbnails?.[0]||s.images[0],alt:s.title,className:"vendor-main-image",loading:"lazy",onError:()=>c(!0)}),s.images.length>1&&e.jsxs("div",{className:"image-count",children:["+",s.images.length-1]})]}),e.jsxs("div",{className:"vendor-card-header",children:[(!g||g.shouldShowVendorInfo("avatar"))&&e.jsx("div",{className:`vendor-avatar ${s.vendor}`,style:{background:t.color},children:t.icon}),e.jsxs("div",{className:"vendor-info",children:[(!g||g.shouldShowVendorInfo("name"))&&e.jsx("h3",{children:s.vendorDisplay}),e.jsxs("div",{className:"vendor-location",children:["📍 ",n,s.distance!=null&&` · ${s.distance.toFixed(1)} mi`]})]})]}),e.jsxs("div",{className:"vendor-card-body",children:[e.jsx("div",{className:"vendor-title",children:s.title}),e.jsx("div",{className:"vendor-description",children:s.description||"Premium quality product"})]}),e.jsxs("div",{className:"vendor-card-footer",children:[e.jsxs("div",{className:"vendor-price",children:["$",s.price]}),e.jsxs("div",{className:"vendor-meta",children:[e.jsxs("div",{className:"vendor-rating",children:["⭐ ",s.reviewCount?`${s.rating.toFixed(1)} (${s.reviewCount})`:"New"]}),e.jsx("div",{className:`vendor-status ${x}`,children:d}),s.verified&&e.jsx("div",{className:"vendor-status verified",children:"✓ Verified"})]})]})]})}function V(){const{filteredVendors:s,loading:u,error:o,searchVendors:c,searchPlaceholder:D,filters:F,setFilter:G,maxRadius:X,nearMe:J,hasMore:H,loadingMore:A,loadMore:B}=S(),[l,t]=i.useState(null),[x,d]=i.useState(""),O=i.useRef(null),[,P]=i.useState(0),n=F.category||"all",g=a=>{d(a),c(a)},h=a=>{G("category",a==="all"?"":a)},r=s,K=window.complianceManager?.getDisclaimers(F.city?[window.complianceManager.getStateForCity(F.city)]:r.map(a=>window.complianceManager.getStateForCity(a.city)))||[];i.useEffect(()=>{window.complianceManager?.loadProfiles().then(()=>P(m=>m+1));const a=window.configManager;if(a)return Promise.all([a.loadStrings(),a.loadConfigType("vendor-display")]).then(()=>P(m=>m+1)),a.onConfigUpdate((m,p)=>{(m==="localeChanged"||p?.type==="ui-strings"||p?.type==="vendor-display")&&P(z=>z+1)})},[]),i.useEffect(()=>{const a=O.current;if(!a||!H)return;const m=new IntersectionObserver(p=>{p[0].isIntersecting&&B()},{rootMargin:"400px"});return m.observe(a),()=>m.disconnect()},[u,H,B,s.length]);return u?e.jsx("div",{className:"listings-container",children:e.jsx("div",{className:"loading-state",children:"Loading packs..."})}):o?e.jsx("div",{className:"listings-container",children:e.jsxs("div",{className:"error-state",children:["Error: ",o]})}):e.jsxs("div",{className:"listings-container",children:[e.jsxs("div",{className:"listings-header",children:[e.jsx("h1",{className:"listings-title",children:"Browse Packs"}),e.jsxs("p",{className:"listings-subtitle",children:window.configManager?window.configManager.t(H?"packCountMore":"packCount",{count:r.length}):[r.length,H?"+":""," packs available"]})]}),e.jsxs("div",{className:"search-filters",children:[e.jsx("div",{className:"search-container",children:e.jsx("input",{type:"text",className:"search-input",placeholder:D,value:x,onChange:a=>g(a.target.value)})}),e.jsxs("div",{className:"filter-pills",children:[e.jsx("button",{className:`filter-pill ${n==="all"?"active":""}`,onClick:()=>h("all"),children:"All"}),e.jsx("button",{className:`filter-pill ${n==="bozo-headstash"?"active":""}`,onClick:()=>h("bozo-headstash"),children:"Bozo Headstash"}),e.jsx("button",{className:`filter-pill ${n==="gumbo"?"active":""}`,onClick:()=>h("gumbo"),children:"Gumbo"}),e.jsx("button",{className:`filter-pill ${n==="deep-fried"?"active":""}`,onClick:()=>h("deep-fried"),children:"Deep Fried"}),e.jsx("button",{className:`filter-pill ${F.radius>0?"active":""}`,onClick:J,children:"📍 Near me"})]}),e.jsxs("div",{className:"filter-row",children:[e.jsxs("select",{className:"filter-select",value:F.city,disabled:F.radius>0,onChange:a=>G("city",a.target.value),children:[e.jsx("option",{value:"",children:"All cities"}),(window.cityRegistry?.getActiveCities()||[]).map(a=>e.jsx("option",{value:a.key,children:a.name},a.key))]}),e.jsx("input",{type:"number",min:"0",inputMode:"numeric",className:"filter-price",placeholder:"Min $",value:F.minPrice,onChange:a=>G("minPrice",a.target.value)}),e.jsx("input",{type:"number",min:"0",inputMode:"numeric",className:"filter-price",placeholder:"Max $",value:F.maxPrice,onChange:a=>G("maxPrice",a.target.value)}),e.jsxs("label",{className:"filter-radius",children:[e.jsx("span",{children:F.radius>0?`Within ${F.radius} mi of ${window.locationManager?.getCurrentCity()?.name||"you"}`:"Any distance"}),e.jsx("input",{type:"range",min:"0",max:X,step:"1",value:Math.min(F.radius,X),onChange:a=>G("radius",Number(a.target.value))})]})]})]}),e.jsx("div",{className:"vendor-grid",children:r.length===0?e.jsx("div",{className:"no-results",children:e.jsx("p",{children:"No packs found matching your search."})}):r.map(a=>e.jsx(w,{vendor:a,onClick:t},a.id))}),H&&e.jsx("div",{ref:O,className:"load-more",children:A?"Loading more packs...":""}),K.length>0&&e.jsx("div",{className:"listing-disclaimers",children:K.map(a=>e.jsxs("p",{children:[e.jsx("strong",{children:a.states.join(", ")}),": ",a.text]},a.text))}),e.jsx(C,{vendor:l,isOpen:!!l,onClose:()=>t(null)})]})}function L(){return e.jsxs("div",{className:"app-container",children:[e.jsx(k,{currentPage:"listings"}),e.jsx("main",{className:"main-content",children:e.jsx(V,{})}),e.jsx("div",{className:"bottom-toolbar",children:e.jsxs("nav",{className:"toolbar-nav",children:[e.jsxs("a",{href:"index.html",className:"nav-item",children:[e.jsx("span",{className:"nav-icon",children:"🗺️"}),e.jsx("span",{children:"Map"})]}),e.jsxs("a",{href:"listings.html",className:"nav-item active",children:[e.jsx("span",{className:"nav-icon",children:"📋"}),e.jsx("span",{children:"Browse"})]}),e.jsxs("a",{href:"new.html",className:"nav-item",children:[e.jsx("span",{className:"nav-icon",children:"➕"}),e.jsx("span",{children:"Post"})]}),e.jsxs("a",{href:"account.html",className:"nav-item",children:[e.jsx("span",{className:"nav-icon",children:"👤"}),e.jsx("span",{children:"Account"})]})]})})]})}f.createRoot(document.getElementById("root")).render(e.jsx(i.StrictMode,{children:e.jsx(y,{children:e.jsx(L,{})})}));
@@ -1 +1 @@
-import{u,r as n,j as e,c as m,Q as h}from"./useAuth-g5JMFC9x.js";/* empty css               */import{b as p,H as x}from"./Header-COD7X1WY.js";function j(){const{user:i,requireAuth:l}=u(),s=p(),[r,c]=n.useState({title:"",price:"",description:"",vendor:"",city:""}),d=async t=>{if(t.preventDefault(),!!l())try{await s.mutateAsync({...r,userId:i?.uid||"",created:new Date}),window.location.href="listings.html"}catch(o){console.error("Error creating pack:",o),alert("Error creating pack. Please try again.")}},a=t=>{c(o=>({...o,[t.target.name]:t.target.value}))};return e.jsxs("div",{className:"form-container",children:[e.jsx("h1",{className:"form-title",children:"Post a New Pack"}),e.jsxs("form",{onSubmit:d,children:[e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Pack Title"}),e.jsx("input",{type:"text",name:"title",className:"form-input",placeholder:"e.g. Blue Dream - Premium Indoor",value:r.title,onChange:a,required:!0})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Price ($)"}),e.jsx("input",{type:"text",name:"price",className:"form-input",placeholder:"e.g. 45",value:r.price,onChange:a,required:!0})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Description"}),e.jsx("textarea",{name:"description",className:"form-textarea",placeholder:"Describe your product quality, effects, etc.",value:r.description,onChange:a,rows:4,required:!0})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Vendor"}),e.jsxs("select",{name:"vendor",className:"form-select",value:r.vendor,onChange:a,required:!0,children:[e.jsx("option",{value:"",children:"Select vendor"}),e.jsx("option",{value:"bozo-headstash",children:"Bozo Headstash"}),e.jsx("option",{value:"gumbo",children:"Gumbo"}),e.jsx("option",{value:"deep-fried",children:"Deep Fried"}),e.jsx("option",{value:"high-tolerance",children:"High Tolerance"}),e.jsx("option",{value:"other",children:"Other"})]})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"City"}),e.jsxs("select",{name:"city",className:"form-select",value:r.city,onChange:a,required:!0,children:[e.jsx("option",{value:"",children:"Select city"}),e.jsx("option",{value:"providence",children:"Providence"}),e.jsx("option",{value:"woonsocket",children:"Woonsocket"}),e.jsx("option",{value:"newport",children:"Newport"}),e.jsx("option",{value:"boston",children:"Boston"}),e.jsx("option",{value:"cambridge",children:"Cambridge"}),e.jsx("option",{value:"worcester",children:"Worcester"})]})]}),e.jsx("button",{type:"submit",className:"submit-btn",disabled:s.isPending,children:s.isPending?"Creating Pack...":"Create Pack"})]})]})}function v(){return e.jsxs("div",{className:"app-container",children:[e.jsx(x,{currentPage:"new"}),e.jsx("main",{className:"main-content",children:e.jsx(j,{})})]})}m.createRoot(document.getElementById("root")).render(e.jsx(n.StrictMode,{children:e.jsx(h,{children:e.jsx(v,{})})}));
+import{u,r as n,j as e,c as m,Q as h}from"./useAuth-g5JMFC9x.js";/* empty css               */import{b as p,H as x}from"./Header-COD7X1WY.js";function j(){const{user:i,requireAuth:l}=u(),s=p(),[r,c]=n.useState({title:"",price:"",description:"",vendor:"",city:""}),[f,g]=n.useState(()=>window.cityRegistry?.getActiveCities()||[]);n.useEffect(()=>window.cityRegistry?.onUpdate(()=>g(window.cityRegistry.getActiveCities())),[]);const[L,M]=n.useState({licenseNumber:"",businessName:""}),[,R]=n.useState(0);n.useEffect(()=>{window.complianceManager?.loadProfiles().then(()=>R(t=>t+1))},[]);const E=window.complianceManager?.getStateForCity(r.city),P=E?window.complianceManager.getProfile(E):null,[b,w]=n.useState([]),[k,N]=n.useState(""),y=t=>{const o=Array.from(t.target.files||[]),q=window.imageUploadManager?.validateFiles(o);if(q){alert(q),t.target.value="";return}w(o)};const d=async t=>{if(t.preventDefault(),!!l())try{const T={licenseNumber:L.licenseNumber.trim(),businessName:L.businessName.trim()},C=window.complianceManager?await window.complianceManager.validatePost({...r,license:T}):[];if(C.length>0){alert(C.join("\n"));return}const o=window.db.collection("posts").doc().id,q=b.length>0?await window.imageUploadManager.uploadPostImages(i.uid,o,b,(z,Q)=>N(`Uploading photo ${z} of ${Q}...`)):{images:[],thumbnails:[]};N(""),await s.mutateAsync({...r,...q,...window.complianceManager?.hasLicense({license:T})?{license:T}:{},id:o,price:Number(r.price),userId:i?.uid||""}),window.location.href="account.html"}catch(o){N(""),console.error("Error creating pack:",o),alert(o.message||"Error creating pack. Please try again.")}},a=t=>{c(o=>({...o,[t.target.name]:t.target.value}))};return e.jsxs("div",{className:"form-container",children:[e.jsx("h1",{className:"form-title",children:"Post a New Pack"}),e.jsxs("form",{onSubmit:d,children:[e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Pack Title"}),e.jsx("input",{type:"text",name:"title",className:"form-input",placeholder:"e.g. Blue Dream - Premium Indoor",value:r.title,onChange:a,required:!0})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Price ($)"}),e.jsx("input",{type:"text",name:"price",className:"form-input",placeholder:"e.g. 45",value:r.price,onChange:a,required:!0})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Description"}),e.jsx("textarea",{name:"description",className:"form-textarea",placeholder:"Describe your product quality, effects, etc.",value:r.description,onChange:a,rows:4,required:!0})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Vendor"}),e.jsxs("select",{name:"vendor",className:"form-select",value:r.vendor,onChange:a,required:!0,children:[e.jsx("option",{value:"",children:"Select vendor"}),e.jsx("option",{value:"bozo-headstash",children:"Bozo Headstash"}),e.jsx("option",{value:"gumbo",children:"Gumbo"}),e.jsx("option",{value:"deep-fried",children:"Deep Fried"}),e.jsx("option",{value:"high-tolerance",children:"High Tolerance"}),e.jsx("option",{value:"other",children:"Other"})]})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"City"}),e.jsxs("select",{name:"city",className:"form-select",value:r.city,onChange:a,required:!0,children:[e.jsx("option",{value:"",children:"Select city"}),f.map(t=>e.jsx("option",{value:t.key,children:`${t.name}, ${t.state}`},t.key))]})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:P&&!P.peerListingsAllowed?`License details (required in ${E})`:"License details (licensed businesses only)"}),e.jsx("input",{type:"text",name:"licenseNumber",className:"form-input",placeholder:"License number",maxLength:50,value:L.licenseNumber,onChange:t=>M(o=>({...o,licenseNumber:t.target.value}))}),e.jsx("input",{type:"text",name:"businessName",className:"form-input",placeholder:"Licensed business name",maxLength:100,value:L.businessName,onChange:t=>M(o=>({...o,businessName:t.target.value}))}),P?.requiredLicenseFields.length>0&&e.jsx("small",{className:"form-help",children:`Licensed listings in ${E} need: ${P.requiredLicenseFields.map(t=>ComplianceManager.LICENSE_FIELDS[t]||t).join(", ")}`})]}),e.jsxs("div",{className:"form-group",children:[e.jsx("label",{className:"form-label",children:"Photos (up to 5)"}),e.jsx("input",{type:"file",name:"photos",accept:"image/*",multiple:!0,className:"form-input",onChange:y}),b.length>0&&e.jsx("small",{className:"form-help",children:`${b.length} photo${b.length===1?"":"s"} selected · location data is removed before upload`})]}),e.jsx("button",{type:"submit",className:"submit-btn",disabled:s.isPending||!!k,children:k||(s.isPending?"Creating Pack...":"Create Pack")})]})]})}function v(){return e.jsxs("div",{className:"app-container",children:[e.jsx(x,{currentPage:"new"}),e.jsx("main",{className:"main-content",children:e.jsx(j,{})})]})}m.createRoot(document.getElementById("root")).render(e.jsx(n.StrictMode,{children:e.jsx(h,{children:e.jsx(v,{})})}));
@@ -0,0 +1,189 @@
+// Audit Logger for PacksList
+// Append-only admin/audit/entries stream: who did what to which document, with
+// before/after values. Writers add entries in the same batch as the change when
+// they can; the admin Audit Logs section reads, filters and exports them.
+
+class AuditLogger {
+  constructor() {
+    this.entries = [];
+    this.filters = { level: 'all', category: 'all', date: '', search: '' };
+    this.isInitialized = false;
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  get entriesRef() {
+    return this.db.collection('admin').doc('audit').collection('entries');
+  }
+
+  // Entry attributed to the signed-in user; rules require actorId to match
+  buildEntry(action, { target = null, before = null, after = null, details = null, level = 'info' } = {}) {
+    const actor = firebase.auth().currentUser;
+    return {
+      action,
+      level,
+      target,
+      before,
+      after,
+      details,
+      actorId: actor?.uid || null,
+      actorEmail: actor?.email || null,
+      createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  // Record an entry alongside the change it describes
+  addToBatch(batch, action, fields) {
+    batch.set(this.entriesRef.doc(), this.buildEntry(action, fields));
+  }
+
+  // Record an entry on its own; a failed log never fails the action itself
+  async log(action, fields) {
+    try {
+      await this.entriesRef.add(this.buildEntry(action, fields));
+    } catch (error) {
+      console.warn(`Could not write audit entry ${action}:`, error);
+    }
+  }
+
+  // Initialize the Audit Logs section once an admin is signed in
+  initialize() {
+    if (this.isInitialized) return;
+    this.isInitialized = true;
+
+    const bind = (id, event, key, reload) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      this.filters[key] = input.value;
+      input.addEventListener(event, (e) => {
+        this.filters[key] = e.target.value.trim();
+        reload ? this.loadEntries() : this.renderEntries();
+      });
+    };
+    bind('log-level', 'change', 'level', false);
+    bind('log-category', 'change', 'category', false);
+    bind('log-search', 'input', 'search', false);
+    bind('log-date', 'change', 'date', true);
+
+    this.loadEntries();
+  }
+
+  // Newest entries, or one day's entries when a date is picked
+  async loadEntries() {
+    const container = document.getElementById('logs-table');
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading">Loading audit logs...</div>';
+
+    try {
+      let query = this.entriesRef.orderBy('createdAt', 'desc');
+      if (this.filters.date) {
+        const start = new Date(`${this.filters.date}T00:00:00`);
+        const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+        query = query.where('createdAt', '>=', start).where('createdAt', '<', end);
+      }
+      const snapshot = await query.limit(AuditLogger.PAGE_LIMIT).get();
+
+      this.entries = [];
+      snapshot.forEach(doc => this.entries.push({ id: doc.id, ...doc.data() }));
+      this.renderEntries();
+    } catch (error) {
+      console.error('Error loading audit logs:', error);
+      container.innerHTML = '<div class="loading">Unable to load audit logs.</div>';
+    }
+  }
+
+  getFilteredEntries() {
+    const search = this.filters.search.toLowerCase();
+    return this.entries.filter(entry => {
+      if (this.filters.level !== 'all' && entry.level !== this.filters.level) return false;
+      if (this.filters.category !== 'all' && !entry.action.startsWith(`${this.filters.category}.`)) return false;
+
+      if (!search) return true;
+      const haystack = `${entry.action} ${entry.actorEmail || ''} ${entry.actorId || ''} ${entry.target || ''}`.toLowerCase();
+      return haystack.includes(search);
+    });
+  }
+
+  renderEntries() {
+    const container = document.getElementById('logs-table');
+    if (!container) return;
+
+    const entries = this.getFilteredEntries();
+    if (entries.length === 0) {
+      container.innerHTML = '<div class="loading">No audit entries match these filters.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="table-header">${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}</div>
+    ` + entries.map(entry => `
+      <div class="log-row log-${entry.level}">
+        <div class="log-time">${this.formatDate(entry.createdAt)}</div>
+        <div class="log-info">
+          <h5>${window.adminSection.escapeHTML(entry.action)} <span class="log-target">${window.adminSection.escapeHTML(entry.target || '')}</span></h5>
+          <div class="log-actor">${window.adminSection.escapeHTML(entry.actorEmail || entry.actorId || 'system')}</div>
+          ${entry.before !== null || entry.after !== null ? `
+            <div class="log-change">
+              <code>${window.adminSection.escapeHTML(this.formatValue(entry.before))}</code> →
+              <code>${window.adminSection.escapeHTML(this.formatValue(entry.after))}</code>
+            </div>
+          ` : ''}
+        </div>
+        <span class="log-level">${window.adminSection.escapeHTML(entry.level)}</span>
+      </div>
+    `).join('');
+  }
+
+  // Download the filtered entries as CSV
+  exportCSV() {
+    const csv = this.toCSV(this.getFilteredEntries());
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  toCSV(entries) {
+    const columns = ['createdAt', 'level', 'action', 'target', 'actorId', 'actorEmail', 'before', 'after', 'details'];
+    const cell = value => `"${String(value).replace(/"/g, '""')}"`;
+    const rows = entries.map(entry => columns.map(column => {
+      if (column === 'createdAt') return cell(entry.createdAt?.toDate ? entry.createdAt.toDate().toISOString() : '');
+      const value = entry[column];
+      return cell(value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? '');
+    }).join(','));
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined) return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  formatDate(timestamp) {
+    if (!timestamp) return '';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return isNaN(date) ? '' : date.toLocaleString();
+  }
+}
+
+AuditLogger.PAGE_LIMIT = 500;
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.auditLogger = new AuditLogger();
+
+  // On the admin panel, initialize the Audit Logs section once an analytics
+  // viewer is authenticated
+  if (window.adminSection) {
+    window.adminSection.onAuthorized('view_analytics', () => window.auditLogger.initialize());
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditLogger;
+}
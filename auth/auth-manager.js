@@ -5,6 +5,8 @@ class AuthManager {
   constructor() {
     this.user = null;
     this.userProfile = null;
+    this.role = 'user';
+    this.permissions = [];
     this.isAdmin = false;
     this.authListeners = [];
     this.onboardingData = {};
@@ -61,10 +63,13 @@ class AuthManager {
     
     if (user) {
       await this.loadUserProfile();
+      await this.loadUserRole();
       await this.checkAdminStatus();
       this.notifyAuthListeners('authenticated', { user: this.user, profile: this.userProfile });
     } else {
       this.userProfile = null;
+      this.role = 'user';
+      this.permissions = [];
       this.isAdmin = false;
       this.notifyAuthListeners('unauthenticated');
     }
@@ -104,13 +109,6 @@ class AuthManager {
             updateData.displayName = this.user.displayName || this.user.email.split('@')[0];
           }
           
-          // Add role if missing
-          if (!this.userProfile.role) {
-            const isAdminEmail = this.user.email === 'sxpxru@gmail.com' || this.user.email === 'admin@packslist.com';
-            const isSuperAdmin = this.user.email === 'sxpxru@gmail.com';
-            updateData.role = isSuperAdmin ? 'super_admin' : (isAdminEmail ? 'admin' : 'user');
-          }
-          
           await this.db.collection('users').doc(this.user.uid).update(updateData);
           this.userProfile = { ...this.userProfile, ...updateData };
           console.log('Updated existing user profile with missing fields');
@@ -136,19 +134,14 @@ class AuthManager {
   async createUserProfile() {
     if (!this.user) return null;
     
-    // Check if this is an admin email and assign appropriate role
-    const isAdminEmail = this.user.email === 'sxpxru@gmail.com' || this.user.email === 'admin@packslist.com';
-    const isSuperAdmin = this.user.email === 'sxpxru@gmail.com';
-    
+    // Every profile starts as a plain user; elevated roles are granted via roles/{uid}
     const profile = {
       uid: this.user.uid,
       email: this.user.email,
       displayName: this.user.displayName || '',
       photoURL: this.user.photoURL || '',
-      role: isSuperAdmin ? 'super_admin' : (isAdminEmail ? 'admin' : 'user'),
-      permissions: isSuperAdmin ? 
-        ['browse', 'post', 'moderate', 'manage_users', 'view_analytics', 'manage_settings', 'manage_admins', 'delete_data'] :
-        (isAdminEmail ? ['browse', 'post', 'moderate', 'manage_users', 'view_analytics'] : ['browse', 'post']),
+      role: 'user',
+      permissions: ['browse', 'post'],
       createdAt: firebase.firestore.FieldValue.serverTimestamp(),
       lastLogin: firebase.firestore.FieldValue.serverTimestamp(),
       preferences: {
@@ -169,6 +162,25 @@ class AuthManager {
     }
   }
 
+  // Load role and permissions from roles/{uid}, the same document the rules check
+  async loadUserRole() {
+    if (!this.user) return null;
+    
+    const roleData = window.roleManager
+      ? await window.roleManager.loadRole(this.user.uid)
+      : { role: 'user', permissions: ['browse', 'post'] };
+    
+    this.role = roleData.role;
+    this.permissions = roleData.permissions;
+    
+    // Reflect the authoritative role on the in-memory profile for UI checks
+    if (this.userProfile) {
+      this.userProfile = { ...this.userProfile, role: this.role, permissions: this.permissions };
+    }
+    
+    return roleData;
+  }
+
   // Check if user has admin privileges
   async checkAdminStatus() {
     if (!this.user || !this.userProfile) {
@@ -176,17 +188,20 @@ class AuthManager {
       return false;
     }
     
-    // Check if user is in admin emails list from config
-    const adminConfig = window.configManager?.getConfig('auth-settings');
-    const adminEmails = adminConfig?.adminEmails || ['admin@packslist.com', 'sxpxru@gmail.com'];
-    
-    this.isAdmin = adminEmails.includes(this.user.email) || 
-                   this.userProfile.role === 'admin' || 
-                   this.userProfile.role === 'super_admin';
+    this.isAdmin = this.role === 'admin' || this.role === 'super_admin';
     
     return this.isAdmin;
   }
 
+  // Keep only fields users may write on their own profile (mirrors firestore.rules)
+  pickEditableProfileFields(data) {
+    const sanitized = {};
+    AuthManager.SELF_EDITABLE_PROFILE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) sanitized[field] = data[field];
+    });
+    return sanitized;
+  }
+
   // Sign up new user
   async signUp(email, password, userData = {}) {
     if (!this.isInitialized || !this.auth) {
@@ -194,6 +209,13 @@ class AuthManager {
       return { success: false, error: 'Not initialized' };
     }
     
+    // Under-age sign-ups are rejected before an account exists
+    const ageCheck = await this.getAgeFields(userData.dateOfBirth, userData.city);
+    if (ageCheck.error) {
+      this.showAuthError(ageCheck.error);
+      return { success: false, error: ageCheck.error };
+    }
+    
     try {
       this.showAuthLoading('Creating your account...');
       
@@ -220,6 +242,8 @@ class AuthManager {
       // Complete onboarding immediately (email verification happens separately)
       await this.completeOnboarding(userData);
       
+      window.auditLogger?.log('auth.sign_up', { target: `users/${user.uid}` });
+      
       this.hideAuthLoading();
       this.showAuthSuccess('Account created successfully! Please check your email to verify your account.');
       
@@ -251,6 +275,8 @@ class AuthManager {
         });
       }
       
+      window.auditLogger?.log('auth.sign_in', { target: `users/${user.uid}` });
+      
       this.hideAuthLoading();
       this.showAuthSuccess('Welcome back!');
       
@@ -282,20 +308,25 @@ class AuthManager {
 
   // Email verification functions removed - no longer needed
 
-  // Complete user onboarding
+  // Complete user onboarding; the date of birth must meet the minimum age
   async completeOnboarding(userData = {}) {
-    if (!this.user) return;
+    if (!this.user) return { success: false, error: 'Not authenticated' };
+    
+    const data = { ...this.onboardingData, ...userData };
+    const ageCheck = await this.getAgeFields(data.dateOfBirth, data.city);
+    if (ageCheck.error) {
+      this.showAuthError(ageCheck.error);
+      return { success: false, error: ageCheck.error };
+    }
     
     try {
       const updateData = {
-        ...this.onboardingData,
-        ...userData,
+        ...this.pickEditableProfileFields(data),
+        ...ageCheck.fields,
         onboardingCompleted: true,
         email: this.user.email,
         displayName: this.user.displayName || userData.displayName || this.user.email?.split('@')[0],
-        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-        lastLogin: firebase.firestore.FieldValue.serverTimestamp(),
-        role: 'user' // Default role
+        lastLogin: firebase.firestore.FieldValue.serverTimestamp()
       };
       
       // Update or create user profile
@@ -306,9 +337,49 @@ class AuthManager {
       this.notifyAuthListeners('onboardingCompleted');
       
       console.log('User profile created/updated:', this.user.uid);
-      
+      return { success: true };
     } catch (error) {
       console.error('Error completing onboarding:', error);
+      return { success: false, error: 'Unable to save your profile. Please try again.' };
+    }
+  }
+
+  // Profile fields recording a verified date of birth, or an error for the user
+  async getAgeFields(dateOfBirth, city = null) {
+    if (!window.ageGate) {
+      return { error: 'Age verification is unavailable. Please reload and try again.' };
+    }
+    
+    const state = window.cityRegistry?.getCity(city)?.state || null;
+    const error = await window.ageGate.validateDateOfBirth(dateOfBirth, state);
+    if (error) return { error };
+    
+    return {
+      fields: {
+        dateOfBirth: firebase.firestore.Timestamp.fromDate(window.ageGate.parseDateOfBirth(dateOfBirth)),
+        ageVerified: true
+      }
+    };
+  }
+
+  // Record a date of birth for an account created before age verification
+  async verifyAge(dateOfBirth) {
+    if (!this.user) return { success: false, error: 'Not authenticated' };
+    
+    const ageCheck = await this.getAgeFields(dateOfBirth, this.userProfile?.city);
+    if (ageCheck.error) return { success: false, error: ageCheck.error };
+    
+    try {
+      const updateData = {
+        ...ageCheck.fields,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      };
+      await this.db.collection('users').doc(this.user.uid).update(updateData);
+      this.userProfile = { ...this.userProfile, ...updateData };
+      return { success: true };
+    } catch (error) {
+      console.error('Error verifying age:', error);
+      return { success: false, error: 'Unable to save your date of birth. Please try again.' };
     }
   }
 
@@ -345,6 +416,11 @@ class AuthManager {
   async updateProfile(updates) {
     if (!this.user) return { success: false, error: 'Not authenticated' };
     
+    updates = this.pickEditableProfileFields(updates);
+    if (Object.keys(updates).length === 0) {
+      return { success: false, error: 'No editable fields to update' };
+    }
+    
     try {
       // Update Firebase Auth profile if needed
       const authUpdates = {};
@@ -376,8 +452,7 @@ class AuthManager {
   canPerformAction(action) {
     if (!this.userProfile) return false;
     
-    const permissions = this.userProfile.permissions || [];
-    return permissions.includes(action) || this.isAdmin;
+    return this.permissions.includes(action);
   }
 
   // Email verification bypass function removed - no longer needed
@@ -396,6 +471,17 @@ class AuthManager {
     
     // Email verification removed - users can access immediately after signup
     
+    if (this.getAccountStatus() !== 'active') {
+      this.showAuthError(this.getSuspensionMessage());
+      return false;
+    }
+    
+    // Posting and messaging need a verified date of birth (also enforced by firestore.rules)
+    if (!this.userProfile?.ageVerified) {
+      window.ageGate?.showDateOfBirthPrompt();
+      return false;
+    }
+    
     if (action && !this.canPerformAction(action)) {
       this.showAuthError('You do not have permission to perform this action.');
       return false;
@@ -404,6 +490,32 @@ class AuthManager {
     return true;
   }
 
+  // Effective account status; a timed suspension counts as active once it lapses
+  getAccountStatus() {
+    const status = this.userProfile?.accountStatus || 'active';
+    const until = this.userProfile?.suspension?.until;
+    if (status === 'suspended' && until && until.toDate() <= new Date()) {
+      return 'active';
+    }
+    return status;
+  }
+
+  getSuspensionMessage() {
+    const suspension = this.userProfile?.suspension;
+    const reason = suspension?.reason ? ` Reason: ${suspension.reason}` : '';
+    
+    if (this.getAccountStatus() === 'deleted') {
+      return 'This account has been deleted.';
+    }
+    if (this.getAccountStatus() === 'banned') {
+      return `Your account has been banned.${reason}`;
+    }
+    const until = suspension?.until
+      ? ` until ${suspension.until.toDate().toLocaleDateString()}`
+      : '';
+    return `Your account is suspended${until}. You can browse but cannot post or send messages.${reason}`;
+  }
+
   // Require admin access
   requireAdmin() {
     // RequireAdmin called - checking admin status
@@ -492,6 +604,26 @@ class AuthManager {
     
     // Update user info in header
     this.updateHeaderUserInfo();
+    this.updateAccountStatusBanner();
+  }
+
+  // Persistent notice at the top of every page while the account is suspended or banned
+  updateAccountStatusBanner() {
+    let banner = document.getElementById('account-status-banner');
+    
+    if (!this.user || this.getAccountStatus() === 'active') {
+      if (banner) banner.remove();
+      return;
+    }
+    
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'account-status-banner';
+      banner.setAttribute('role', 'alert');
+      document.body.prepend(banner);
+    }
+    banner.className = `account-status-banner account-status-${this.getAccountStatus()}`;
+    banner.textContent = this.getSuspensionMessage();
   }
 
   updateHeaderUserInfo() {
@@ -626,6 +758,13 @@ class AuthManager {
   }
 }
 
+// Profile fields users may write themselves; role, permissions, accountStatus
+// and suspension are admin-only and enforced again by firestore.rules
+AuthManager.SELF_EDITABLE_PROFILE_FIELDS = [
+  'displayName', 'photoURL', 'bio', 'phone', 'city', 'preferences',
+  'onboardingCompleted', 'lastLogin', 'updatedAt', 'dateOfBirth', 'ageVerified'
+];
+
 // Initialize global auth manager
 window.authManager = new AuthManager();
 
@@ -0,0 +1,147 @@
+// Role Manager for PacksList
+// Roles live in roles/{uid} so Firestore rules can check permissions with get()
+
+class RoleManager {
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  // Get the role definition, falling back to a plain user
+  getRoleDefinition(role) {
+    return RoleManager.ROLES[role] || RoleManager.ROLES.user;
+  }
+
+  getPermissions(role) {
+    return [...this.getRoleDefinition(role).permissions];
+  }
+
+  // Roles that need manage_admins to grant or revoke
+  isPrivilegedRole(role) {
+    return RoleManager.PRIVILEGED_ROLES.includes(role);
+  }
+
+  // Load a user's role document; users without one are plain users
+  async loadRole(uid) {
+    const fallback = { role: 'user', permissions: this.getPermissions('user') };
+    if (!uid) return fallback;
+
+    try {
+      const doc = await this.db.collection('roles').doc(uid).get();
+      if (!doc.exists) return fallback;
+
+      const data = doc.data();
+      return {
+        role: data.role || 'user',
+        permissions: Array.isArray(data.permissions) ? data.permissions : this.getPermissions(data.role)
+      };
+    } catch (error) {
+      console.error('Error loading role:', error);
+      return fallback;
+    }
+  }
+
+  // Check whether the signed-in admin may grant or revoke a role
+  canManageRole(role) {
+    const authManager = window.authManager;
+    if (!authManager) return false;
+
+    if (this.isPrivilegedRole(role)) {
+      return authManager.canPerformAction('manage_admins');
+    }
+    return authManager.canPerformAction('manage_users');
+  }
+
+  // Grant a role to a user (rules re-check the caller's permissions)
+  async grantRole(uid, role) {
+    if (!RoleManager.ROLES[role]) {
+      return { success: false, error: `Unknown role: ${role}` };
+    }
+
+    const current = await this.loadRole(uid);
+    if (!this.canManageRole(role) || !this.canManageRole(current.role)) {
+      return { success: false, error: 'You do not have permission to change this role.' };
+    }
+
+    try {
+      const batch = this.db.batch();
+      const roleRef = this.db.collection('roles').doc(uid);
+
+      if (role === 'user') {
+        batch.delete(roleRef);
+      } else {
+        batch.set(roleRef, {
+          role,
+          permissions: this.getPermissions(role),
+          grantedBy: window.authManager.currentUser.uid,
+          grantedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+      }
+
+      // Mirror onto the profile so lists and badges stay in sync
+      batch.update(this.db.collection('users').doc(uid), {
+        role,
+        permissions: this.getPermissions(role),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+
+      window.auditLogger?.addToBatch(batch, 'role.change', {
+        target: `roles/${uid}`,
+        before: { role: current.role },
+        after: { role }
+      });
+
+      await batch.commit();
+
+      console.log(`Role for ${uid} changed from ${current.role} to ${role}`);
+      return { success: true, previousRole: current.role };
+    } catch (error) {
+      console.error('Error granting role:', error);
+      return { success: false, error: 'Unable to update role. Please try again.' };
+    }
+  }
+
+  // Revoke any elevated role, leaving a plain user
+  async revokeRole(uid) {
+    return this.grantRole(uid, 'user');
+  }
+
+  // List every user holding an elevated role
+  async listRoles() {
+    const snapshot = await this.db.collection('roles').get();
+    const roles = [];
+    snapshot.forEach(doc => roles.push({ uid: doc.id, ...doc.data() }));
+    return roles;
+  }
+}
+
+// Role definitions; permissions are copied into roles/{uid} when granted
+RoleManager.ROLES = {
+  user: {
+    label: 'User',
+    permissions: ['browse', 'post']
+  },
+  moderator: {
+    label: 'Moderator',
+    permissions: ['browse', 'post', 'moderate']
+  },
+  admin: {
+    label: 'Admin',
+    permissions: ['browse', 'post', 'moderate', 'manage_users', 'view_analytics']
+  },
+  super_admin: {
+    label: 'Super Admin',
+    permissions: ['browse', 'post', 'moderate', 'manage_users', 'view_analytics', 'manage_settings', 'manage_admins', 'delete_data']
+  }
+};
+
+RoleManager.PRIVILEGED_ROLES = ['admin', 'super_admin'];
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.roleManager = new RoleManager();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoleManager;
+}
@@ -0,0 +1,237 @@
+// City Registry for PacksList
+// Single source of truth for supported cities, loaded from config/cities
+
+class CityRegistry {
+  constructor() {
+    this.cities = CityRegistry.DEFAULT_CITIES.map(city => this.normalizeCity(city));
+    this.aliases = { ...CityRegistry.LEGACY_KEYS };
+    this.listeners = [];
+    this.isLoaded = false;
+
+    this.buildAliasIndex();
+  }
+
+  // Load the registry from config/cities once Firebase is ready
+  async load() {
+    let attempts = 0;
+    while (typeof window !== 'undefined' && !window.db && attempts < 50) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      attempts++;
+    }
+
+    const db = typeof window !== 'undefined' ? window.db : null;
+    if (!db) {
+      console.warn('CityRegistry: Firebase not available, using default cities');
+      return this.cities;
+    }
+
+    try {
+      const snapshot = await db.collection("config").doc("cities").get();
+      if (snapshot.exists) {
+        this.applyConfig(snapshot.data());
+      }
+    } catch (error) {
+      console.warn('CityRegistry: Failed to load config/cities, using defaults', error);
+    }
+
+    this.isLoaded = true;
+    return this.cities;
+  }
+
+  // Replace the registry contents with a config/cities document
+  applyConfig(config) {
+    if (!config || !Array.isArray(config.items) || config.items.length === 0) {
+      return false;
+    }
+
+    this.cities = config.items
+      .filter(item => item && item.key)
+      .map(item => this.normalizeCity(item))
+      .sort((a, b) => a.priority - b.priority);
+
+    this.aliases = { ...CityRegistry.LEGACY_KEYS, ...(config.aliases || {}) };
+    this.buildAliasIndex();
+    this.notifyListeners();
+    return true;
+  }
+
+  // Accept both { coordinates: { lat, lng } } and flat { lat, lng } items
+  normalizeCity(item) {
+    const coordinates = item.coordinates || { lat: item.lat, lng: item.lng };
+    return {
+      key: item.key,
+      name: item.name || item.key,
+      state: item.state || '',
+      lat: Number(coordinates.lat),
+      lng: Number(coordinates.lng),
+      metroArea: item.metroArea || null,
+      priority: item.priority || 999,
+      isActive: item.isActive !== false,
+      aliases: Array.isArray(item.aliases) ? item.aliases : []
+    };
+  }
+
+  // Map every alias (registry-wide and per-city) onto its canonical key
+  buildAliasIndex() {
+    this.aliasIndex = {};
+    Object.entries(this.aliases).forEach(([legacyKey, canonicalKey]) => {
+      this.aliasIndex[legacyKey] = canonicalKey;
+    });
+    this.cities.forEach(city => {
+      city.aliases.forEach(alias => {
+        this.aliasIndex[alias] = city.key;
+      });
+    });
+  }
+
+  // Resolve a stored or legacy city key to its canonical key
+  normalizeKey(key) {
+    if (typeof key !== 'string') return key;
+    const cleaned = key.trim().toLowerCase();
+    return this.aliasIndex[cleaned] || cleaned;
+  }
+
+  // Get city by key (legacy keys resolve to their canonical city)
+  getCity(key) {
+    const canonicalKey = this.normalizeKey(key);
+    return this.cities.find(city => city.key === canonicalKey) || null;
+  }
+
+  // Get all cities, including inactive ones
+  getCities() {
+    return [...this.cities];
+  }
+
+  // Get cities users can pick and post to
+  getActiveCities() {
+    return this.cities.filter(city => city.isActive);
+  }
+
+  // Get canonical keys accepted for new posts
+  getActiveKeys() {
+    return this.getActiveCities().map(city => city.key);
+  }
+
+  // Get coordinates for a city key, or null if it is unknown
+  getCoordinates(key) {
+    const city = this.getCity(key);
+    if (!city || isNaN(city.lat) || isNaN(city.lng)) return null;
+    return { lat: city.lat, lng: city.lng };
+  }
+
+  // Get the active city closest to a point, or null if none is within maxMiles
+  getNearestCity(lat, lng, maxMiles = Infinity) {
+    let nearest = null;
+    let nearestDistance = maxMiles;
+
+    this.getActiveCities().forEach(city => {
+      if (isNaN(city.lat) || isNaN(city.lng)) return;
+      const distance = window.geoIndex.distanceMiles({ lat, lng }, city);
+      if (distance <= nearestDistance) {
+        nearest = city;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  // Get display name for a city key
+  getDisplayName(key) {
+    const city = this.getCity(key);
+    return city ? city.name : key;
+  }
+
+  // Get active cities grouped by state
+  getCitiesGroupedByState() {
+    const grouped = {};
+    this.getActiveCities().forEach(city => {
+      if (!grouped[city.state]) {
+        grouped[city.state] = [];
+      }
+      grouped[city.state].push(city);
+    });
+    return grouped;
+  }
+
+  // Serialize the registry in the config/cities document format
+  toConfig() {
+    return {
+      items: this.cities.map(city => ({
+        key: city.key,
+        name: city.name,
+        state: city.state,
+        coordinates: { lat: city.lat, lng: city.lng },
+        isActive: city.isActive,
+        priority: city.priority,
+        metroArea: city.metroArea,
+        aliases: city.aliases
+      })),
+      aliases: { ...this.aliases }
+    };
+  }
+
+  // Add listener for registry updates, returns an unsubscribe function
+  onUpdate(callback) {
+    this.listeners.push(callback);
+    return () => {
+      const index = this.listeners.indexOf(callback);
+      if (index > -1) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  // Notify all listeners of registry updates
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.getCities());
+      } catch (error) {
+        console.error('Error in city registry listener:', error);
+      }
+    });
+  }
+}
+
+// Canonical city list, used until config/cities is loaded and to seed it
+CityRegistry.DEFAULT_CITIES = [
+  // Massachusetts
+  { key: 'boston', name: 'Boston', state: 'MA', lat: 42.3601, lng: -71.0589, priority: 1, metroArea: 'greater-boston' },
+  { key: 'cambridge', name: 'Cambridge', state: 'MA', lat: 42.3736, lng: -71.1097, priority: 2, metroArea: 'greater-boston' },
+  { key: 'springfield', name: 'Springfield', state: 'MA', lat: 42.1015, lng: -72.5898, priority: 3 },
+  { key: 'worcester', name: 'Worcester', state: 'MA', lat: 42.2626, lng: -71.8023, priority: 4 },
+  { key: 'south-coast', name: 'South Coast', state: 'MA', lat: 41.6362, lng: -70.9342, priority: 5, aliases: ['southcoast-ma'] },
+  { key: 'north-shore', name: 'North Shore', state: 'MA', lat: 42.6648, lng: -71.1581, priority: 6, aliases: ['north-shore-ma'] },
+
+  // Rhode Island
+  { key: 'providence', name: 'Providence', state: 'RI', lat: 41.8240, lng: -71.4128, priority: 7, metroArea: 'providence-metro' },
+  { key: 'newport', name: 'Newport', state: 'RI', lat: 41.4901, lng: -71.3128, priority: 8 },
+  { key: 'woonsocket', name: 'Woonsocket', state: 'RI', lat: 42.0029, lng: -71.5153, priority: 9 },
+
+  // Connecticut
+  { key: 'hartford', name: 'Hartford', state: 'CT', lat: 41.7658, lng: -72.6734, priority: 10 },
+  { key: 'new-haven', name: 'New Haven', state: 'CT', lat: 41.3083, lng: -72.9279, priority: 11 },
+  { key: 'bridgeport', name: 'Bridgeport', state: 'CT', lat: 41.1865, lng: -73.2052, priority: 12 },
+  { key: 'stamford', name: 'Stamford', state: 'CT', lat: 41.0534, lng: -73.5387, priority: 13 }
+];
+
+// Keys written by older clients, mapped onto canonical keys
+CityRegistry.LEGACY_KEYS = {
+  'southcoast-ma': 'south-coast',
+  'north-shore-ma': 'north-shore',
+  'southcoast': 'south-coast',
+  'northshore': 'north-shore',
+  'newhaven': 'new-haven'
+};
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.cityRegistry = new CityRegistry();
+  window.cityRegistry.load();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CityRegistry;
+}
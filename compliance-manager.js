@@ -0,0 +1,145 @@
+// Compliance Manager for PacksList
+// Per-state advertising rules from region-settings.compliance: which product
+// categories may be listed, disclaimers shown with listings, whether peer
+// (unlicensed) listings are allowed and which license fields licensed listings
+// must fill in. The post form enforces them, listings show the disclaimers and
+// the moderation queue flags posts that break them.
+
+class ComplianceManager {
+  constructor() {
+    this.profiles = null;
+    this.profilesPromise = null;
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  // region-settings.compliance merged over the defaults, keyed by state
+  async loadProfiles() {
+    if (this.profiles) return this.profiles;
+    if (!this.profilesPromise) {
+      this.profilesPromise = this.db.collection('config').doc('region-settings').get()
+        .then(doc => (doc.exists && doc.get('compliance')) || {})
+        .catch(error => {
+          console.warn('Using default compliance profiles:', error);
+          return {};
+        })
+        .then(compliance => {
+          this.profiles = this.mergeProfiles(compliance);
+          return this.profiles;
+        });
+    }
+    return this.profilesPromise;
+  }
+
+  mergeProfiles(compliance = {}) {
+    const profiles = {};
+    const states = new Set([...Object.keys(ComplianceManager.DEFAULT_PROFILES), ...Object.keys(compliance)]);
+    states.forEach(state => {
+      profiles[state] = {
+        ...ComplianceManager.DEFAULT_PROFILE,
+        ...ComplianceManager.DEFAULT_PROFILES[state],
+        ...compliance[state]
+      };
+    });
+    return profiles;
+  }
+
+  // Profile for a state; states without one follow the permissive default
+  getProfile(state) {
+    return (this.profiles || {})[state] || ComplianceManager.DEFAULT_PROFILE;
+  }
+
+  getStateForCity(cityKey) {
+    return window.cityRegistry?.getCity(cityKey)?.state || null;
+  }
+
+  // A listing is licensed when it carries any license details
+  hasLicense(post) {
+    return Object.keys(ComplianceManager.LICENSE_FIELDS)
+      .some(field => typeof post.license?.[field] === 'string' && post.license[field].trim());
+  }
+
+  // Reasons a post breaks its state's profile; empty when it complies.
+  // Call loadProfiles() first.
+  checkPost(post) {
+    const state = this.getStateForCity(post.city);
+    if (!state) return [];
+
+    const profile = this.getProfile(state);
+    const violations = [];
+
+    if (profile.allowedCategories.length > 0 && !profile.allowedCategories.includes(post.vendor)) {
+      violations.push(`${post.vendor || 'This category'} listings are not allowed in ${state}.`);
+    }
+
+    const licensed = this.hasLicense(post);
+    if (!licensed && !profile.peerListingsAllowed) {
+      violations.push(`Only licensed businesses may list in ${state}. Add your license details.`);
+    }
+    if (licensed) {
+      profile.requiredLicenseFields
+        .filter(field => !(typeof post.license?.[field] === 'string' && post.license[field].trim()))
+        .forEach(field => {
+          violations.push(`${ComplianceManager.LICENSE_FIELDS[field] || field} is required for listings in ${state}.`);
+        });
+    }
+
+    return violations;
+  }
+
+  async validatePost(post) {
+    await this.loadProfiles();
+    return this.checkPost(post);
+  }
+
+  // Disclaimers for the given states; text shared by several states is listed once
+  getDisclaimers(states) {
+    const byText = new Map();
+    [...new Set(states.filter(Boolean))].sort().forEach(state => {
+      this.getProfile(state).disclaimers.forEach(text => {
+        byText.set(text, [...(byText.get(text) || []), state]);
+      });
+    });
+    return [...byText].map(([text, disclaimerStates]) => ({ text, states: disclaimerStates }));
+  }
+}
+
+// License details a post may carry as post.license, with their labels
+ComplianceManager.LICENSE_FIELDS = {
+  licenseNumber: 'License number',
+  businessName: 'Licensed business name'
+};
+
+ComplianceManager.DEFAULT_PROFILE = {
+  allowedCategories: [], // empty allows every category
+  disclaimers: [],
+  peerListingsAllowed: true,
+  requiredLicenseFields: []
+};
+
+ComplianceManager.DEFAULT_PROFILES = {
+  MA: {
+    disclaimers: ['For use only by adults 21 years of age or older. Keep out of the reach of children.'],
+    requiredLicenseFields: ['licenseNumber']
+  },
+  RI: {
+    disclaimers: ['For use only by adults 21 years of age or older. Keep out of the reach of children.'],
+    requiredLicenseFields: ['licenseNumber']
+  },
+  CT: {
+    disclaimers: ['For use only by adults 21 years of age or older. Keep out of the reach of children.'],
+    requiredLicenseFields: ['licenseNumber', 'businessName']
+  }
+};
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.complianceManager = new ComplianceManager();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ComplianceManager;
+}
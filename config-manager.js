@@ -4,16 +4,13 @@
 class ConfigManager {
   constructor() {
     this.configs = new Map();
-    this.cache = new Map();
     this.isInitialized = false;
     this.callbacks = [];
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-    this.sessionId = this.generateSessionId();
-  }
-
-  // Generate unique session ID for cache isolation
-  generateSessionId() {
-    return 'sess_' + Math.random().toString(36).substr(2, 12) + Date.now().toString(36);
+    this.subscriptions = new Map();
+    this.pollTimer = null;
+    this.validationReports = new Map();
+    this.applyLocale();
   }
 
   // Generate privacy-friendly unique IDs
@@ -111,7 +108,8 @@ class ConfigManager {
       'vendor-categories',
       'metro-areas',
       'ui-strings',
-      'region-settings'
+      'region-settings',
+      'time-filtering'
     ];
 
     const promises = configTypes.map(type => this.loadConfigType(type));
@@ -120,12 +118,15 @@ class ConfigManager {
 
   // Load specific configuration type
   async loadConfigType(type) {
-    const cacheKey = `config_${type}_${this.sessionId}`;
-    
-    // Check cache first
-    const cached = this.cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+    // Serve the persisted copy right away and revalidate it in the background
+    const cached = this.readCache(type);
+    if (cached) {
       this.configs.set(type, cached.data);
+      this.syncCityRegistry(type, cached.data);
+      if (Date.now() - cached.savedAt >= this.cacheTimeout) {
+        this.revalidateConfigType(type);
+      }
+      this.subscribe(type);
       return cached.data;
     }
 
@@ -136,21 +137,20 @@ class ConfigManager {
       
       let data = {};
       if (snapshot.exists) {
-        data = snapshot.data();
+        data = this.sanitizeConfig(type, snapshot.data());
       } else {
-        // Create default document if it doesn't exist
+        // Only settings managers may create the missing document; everyone else uses defaults
         data = this.getDefaultConfig(type);
-        await this.createDefaultConfig(type, data);
+        if (this.canSeedDefaults()) {
+          await this.createDefaultConfig(type, data);
+        }
       }
 
-      // Cache the data
-      this.cache.set(cacheKey, {
-        data: data,
-        timestamp: Date.now()
-      });
-
+      this.writeCache(type, data);
       this.configs.set(type, data);
+      this.syncCityRegistry(type, data);
       this.notifyCallbacks('configLoaded', { type, data });
+      this.subscribe(type);
       
       return data;
     } catch (error) {
@@ -166,40 +166,9 @@ class ConfigManager {
   // Get default configuration for each type
   getDefaultConfig(type) {
     const defaults = {
-      'cities': {
-        items: [
-          {
-            id: this.generatePublicId('city'),
-            key: 'boston',
-            name: 'Boston',
-            state: 'MA',
-            coordinates: { lat: 42.3601, lng: -71.0589 },
-            isActive: true,
-            priority: 1,
-            metroArea: 'greater-boston'
-          },
-          {
-            id: this.generatePublicId('city'),
-            key: 'providence',
-            name: 'Providence', 
-            state: 'RI',
-            coordinates: { lat: 41.8240, lng: -71.4128 },
-            isActive: true,
-            priority: 2,
-            metroArea: 'providence-metro'
-          },
-          {
-            id: this.generatePublicId('city'),
-            key: 'cambridge',
-            name: 'Cambridge',
-            state: 'MA', 
-            coordinates: { lat: 42.3736, lng: -71.1097 },
-            isActive: true,
-            priority: 3,
-            metroArea: 'greater-boston'
-          }
-        ]
-      },
+      'cities': this.getDefaultCitiesConfig(),
+
+      'time-filtering': this.getDefaultTimeFilteringConfig(),
 
       'product-types': {
         items: [
@@ -330,9 +299,61 @@ class ConfigManager {
         
         errorMessages: {
           location_denied: "Enable location for better results",
+          location_unavailable: "Location unavailable, choose your city",
+          location_out_of_area: "No cities near you yet, choose one below",
           no_results: "No packs found in this area",
           connection_error: "Connection issue - try again",
           loading_error: "Unable to load content"
+        },
+        
+        // Plural forms are keyed by Intl.PluralRules category
+        packCount: {
+          one: "{count} pack available",
+          other: "{count} packs available"
+        },
+        packCountMore: "{count}+ packs available",
+        
+        // Per-locale overrides of the strings above; missing keys fall back to English
+        locales: {
+          es: {
+            searchPlaceholders: [
+              "Busca packs en {cityName}...",
+              "Encuentra {productType} cerca de ti...",
+              "Explora packs locales...",
+              "¿Qué estás buscando?",
+              "Descubre packs en tu zona..."
+            ],
+            locationMessages: [
+              "Detectando tu ubicación en {regionName}...",
+              {
+                one: "Encontramos {packCount} pack cerca de ti",
+                other: "Encontramos {packCount} packs cerca de ti"
+              },
+              "Buscando en la zona de {cityName}...",
+              "Cargando packs de tu región..."
+            ],
+            personalizedPlaceholders: {
+              returning_user: "¡Hola de nuevo! Busca tus favoritos...",
+              first_time: "Descubre packs en tu zona...",
+              mobile: "Toca para buscar packs cercanos",
+              desktop: "Busca packs, ciudades, tipos...",
+              evening: "Encuentra packs para la noche...",
+              morning: "Explora la selección de la mañana..."
+            },
+            errorMessages: {
+              location_denied: "Activa la ubicación para mejores resultados",
+              location_unavailable: "Ubicación no disponible, elige tu ciudad",
+              location_out_of_area: "Aún no hay ciudades cerca de ti, elige una",
+              no_results: "No se encontraron packs en esta zona",
+              connection_error: "Problema de conexión, inténtalo de nuevo",
+              loading_error: "No se pudo cargar el contenido"
+            },
+            packCount: {
+              one: "{count} pack disponible",
+              other: "{count} packs disponibles"
+            },
+            packCountMore: "Más de {count} packs disponibles"
+          }
         }
       },
 
@@ -345,20 +366,169 @@ class ConfigManager {
           fuzzyLocationRadius: 0.01, // ~1 mile
           hideExactCoordinates: true,
           sessionTimeout: 1800000 // 30 minutes
-        }
+        },
+        minimumAge: { MA: 21, RI: 21, CT: 21 },
+        compliance: this.getDefaultComplianceConfig()
+      },
+
+      'vendor-display': {
+        showVendorNames: true,
+        showVendorIcons: true,
+        showVendorAvatars: true,
+        hideVendorInModal: false
       }
     };
 
     return defaults[type] || {};
   }
 
-  // Create default config in Firebase
+  // Default cities come from the city registry so every consumer agrees
+  getDefaultCitiesConfig() {
+    const defaults = typeof CityRegistry !== 'undefined' ? CityRegistry.DEFAULT_CITIES : [];
+    return {
+      items: defaults.map(city => ({
+        id: this.generatePublicId('city'),
+        key: city.key,
+        name: city.name,
+        state: city.state,
+        coordinates: { lat: city.lat, lng: city.lng },
+        isActive: true,
+        priority: city.priority,
+        metroArea: city.metroArea || null,
+        aliases: city.aliases || []
+      }))
+    };
+  }
+
+  // Per-state compliance defaults are shared with ComplianceManager
+  getDefaultComplianceConfig() {
+    if (typeof ComplianceManager === 'undefined') return {};
+    return JSON.parse(JSON.stringify(new ComplianceManager().mergeProfiles()));
+  }
+
+  // Listing TTL defaults are shared with PostManager and the archival job
+  getDefaultTimeFilteringConfig() {
+    const defaults = typeof PostManager !== 'undefined' ? PostManager.DEFAULT_EXPIRY_CONFIG : {};
+    return JSON.parse(JSON.stringify(defaults));
+  }
+
+  // Seeding defaults needs the same permission the rules check for config writes
+  canSeedDefaults() {
+    return !!window.authManager?.canPerformAction('manage_settings');
+  }
+
+  // Check a config document against ConfigManager.SCHEMAS. Invalid fields fall
+  // back to the matching default (or are dropped when there is none).
+  validateConfig(type, data) {
+    const schema = ConfigManager.SCHEMAS[type];
+    if (!schema) return { data, errors: [] };
+
+    const errors = [];
+    const valid = this.validateValue(schema, data, this.getDefaultConfig(type), type, errors);
+    return { data: valid, errors };
+  }
+
+  // Validated config for loading; problems are logged and kept for getValidationReport
+  sanitizeConfig(type, data) {
+    const { data: valid, errors } = this.validateConfig(type, data);
+    this.validationReports.set(type, errors);
+    if (errors.length > 0) {
+      console.warn(`Config ${type} has invalid fields, using defaults for them:`, errors);
+    }
+    return valid;
+  }
+
+  getValidationReport(type) {
+    return this.validationReports.get(type) || [];
+  }
+
+  // Validate one value against a JSON-schema subset: type, enum, pattern,
+  // minLength, minimum/maximum, maxItems, properties, required,
+  // additionalProperties and anyOf. Returns the repaired value.
+  validateValue(schema, value, fallback, path, errors) {
+    const fail = message => {
+      errors.push(`${path}: ${message}`);
+      return fallback;
+    };
+
+    if (schema.anyOf) {
+      for (const option of schema.anyOf) {
+        const optionErrors = [];
+        const result = this.validateValue(option, value, undefined, path, optionErrors);
+        if (optionErrors.length === 0) return result;
+      }
+      return fail('does not match any allowed shape');
+    }
+
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (![].concat(schema.type).includes(actual)) {
+      return fail(`expected ${[].concat(schema.type).join(' or ')}, got ${actual}`);
+    }
+
+    if (actual === 'string') {
+      if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(', ')}`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+      if (schema.minLength && value.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`);
+      return value;
+    }
+
+    if (actual === 'number') {
+      if (!Number.isFinite(value)) return fail('must be a finite number');
+      if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+      return value;
+    }
+
+    if (actual === 'array') {
+      if (schema.maxItems && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+      if (!schema.items) return value;
+      return value
+        .map((item, index) => this.validateValue(schema.items, item, undefined, `${path}[${index}]`, errors))
+        .filter(item => item !== undefined);
+    }
+
+    if (actual === 'object') {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        const propertySchema = schema.properties?.[key]
+          || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+        if (!propertySchema) {
+          if (schema.additionalProperties === false) {
+            errors.push(`${path}.${key}: is not allowed`);
+          } else {
+            result[key] = value[key];
+          }
+          return;
+        }
+        const valid = this.validateValue(propertySchema, value[key], fallback?.[key], `${path}.${key}`, errors);
+        if (valid !== undefined) result[key] = valid;
+      });
+
+      for (const key of schema.required || []) {
+        if (result[key] !== undefined) continue;
+        if (fallback?.[key] === undefined) return fail(`missing required ${key}`);
+        errors.push(`${path}.${key}: is required`);
+        result[key] = fallback[key];
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  // Create default config in Firebase; goes through saveConfig so it gets a history entry
   async createDefaultConfig(type, data) {
-    try {
-      await db.collection("config").doc(type).set(data);
+    if (await this.saveConfig(type, () => data)) {
       console.log(`Created default config for ${type}`);
-    } catch (error) {
-      console.error(`Failed to create default config for ${type}:`, error);
+    } else {
+      console.error(`Failed to create default config for ${type}`);
+    }
+  }
+
+  // Push city config into the shared registry
+  syncCityRegistry(type, data) {
+    if (type === 'cities' && window.cityRegistry) {
+      window.cityRegistry.applyConfig(data);
     }
   }
 
@@ -385,14 +555,278 @@ class ConfigManager {
     return [];
   }
 
-  // Clear cache
+  // Load config/ui-strings once for the string API
+  loadStrings() {
+    if (!this.stringsPromise) {
+      this.stringsPromise = this.loadConfigType('ui-strings');
+    }
+    return this.stringsPromise;
+  }
+
+  // Active locale: the saved choice, else the browser language, else English
+  getLocale() {
+    const saved = localStorage.getItem(ConfigManager.LOCALE_KEY);
+    if (ConfigManager.SUPPORTED_LOCALES.includes(saved)) return saved;
+
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return ConfigManager.SUPPORTED_LOCALES.includes(browser) ? browser : ConfigManager.SUPPORTED_LOCALES[0];
+  }
+
+  // Reflect the active locale on <html lang> from the first paint
+  applyLocale() {
+    document.documentElement.lang = this.getLocale();
+  }
+
+  setLocale(locale) {
+    if (!ConfigManager.SUPPORTED_LOCALES.includes(locale)) return false;
+
+    localStorage.setItem(ConfigManager.LOCALE_KEY, locale);
+    document.documentElement.lang = locale;
+    this.notifyCallbacks('localeChanged', { locale });
+    return true;
+  }
+
+  // ui-strings for a locale: defaults, then config/ui-strings, each with its locale overrides
+  getStrings(locale = this.getLocale()) {
+    const defaults = this.getDefaultConfig('ui-strings');
+    const config = this.getConfig('ui-strings');
+
+    return [
+      defaults,
+      config,
+      defaults.locales?.[locale],
+      config.locales?.[locale]
+    ].reduce((strings, layer) => this.mergeStrings(strings, layer), {});
+  }
+
+  // Nested string maps merge key by key; lists and plural forms replace wholesale
+  mergeStrings(base, overrides) {
+    if (!overrides) return base;
+
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+      if (key === 'locales') return;
+      const nested = value && typeof value === 'object' && !Array.isArray(value) && !this.isPluralForms(value);
+      merged[key] = nested ? this.mergeStrings(base[key] || {}, value) : value;
+    });
+    return merged;
+  }
+
+  isPluralForms(value) {
+    return typeof value.other === 'string';
+  }
+
+  // Translate a dotted key ("errorMessages.no_results", "locationMessages.1")
+  t(key, params = {}) {
+    const template = key.split('.').reduce((node, part) => node?.[part], this.getStrings());
+    if (template === undefined || template === null) return key;
+    return this.renderString(template, params);
+  }
+
+  // Fill {placeholders}; plural forms pick by params.count (or the first numeric param)
+  renderString(template, params = {}) {
+    const locale = this.getLocale();
+    let text = template;
+
+    if (text && typeof text === 'object' && this.isPluralForms(text)) {
+      const count = Number(params.count ?? Object.values(params).find(value => typeof value === 'number'));
+      const category = count === 0 && text.zero ? 'zero' : new Intl.PluralRules(locale).select(count);
+      text = text[category] || text.other;
+    }
+
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+    });
+  }
+
+  // What personalized strings can key on
+  getContext(now = new Date()) {
+    const hour = now.getHours();
+    let timeOfDay = 'night';
+    if (hour >= 5 && hour < 12) timeOfDay = 'morning';
+    else if (hour >= 12 && hour < 17) timeOfDay = 'afternoon';
+    else if (hour >= 17 && hour < 22) timeOfDay = 'evening';
+
+    const mobile = typeof window.matchMedia === 'function'
+      ? window.matchMedia('(max-width: 768px)').matches
+      : /Mobi/i.test(navigator.userAgent || '');
+
+    return { timeOfDay, device: mobile ? 'mobile' : 'desktop', returningUser: this.isReturningUser() };
+  }
+
+  // A visit in an earlier session marks a returning user; checked once per page load
+  isReturningUser() {
+    if (this.returningUser === undefined) {
+      this.returningUser = localStorage.getItem(ConfigManager.LAST_VISIT_KEY) !== null;
+      localStorage.setItem(ConfigManager.LAST_VISIT_KEY, String(Date.now()));
+    }
+    return this.returningUser;
+  }
+
+  // Search box placeholder chosen by context: returning user, then time of day,
+  // then device, then first visit; searchPlaceholders[0] if none are configured
+  getSearchPlaceholder(params = {}) {
+    const strings = this.getStrings();
+    const context = this.getContext();
+    const placeholders = strings.personalizedPlaceholders || {};
+    const keys = [
+      context.returningUser ? 'returning_user' : null,
+      context.timeOfDay,
+      context.device,
+      'first_time'
+    ];
+
+    const key = keys.find(candidate => candidate && placeholders[candidate]);
+    const template = key ? placeholders[key] : (strings.searchPlaceholders || [])[0];
+    if (!template) return '';
+
+    const city = window.locationManager?.getCurrentCity();
+    return this.renderString(template, { cityName: city?.name, ...params });
+  }
+
+  // Keep a loaded config type current: a snapshot listener, or polling when
+  // realtime updates are off or the listener fails
+  subscribe(type) {
+    if (this.subscriptions.has(type)) return;
+
+    if (!this.isRealtimeEnabled()) {
+      this.subscriptions.set(type, null);
+      this.startPolling();
+      return;
+    }
+
+    const unsubscribe = db.collection("config").doc(type).onSnapshot(
+      snapshot => {
+        // Local writes were already applied and announced by updateConfig
+        if (!snapshot.exists || snapshot.metadata.hasPendingWrites) return;
+        this.applyRemoteConfig(type, snapshot.data());
+      },
+      error => {
+        console.warn(`Config listener for ${type} failed, polling instead:`, error);
+        this.subscriptions.set(type, null);
+        this.startPolling();
+      }
+    );
+    this.subscriptions.set(type, unsubscribe);
+  }
+
+  // Stop all listeners and polling
+  unsubscribeAll() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe && unsubscribe());
+    this.subscriptions.clear();
+    this.stopPolling();
+  }
+
+  // Store a config that changed in Firestore and tell subscribers. Reads older
+  // than the cached version (e.g. a slow poll) are ignored.
+  applyRemoteConfig(type, remoteData) {
+    const data = this.sanitizeConfig(type, remoteData);
+    const current = this.configs.get(type);
+    if (Number(data.version) < Number(current?.version)) return false;
+    if (JSON.stringify(data) === JSON.stringify(current)) {
+      this.writeCache(type, data);
+      return false;
+    }
+
+    this.writeCache(type, data);
+    this.configs.set(type, data);
+    this.syncCityRegistry(type, data);
+    this.notifyCallbacks('configUpdated', { type, data, source: 'remote' });
+    return true;
+  }
+
+  // Realtime updates are on unless turned off for this browser
+  isRealtimeEnabled() {
+    return localStorage.getItem(ConfigManager.REALTIME_KEY) !== 'off';
+  }
+
+  // Switch between snapshot listeners and polling, resubscribing current types
+  setRealtimeEnabled(enabled) {
+    localStorage.setItem(ConfigManager.REALTIME_KEY, enabled ? 'on' : 'off');
+
+    const types = [...this.subscriptions.keys()];
+    this.unsubscribeAll();
+    types.forEach(type => this.subscribe(type));
+  }
+
+  startPolling() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.pollConfigs(), ConfigManager.POLL_INTERVAL);
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  // Re-read every polled type
+  async pollConfigs() {
+    const polled = [...this.subscriptions.entries()]
+      .filter(([, unsubscribe]) => !unsubscribe)
+      .map(([type]) => type);
+
+    await Promise.allSettled(polled.map(async type => {
+      const snapshot = await db.collection("config").doc(type).get();
+      if (snapshot.exists) this.applyRemoteConfig(type, snapshot.data());
+    }));
+  }
+
+  // Re-read a config served from a stale cache entry
+  async revalidateConfigType(type) {
+    try {
+      const snapshot = await db.collection("config").doc(type).get();
+      if (snapshot.exists) this.applyRemoteConfig(type, snapshot.data());
+    } catch (error) {
+      console.warn(`Could not revalidate config ${type}, keeping cached copy:`, error);
+    }
+  }
+
+  // Persisted config entry, or null when missing or written by an older cache schema
+  readCache(type) {
+    const key = ConfigManager.CACHE_PREFIX + type;
+    try {
+      const entry = JSON.parse(localStorage.getItem(key));
+      if (entry && entry.schemaVersion === ConfigManager.CACHE_SCHEMA_VERSION) return entry;
+      if (entry) localStorage.removeItem(key);
+    } catch (error) {
+      localStorage.removeItem(key);
+    }
+    return null;
+  }
+
+  writeCache(type, data) {
+    const entry = {
+      schemaVersion: ConfigManager.CACHE_SCHEMA_VERSION,
+      version: data.version ?? null,
+      updatedAt: data.updatedAt?.toMillis ? data.updatedAt.toMillis() : null,
+      savedAt: Date.now(),
+      data
+    };
+    try {
+      localStorage.setItem(ConfigManager.CACHE_PREFIX + type, JSON.stringify(entry));
+    } catch (error) {
+      console.warn(`Could not cache config ${type}:`, error);
+    }
+  }
+
+  // Clear cache, including every persisted config entry
   clearCache() {
-    this.cache.clear();
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(ConfigManager.CACHE_PREFIX)) {
+        localStorage.removeItem(key);
+      }
+    }
   }
 
-  // Add callback for configuration updates
+  // Add callback for configuration updates, returns an unsubscribe function
   onConfigUpdate(callback) {
     this.callbacks.push(callback);
+    return () => {
+      this.callbacks = this.callbacks.filter(existing => existing !== callback);
+    };
   }
 
   // Notify all callbacks
@@ -420,17 +854,77 @@ class ConfigManager {
 
   // Update configuration (for admin use)
   async updateConfig(type, data) {
+    return this.saveConfig(type, previous => ({ ...previous, ...data }));
+  }
+
+  // Restore the config a history entry replaced; the rollback is itself recorded
+  async rollbackConfig(type, entryId) {
     try {
-      await db.collection("config").doc(type).update(data);
-      
-      // Update local cache
-      this.configs.set(type, { ...this.getConfig(type), ...data });
+      const entry = await db.collection("config").doc(type).collection('history').doc(entryId).get();
+      if (!entry.exists) {
+        console.error(`No history entry ${entryId} for config ${type}`);
+        return false;
+      }
+      return this.saveConfig(type, () => entry.data().previous || {}, { rollbackOf: entryId });
+    } catch (error) {
+      console.error(`Failed to roll back config ${type}:`, error);
+      return false;
+    }
+  }
+
+  // Write a config document with its history entry and audit log entry in one
+  // batch. `build` maps the current document (without metadata) to the new one.
+  async saveConfig(type, build, { rollbackOf = null } = {}) {
+    try {
+      const ref = db.collection("config").doc(type);
+      const snapshot = await ref.get();
+      const current = snapshot.exists ? snapshot.data() : {};
+      const previous = this.stripConfigMeta(current);
+      const next = this.stripConfigMeta(build(previous));
+
+      const { errors } = this.validateConfig(type, next);
+      if (errors.length > 0) {
+        console.error(`Refusing to save invalid ${type} config:`, errors);
+        return false;
+      }
+
+      const changes = this.diffConfigs(previous, next);
+      if (changes.length === 0) return true;
+
+      const user = window.authManager?.currentUser;
+      const serverTimestamp = firebase.firestore.FieldValue.serverTimestamp();
+      const version = (Number(current.version) || 0) + 1;
+      const historyRef = ref.collection('history').doc();
+
+      const batch = db.batch();
+      batch.set(historyRef, {
+        version: Number(current.version) || 0,
+        previous,
+        changes,
+        rollbackOf,
+        changedBy: user?.uid || null,
+        changedByEmail: user?.email || null,
+        changedAt: serverTimestamp
+      });
+      // Every write bumps the document version so caches can tell copies apart
+      batch.set(ref, { ...next, version, updatedAt: serverTimestamp, lastHistoryId: historyRef.id });
+      if (window.auditLogger) {
+        const values = side => Object.fromEntries(changes.map(change => [change.path, change[side]]));
+        window.auditLogger.addToBatch(batch, rollbackOf ? 'config.rollback' : 'config.update', {
+          target: `config/${type}`,
+          before: values('before'),
+          after: values('after'),
+          details: { version, historyId: historyRef.id, rollbackOf }
+        });
+      }
+      await batch.commit();
       
-      // Clear cache for this type
-      const cacheKey = `config_${type}_${this.sessionId}`;
-      this.cache.delete(cacheKey);
+      // Update local config; the listener stores the confirmed copy
+      this.configs.set(type, { ...next, version });
+      this.syncCityRegistry(type, next);
+      localStorage.removeItem(ConfigManager.CACHE_PREFIX + type);
       
-      this.notifyCallbacks('configUpdated', { type, data });
+      this.notifyCallbacks('configUpdated', { type, data: next });
       
       return true;
     } catch (error) {
@@ -438,8 +932,225 @@ class ConfigManager {
       return false;
     }
   }
+
+  // Config fields without the bookkeeping saveConfig adds
+  stripConfigMeta(data = {}) {
+    const stripped = { ...data };
+    ConfigManager.META_FIELDS.forEach(field => delete stripped[field]);
+    return stripped;
+  }
+
+  // Changed leaf paths between two configs; arrays are compared whole
+  diffConfigs(before, after, path = '') {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    keys.forEach(key => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      const from = before?.[key];
+      const to = after?.[key];
+      if (isObject(from) && isObject(to)) {
+        changes.push(...this.diffConfigs(from, to, fieldPath));
+      } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ path: fieldPath, before: from === undefined ? null : from, after: to === undefined ? null : to });
+      }
+    });
+    return changes;
+  }
+
+  // Saved versions of a config, newest first (settings managers only)
+  async getConfigHistory(type, limit = 50) {
+    try {
+      const snapshot = await db.collection("config").doc(type)
+        .collection('history')
+        .orderBy('changedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      const entries = [];
+      snapshot.forEach(doc => entries.push({ id: doc.id, ...doc.data() }));
+      return entries;
+    } catch (error) {
+      console.error(`Error loading ${type} config history:`, error);
+      return [];
+    }
+  }
 }
 
+ConfigManager.SUPPORTED_LOCALES = ['en', 'es'];
+ConfigManager.LOCALE_NAMES = { en: 'English', es: 'Español' }; // shown in the header language picker
+ConfigManager.LOCALE_KEY = 'packslist-locale';
+ConfigManager.LAST_VISIT_KEY = 'packslist-last-visit';
+ConfigManager.REALTIME_KEY = 'packslist-config-realtime';
+ConfigManager.CACHE_PREFIX = 'packslist-config:';
+ConfigManager.CACHE_SCHEMA_VERSION = 2; // bump when the cached entry shape or config schemas change
+ConfigManager.POLL_INTERVAL = 60 * 1000; // 1 minute
+ConfigManager.META_FIELDS = ['version', 'updatedAt', 'lastHistoryId'];
+
+// JSON-schema (subset) definitions for config documents; see validateValue.
+// Unlisted top-level fields such as version and updatedAt pass through.
+(() => {
+  const coordinates = {
+    type: 'object',
+    required: ['lat', 'lng'],
+    properties: {
+      lat: { type: 'number', minimum: -90, maximum: 90 },
+      lng: { type: 'number', minimum: -180, maximum: 180 }
+    }
+  };
+  const key = { type: 'string', pattern: '^[a-z0-9-]+$' };
+  const text = { type: 'string', minLength: 1 };
+  const pluralForms = {
+    type: 'object',
+    required: ['other'],
+    properties: { other: text },
+    additionalProperties: { type: 'string' }
+  };
+  const message = { anyOf: [{ type: 'string' }, pluralForms] };
+  const strings = {
+    type: 'object',
+    properties: {
+      searchPlaceholders: { type: 'array', items: message },
+      locationMessages: { type: 'array', items: message },
+      personalizedPlaceholders: { type: 'object', additionalProperties: { type: 'string' } },
+      errorMessages: { type: 'object', additionalProperties: { type: 'string' } },
+      packCount: message,
+      packCountMore: { type: 'string' }
+    }
+  };
+
+  ConfigManager.SCHEMAS = {
+    'cities': {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['key', 'name'],
+            properties: {
+              key,
+              name: text,
+              state: { type: 'string' },
+              coordinates,
+              lat: coordinates.properties.lat,
+              lng: coordinates.properties.lng,
+              isActive: { type: 'boolean' },
+              priority: { type: 'number' },
+              metroArea: { type: ['string', 'null'] },
+              aliases: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        },
+        aliases: { type: 'object', additionalProperties: key }
+      }
+    },
+
+    'vendor-categories': {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['key', 'name'],
+            properties: {
+              key,
+              name: text,
+              color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+              icon: { type: 'string' },
+              isActive: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    },
+
+    'metro-areas': {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['key', 'name'],
+            properties: {
+              key,
+              name: text,
+              center: coordinates,
+              radius: { type: 'number', minimum: 0 },
+              cities: { type: 'array', items: key },
+              deliveryRadius: { type: 'number', minimum: 0 },
+              isActive: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    },
+
+    'ui-strings': {
+      ...strings,
+      properties: {
+        ...strings.properties,
+        locales: {
+          type: 'object',
+          additionalProperties: strings
+        }
+      }
+    },
+
+    'region-settings': {
+      type: 'object',
+      properties: {
+        defaultRegion: { type: 'string' },
+        fallbackLocation: coordinates,
+        maxSearchRadius: { type: 'number', minimum: 1 },
+        cacheTimeout: { type: 'number', minimum: 0 },
+        privacySettings: {
+          type: 'object',
+          properties: {
+            fuzzyLocationRadius: { type: 'number', minimum: 0 },
+            hideExactCoordinates: { type: 'boolean' },
+            sessionTimeout: { type: 'number', minimum: 0 }
+          }
+        },
+        // Keyed by state; 21 is the floor firestore.rules enforces
+        minimumAge: {
+          type: 'object',
+          additionalProperties: { type: 'number', minimum: 21, maximum: 99 }
+        },
+        // Keyed by state; see ComplianceManager for how each field is applied
+        compliance: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              allowedCategories: { type: 'array', items: { type: 'string', minLength: 1 } },
+              disclaimers: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1 } },
+              peerListingsAllowed: { type: 'boolean' },
+              requiredLicenseFields: {
+                type: 'array',
+                items: { type: 'string', enum: ['licenseNumber', 'businessName'] }
+              }
+            }
+          }
+        }
+      }
+    },
+
+    'vendor-display': {
+      type: 'object',
+      properties: {
+        showVendorNames: { type: 'boolean' },
+        showVendorIcons: { type: 'boolean' },
+        showVendorAvatars: { type: 'boolean' },
+        hideVendorInModal: { type: 'boolean' }
+      }
+    }
+  };
+})();
+
 // Global instance
 window.configManager = new ConfigManager();
 
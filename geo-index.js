@@ -0,0 +1,222 @@
+// Geo Index for PacksList
+// Posts store a fuzzed lat/lng and its geohash; radius searches query the geohash
+// ranges covering a circle (the geofire-common approach) and trim by distance.
+// Radii are in miles, matching config/metro-areas and region-settings.maxSearchRadius.
+
+class GeoIndex {
+  constructor() {
+    this.settings = null;
+    this.settingsPromise = null;
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  // region-settings and metro-areas, merged over the defaults
+  async loadSettings() {
+    if (this.settings) return this.settings;
+    if (!this.settingsPromise) {
+      const read = type => this.db.collection('config').doc(type).get()
+        .then(doc => doc.exists ? doc.data() : {})
+        .catch(error => {
+          console.warn(`Using default ${type}:`, error);
+          return {};
+        });
+
+      this.settingsPromise = Promise.all([read('region-settings'), read('metro-areas')])
+        .then(([regionSettings, metroAreas]) => {
+          this.settings = this.mergeSettings(regionSettings, metroAreas);
+          return this.settings;
+        });
+    }
+    return this.settingsPromise;
+  }
+
+  mergeSettings(regionSettings = {}, metroAreas = {}) {
+    const fallbackMetros = typeof window !== 'undefined' && window.configManager
+      ? window.configManager.getDefaultConfig('metro-areas').items
+      : [];
+
+    return {
+      maxSearchRadius: Number(regionSettings.maxSearchRadius) || GeoIndex.DEFAULT_SETTINGS.maxSearchRadius,
+      fuzzyLocationRadius: regionSettings.privacySettings?.fuzzyLocationRadius ?? GeoIndex.DEFAULT_SETTINGS.fuzzyLocationRadius,
+      metroAreas: (metroAreas.items || fallbackMetros || []).filter(metro => metro.isActive !== false)
+    };
+  }
+
+  getMetroArea(settings, cityKey) {
+    return settings.metroAreas.find(metro => (metro.cities || []).includes(cityKey)) || null;
+  }
+
+  // Starting slider value for a city: its metro radius, within the configured maximum
+  getDefaultRadius(settings, cityKey) {
+    const metro = this.getMetroArea(settings, cityKey);
+    const radius = Number(metro?.radius) || GeoIndex.DEFAULT_RADIUS_MILES;
+    return Math.min(radius, settings.maxSearchRadius);
+  }
+
+  // Stored location for a new or moved post: the city center, fuzzed for privacy
+  async locationForCity(cityKey) {
+    const coordinates = window.cityRegistry?.getCoordinates(cityKey);
+    if (!coordinates) return {};
+
+    const { fuzzyLocationRadius } = await this.loadSettings();
+    return this.fuzzLocation(coordinates, fuzzyLocationRadius);
+  }
+
+  // Random offset of up to half the fuzz radius (in degrees) on each axis
+  fuzzLocation(coordinates, fuzzyLocationRadius) {
+    const lat = coordinates.lat + (Math.random() - 0.5) * fuzzyLocationRadius;
+    const lng = coordinates.lng + (Math.random() - 0.5) * fuzzyLocationRadius;
+    return { lat, lng, geohash: this.encode(lat, lng) };
+  }
+
+  encode(lat, lng, precision = GeoIndex.STORED_PRECISION) {
+    const latRange = [-90, 90];
+    const lngRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let value = 0;
+    let even = true;
+
+    while (hash.length < precision) {
+      const range = even ? lngRange : latRange;
+      const coordinate = even ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+      value <<= 1;
+      if (coordinate > mid) {
+        value |= 1;
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      even = !even;
+
+      if (++bits === 5) {
+        hash += GeoIndex.BASE32[value];
+        bits = 0;
+        value = 0;
+      }
+    }
+    return hash;
+  }
+
+  // Great-circle distance in miles
+  distanceMiles(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * GeoIndex.EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+  }
+
+  // [start, end] geohash ranges that together cover the circle
+  queryBounds(center, radiusMiles) {
+    const radius = radiusMiles * GeoIndex.METERS_PER_MILE;
+    const queryBits = Math.max(1, this.boundingBoxBits(center, radius));
+    const precision = Math.ceil(queryBits / 5);
+
+    const seen = new Set();
+    return this.boundingBoxCoordinates(center, radius)
+      .map(point => this.geohashRange(this.encode(point.lat, point.lng, precision), queryBits))
+      .filter(([start, end]) => {
+        const key = `${start}:${end}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  geohashRange(geohash, bits) {
+    const precision = Math.ceil(bits / 5);
+    if (geohash.length < precision) return [geohash, `${geohash}~`];
+
+    const hash = geohash.substring(0, precision);
+    const base = hash.substring(0, hash.length - 1);
+    const lastValue = GeoIndex.BASE32.indexOf(hash.charAt(hash.length - 1));
+    const unusedBits = 5 - (bits - base.length * 5);
+    const startValue = (lastValue >> unusedBits) << unusedBits;
+    const endValue = startValue + (1 << unusedBits);
+
+    if (endValue > 31) return [base + GeoIndex.BASE32[startValue], `${base}~`];
+    return [base + GeoIndex.BASE32[startValue], base + GeoIndex.BASE32[endValue]];
+  }
+
+  // Geohash bits whose cells are no smaller than the search box
+  boundingBoxBits(center, meters) {
+    const latDelta = meters / GeoIndex.METERS_PER_DEGREE_LATITUDE;
+    const latNorth = Math.min(90, center.lat + latDelta);
+    const latSouth = Math.max(-90, center.lat - latDelta);
+    const latBits = Math.floor(Math.min(Math.log2(GeoIndex.EARTH_MERIDIONAL_CIRCUMFERENCE / 2 / meters), GeoIndex.MAX_BITS)) * 2;
+    const lngBits = latitude => {
+      const degrees = this.metersToLongitudeDegrees(meters, latitude);
+      return Math.abs(degrees) > 0.000001 ? Math.max(1, Math.log2(360 / degrees)) : 1;
+    };
+    return Math.min(
+      latBits,
+      Math.floor(lngBits(latNorth)) * 2 - 1,
+      Math.floor(lngBits(latSouth)) * 2 - 1,
+      GeoIndex.MAX_BITS
+    );
+  }
+
+  // Center plus the eight corners and edges of the search box
+  boundingBoxCoordinates(center, meters) {
+    const latDelta = meters / GeoIndex.METERS_PER_DEGREE_LATITUDE;
+    const latNorth = Math.min(90, center.lat + latDelta);
+    const latSouth = Math.max(-90, center.lat - latDelta);
+    const lngDelta = Math.max(
+      this.metersToLongitudeDegrees(meters, latNorth),
+      this.metersToLongitudeDegrees(meters, latSouth)
+    );
+
+    const points = [];
+    [center.lat, latNorth, latSouth].forEach(lat => {
+      [center.lng, center.lng - lngDelta, center.lng + lngDelta].forEach(lng => {
+        points.push({ lat, lng: this.wrapLongitude(lng) });
+      });
+    });
+    return points;
+  }
+
+  metersToLongitudeDegrees(meters, latitude) {
+    const radians = latitude * Math.PI / 180;
+    const numerator = Math.cos(radians) * GeoIndex.EARTH_EQUATORIAL_RADIUS * Math.PI / 180;
+    const denominator = 1 / Math.sqrt(1 - GeoIndex.EARTH_E2 * Math.sin(radians) ** 2);
+    const metersPerDegree = numerator * denominator;
+    if (metersPerDegree < 1e-12) return meters > 0 ? 360 : 0;
+    return Math.min(360, meters / metersPerDegree);
+  }
+
+  wrapLongitude(lng) {
+    if (lng <= 180 && lng >= -180) return lng;
+    const adjusted = lng + 180;
+    return adjusted > 0 ? (adjusted % 360) - 180 : 180 - (-adjusted % 360);
+  }
+}
+
+GeoIndex.BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+GeoIndex.STORED_PRECISION = 10; // ~1m cells; must fit the geohash size check in firestore.rules
+GeoIndex.MAX_BITS = 22 * 5;
+
+GeoIndex.METERS_PER_MILE = 1609.344;
+GeoIndex.METERS_PER_DEGREE_LATITUDE = 110574;
+GeoIndex.EARTH_RADIUS_MILES = 3958.8;
+GeoIndex.EARTH_EQUATORIAL_RADIUS = 6378137;
+GeoIndex.EARTH_MERIDIONAL_CIRCUMFERENCE = 40007860;
+GeoIndex.EARTH_E2 = 0.00669447819799;
+
+GeoIndex.DEFAULT_RADIUS_MILES = 25;
+GeoIndex.DEFAULT_SETTINGS = { maxSearchRadius: 50, fuzzyLocationRadius: 0.01 };
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.geoIndex = new GeoIndex();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeoIndex;
+}
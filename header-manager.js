@@ -24,6 +24,13 @@ class HeaderManager {
         guestIndicator: 'Guest'
       },
       
+      // Messages inbox link with unread badge
+      messages: {
+        enabled: true,
+        url: 'messages.html',
+        icon: '💬'
+      },
+      
       // Admin-specific header config
       adminHeader: {
         title: 'PacksList Admin',
@@ -77,6 +84,8 @@ class HeaderManager {
         <div class="header-city-picker">
           <div id="header-city-picker-container"></div>
         </div>
+        ${this.renderMessagesLink()}
+        ${this.renderLocalePicker()}
       </div>
     `;
     
@@ -84,6 +93,7 @@ class HeaderManager {
     
     // Initialize city picker in header
     this.initializeHeaderCityPicker();
+    this.initializeLocalePicker();
     
     // Initialize navigation manager if available
     if (window.navigationManager) {
@@ -147,6 +157,49 @@ class HeaderManager {
     headerContainer.innerHTML = headerHTML;
   }
 
+  // Render messages link with unread badge
+  renderMessagesLink() {
+    if (!this.config.messages.enabled) return '';
+    
+    return `
+      <a href="${this.config.messages.url}" class="header-messages-link auth-required" title="Messages">
+        ${this.config.messages.icon}
+        <span id="header-unread-badge" class="nav-badge" style="display: none;">0</span>
+      </a>
+    `;
+  }
+
+  // Render language picker for the locales ConfigManager ships strings for
+  renderLocalePicker() {
+    if (!window.configManager) return '';
+    
+    const current = window.configManager.getLocale();
+    const options = ConfigManager.SUPPORTED_LOCALES.map(locale => `
+      <option value="${locale}" ${locale === current ? 'selected' : ''}>${ConfigManager.LOCALE_NAMES[locale] || locale}</option>
+    `).join('');
+    
+    return `<select id="header-locale-picker" class="header-locale-select" aria-label="Language">${options}</select>`;
+  }
+
+  // Switch locale; listeners re-render their strings on localeChanged
+  initializeLocalePicker() {
+    const picker = document.getElementById('header-locale-picker');
+    if (!picker) return;
+    
+    picker.addEventListener('change', () => {
+      window.configManager.setLocale(picker.value);
+    });
+  }
+
+  // Update unread message badge
+  updateUnreadBadge(count) {
+    const badge = document.getElementById('header-unread-badge');
+    if (!badge) return;
+    
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.style.display = count > 0 ? 'inline-block' : 'none';
+  }
+
   // Render user info section
   renderUserInfo() {
     return `
@@ -216,6 +269,25 @@ class HeaderManager {
       // Set up auth state listener
       this.setupAuthStateListener();
     }
+    
+    // Listen for unread message count changes
+    if (window.messageManager && !this.unsubscribeUnread) {
+      this.unsubscribeUnread = window.messageManager.onUnreadCountChange((count) => {
+        this.updateUnreadBadge(count);
+      });
+    }
+    
+    // Re-render the city picker when cities or strings change in the admin panel
+    if (window.configManager && !this.unsubscribeConfig) {
+      window.configManager.loadConfigType('cities');
+      window.configManager.loadStrings();
+      this.unsubscribeConfig = window.configManager.onConfigUpdate((event, data) => {
+        if (event === 'localeChanged'
+            || (event === 'configUpdated' && ['cities', 'ui-strings'].includes(data?.type))) {
+          this.initializeHeaderCityPicker();
+        }
+      });
+    }
   }
 
 
@@ -312,6 +384,14 @@ class HeaderManager {
 
   // Destroy header manager
   destroy() {
+    if (this.unsubscribeUnread) {
+      this.unsubscribeUnread();
+      this.unsubscribeUnread = null;
+    }
+    if (this.unsubscribeConfig) {
+      this.unsubscribeConfig();
+      this.unsubscribeConfig = null;
+    }
     this.isInitialized = false;
   }
 }
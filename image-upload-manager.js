@@ -0,0 +1,133 @@
+// Image Upload Manager for PacksList
+// Resizes post photos in the browser and stores them under posts/{userId}/{postId}/
+
+class ImageUploadManager {
+  get storage() {
+    return firebase.storage();
+  }
+
+  // Storage folder for one post; storage.rules ties it to the owner's uid
+  getPostFolder(userId, postId) {
+    return `posts/${userId}/${postId}`;
+  }
+
+  createImageId() {
+    return `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Check count and type before doing any work
+  validateFiles(files, existingCount = 0) {
+    if (existingCount + files.length > ImageUploadManager.MAX_IMAGES) {
+      return `You can add up to ${ImageUploadManager.MAX_IMAGES} photos.`;
+    }
+    const invalid = files.find(file => !file.type.startsWith('image/'));
+    if (invalid) {
+      return `${invalid.name} is not an image.`;
+    }
+    return null;
+  }
+
+  // Redraw onto a canvas and re-encode as JPEG. Only pixels survive the
+  // canvas, so EXIF metadata (camera, GPS location) is never uploaded.
+  async resizeImage(file, maxDimension, quality) {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error(`Unable to process ${file.name}`));
+        }
+      }, 'image/jpeg', quality);
+    });
+  }
+
+  // Full-size image plus a card thumbnail
+  async processFile(file) {
+    const [full, thumb] = await Promise.all([
+      this.resizeImage(file, ImageUploadManager.MAX_DIMENSION, ImageUploadManager.QUALITY),
+      this.resizeImage(file, ImageUploadManager.THUMB_DIMENSION, ImageUploadManager.THUMB_QUALITY)
+    ]);
+
+    if (full.size > ImageUploadManager.MAX_UPLOAD_BYTES) {
+      throw new Error(`${file.name} is too large even after compression.`);
+    }
+    return { full, thumb };
+  }
+
+  async uploadBlob(path, blob) {
+    const ref = this.storage.ref(path);
+    await ref.put(blob, { contentType: 'image/jpeg' });
+    return ref.getDownloadURL();
+  }
+
+  // Upload photos for a post; returns parallel images/thumbnails URL lists
+  async uploadPostImages(userId, postId, files, onProgress) {
+    const validationError = this.validateFiles(files);
+    if (validationError) throw new Error(validationError);
+
+    const folder = this.getPostFolder(userId, postId);
+    const images = [];
+    const thumbnails = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const { full, thumb } = await this.processFile(files[i]);
+      const imageId = this.createImageId();
+
+      images.push(await this.uploadBlob(`${folder}/${imageId}.jpg`, full));
+      thumbnails.push(await this.uploadBlob(`${folder}/${imageId}_thumb.jpg`, thumb));
+
+      if (onProgress) onProgress(i + 1, files.length);
+    }
+
+    return { images, thumbnails };
+  }
+
+  // Delete files by download URL, ignoring ones that are already gone
+  async deleteImagesByUrl(urls) {
+    await Promise.all(urls.filter(Boolean).map(async url => {
+      try {
+        await this.storage.refFromURL(url).delete();
+      } catch (error) {
+        if (error.code !== 'storage/object-not-found') {
+          console.error('Error deleting image:', error);
+        }
+      }
+    }));
+  }
+
+  // Remove every file stored for a post
+  async deletePostImages(userId, postId) {
+    try {
+      const result = await this.storage.ref(this.getPostFolder(userId, postId)).listAll();
+      await Promise.all(result.items.map(item => item.delete()));
+    } catch (error) {
+      console.error('Error deleting post images:', error);
+    }
+  }
+}
+
+ImageUploadManager.MAX_IMAGES = 5;
+ImageUploadManager.MAX_DIMENSION = 1600;
+ImageUploadManager.THUMB_DIMENSION = 400;
+ImageUploadManager.QUALITY = 0.82;
+ImageUploadManager.THUMB_QUALITY = 0.7;
+ImageUploadManager.MAX_UPLOAD_BYTES = 2 * 1024 * 1024; // must match storage.rules
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.imageUploadManager = new ImageUploadManager();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageUploadManager;
+}
@@ -0,0 +1,169 @@
+// Listings Query for PacksList
+// Cursor-paginated loading of approved posts with server-side city, category
+// (vendor) and price range filters. Every filter combination has a composite
+// index in firestore.indexes.json. A radius around `near` switches to a
+// geohash query (geo-index.js) sorted by distance instead.
+
+class ListingsQuery {
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  // Firebase initializes after the bundles mount; give it up to five seconds
+  async waitForDb() {
+    for (let i = 0; i < 50 && !window.db; i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (!window.db) throw new Error('Firebase database not available after waiting');
+    return window.db;
+  }
+
+  // Empty values mean "any"; prices and radius arrive as input strings
+  normalizeFilters(filters = {}) {
+    const number = value => {
+      if (value === '' || value === null || value === undefined) return null;
+      const parsed = Number(value);
+      return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+    };
+    const city = filters.city || '';
+    const radius = number(filters.radius) || null;
+    const near = radius && filters.near && Number.isFinite(filters.near.lat) && Number.isFinite(filters.near.lng)
+      ? { lat: filters.near.lat, lng: filters.near.lng }
+      : null;
+
+    return {
+      city: city && window.cityRegistry ? window.cityRegistry.normalizeKey(city) : city,
+      category: filters.category || '',
+      minPrice: number(filters.minPrice),
+      maxPrice: number(filters.maxPrice),
+      radius: near ? radius : null,
+      near
+    };
+  }
+
+  buildQuery(filters) {
+    const { city, category, minPrice, maxPrice } = this.normalizeFilters(filters);
+    let query = this.db.collection('posts').where('status', '==', 'approved');
+
+    if (city) query = query.where('city', '==', city);
+    if (category) query = query.where('vendor', '==', category);
+    if (minPrice !== null) query = query.where('price', '>=', minPrice);
+    if (maxPrice !== null) query = query.where('price', '<=', maxPrice);
+
+    // A range filter must be the first sort order
+    if (minPrice !== null || maxPrice !== null) query = query.orderBy('price');
+    return query.orderBy('created', 'desc');
+  }
+
+  // One page of listings; pass the returned cursor back to continue
+  async fetchPage(filters, cursor = null, limit = ListingsQuery.PAGE_SIZE) {
+    await this.waitForDb();
+
+    if (this.normalizeFilters(filters).radius) {
+      return { listings: await this.fetchNearby(filters), cursor: null, hasMore: false };
+    }
+
+    let query = this.buildQuery(filters).limit(limit);
+    if (cursor) query = query.startAfter(cursor);
+
+    const snapshot = await query.get();
+    const listings = snapshot.docs
+      .map(doc => this.toListing(doc.id, doc.data()))
+      .filter(Boolean);
+
+    return {
+      listings,
+      cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+      hasMore: snapshot.docs.length === limit
+    };
+  }
+
+  // Listings within filters.radius miles of filters.near, nearest first. Geohash
+  // ranges overshoot the circle, so results are trimmed by real distance; price
+  // is filtered locally because Firestore allows one range field per query.
+  async fetchNearby(filters) {
+    const normalized = this.normalizeFilters(filters);
+    const { category, radius, near } = normalized;
+
+    const queries = window.geoIndex.queryBounds(near, radius).map(([start, end]) => {
+      let query = this.db.collection('posts').where('status', '==', 'approved');
+      if (category) query = query.where('vendor', '==', category);
+      return query.orderBy('geohash').startAt(start).endAt(end).limit(ListingsQuery.NEARBY_LIMIT).get();
+    });
+    const snapshots = await Promise.all(queries);
+
+    const listings = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+      const listing = this.toListing(doc.id, doc.data());
+      if (!listing || listings.has(doc.id)) return;
+      listing.distance = window.geoIndex.distanceMiles(near, listing);
+      listings.set(doc.id, listing);
+    }));
+
+    return [...listings.values()]
+      .filter(listing => this.matchesFilters(listing, normalized))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  // Newest listings for the map, capped rather than paginated
+  async fetchMapListings(filters) {
+    const page = await this.fetchPage(filters, null, ListingsQuery.MAP_LIMIT);
+    return page.listings;
+  }
+
+  // Post document -> listing card data; null for incomplete, unapproved or expired posts
+  toListing(id, data) {
+    if (!(data?.title && data?.vendor && data?.city)) return null;
+    if ((data.status || 'approved') !== 'approved') return null;
+    if (data.expiresAt && data.expiresAt.toDate() <= new Date()) return null;
+
+    const registry = window.cityRegistry;
+    const city = registry ? registry.normalizeKey(data.city) : data.city;
+    const coordinates = registry?.getCoordinates(city) || ListingsQuery.DEFAULT_COORDINATES;
+
+    return {
+      id,
+      title: data.title,
+      price: data.price || 0,
+      vendor: data.vendor,
+      city,
+      description: data.description || '',
+      created: data.created,
+      expiresAt: data.expiresAt || null,
+      userId: data.userId || '',
+      lat: data.lat || coordinates.lat,
+      lng: data.lng || coordinates.lng,
+      images: data.images || [],
+      thumbnails: data.thumbnails || [],
+      inStock: data.inStock !== false,
+      verified: data.verified === true
+    };
+  }
+
+  // Same filters applied locally, for results that did not come from buildQuery
+  matchesFilters(listing, filters) {
+    const { city, category, minPrice, maxPrice, radius, near } = this.normalizeFilters(filters);
+    const inArea = radius
+      ? window.geoIndex.distanceMiles(near, listing) <= radius
+      : !city || listing.city === city;
+    return inArea
+      && (!category || listing.vendor === category)
+      && (minPrice === null || listing.price >= minPrice)
+      && (maxPrice === null || listing.price <= maxPrice);
+  }
+}
+
+ListingsQuery.PAGE_SIZE = 24;
+ListingsQuery.MAP_LIMIT = 500;
+ListingsQuery.NEARBY_LIMIT = 200; // per geohash range
+ListingsQuery.DEFAULT_COORDINATES = { lat: 41.824, lng: -71.4128 }; // Providence
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.listingsQuery = new ListingsQuery();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ListingsQuery;
+}
@@ -1,59 +1,218 @@
 // Simple Location Manager for PacksList
 // Unified location system with user-selected cities
+//
+// The current city resolves through a fallback chain: the city the user saved,
+// then browser geolocation (opt-in, via preferences.locationSharing) snapped
+// to the nearest registry city, then region-settings.fallbackLocation.
+// City change listeners receive (city, { source }) where source is
+// 'saved', 'manual', 'detected' or 'fallback'.
 
 class LocationManager {
   constructor() {
     this.currentCity = null;
-    this.cities = [
-      // Massachusetts
-      { name: 'Boston', state: 'MA', key: 'boston', lat: 42.3601, lng: -71.0589 },
-      { name: 'Springfield', state: 'MA', key: 'springfield', lat: 42.1015, lng: -72.5898 },
-      { name: 'Worcester', state: 'MA', key: 'worcester', lat: 42.2626, lng: -71.8023 },
-      { name: 'South Coast', state: 'MA', key: 'south-coast', lat: 41.6362, lng: -70.9342 },
-      { name: 'North Shore', state: 'MA', key: 'north-shore', lat: 42.6648, lng: -71.1581 },
-      
-      // Rhode Island
-      { name: 'Providence', state: 'RI', key: 'providence', lat: 41.8240, lng: -71.4128 },
-      { name: 'Newport', state: 'RI', key: 'newport', lat: 41.4901, lng: -71.3128 },
-      { name: 'Woonsocket', state: 'RI', key: 'woonsocket', lat: 42.0029, lng: -71.5153 },
-      
-      // Connecticut
-      { name: 'Hartford', state: 'CT', key: 'hartford', lat: 41.7658, lng: -72.6734 },
-      { name: 'New Haven', state: 'CT', key: 'new-haven', lat: 41.3083, lng: -72.9279 },
-      { name: 'Bridgeport', state: 'CT', key: 'bridgeport', lat: 41.1865, lng: -73.2052 },
-      { name: 'Stamford', state: 'CT', key: 'stamford', lat: 41.0534, lng: -73.5387 }
-    ];
+    this.source = null;
+    this.status = 'idle';
+    this.registry = window.cityRegistry;
+    this.regionSettings = LocationManager.DEFAULT_REGION_SETTINGS;
     
     this.listeners = [];
+    this.statusListeners = [];
     this.init();
+    
+    // Re-resolve the current city when config/cities loads or changes
+    this.registry.onUpdate(() => this.refreshCurrentCity());
+    
+    // Signed-in users carry the sharing preference on their profile
+    if (window.authManager) {
+      window.authManager.addAuthListener((event, data) => this.handleAuthEvent(event, data));
+    }
   }
 
   init() {
     // Load saved city from localStorage
-    const savedCity = localStorage.getItem('packslist-selected-city');
+    const savedCity = localStorage.getItem(LocationManager.SAVED_CITY_KEY);
     if (savedCity) {
       const cityData = this.getCityByKey(savedCity);
       if (cityData) {
         this.currentCity = cityData;
+        this.source = 'saved';
       }
     }
     
-    // Default to Boston if no saved city
+    // Otherwise the city nearest the configured fallback location
     if (!this.currentCity) {
-      this.currentCity = this.getCityByKey('boston');
+      this.currentCity = this.resolveFallbackCity();
+      this.source = 'fallback';
+    }
+    
+    if (this.source !== 'saved' && this.isSharingEnabled()) {
+      this.detectLocation();
+    }
+    
+    this.loadRegionSettings();
+    
+    console.log('LocationManager initialized:', this.currentCity, this.source);
+  }
+
+  // Pick up region-settings; a fallback city may move with the new fallbackLocation
+  async loadRegionSettings() {
+    for (let i = 0; i < 50 && !window.db; i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (!window.db) return;
+    
+    try {
+      const snapshot = await window.db.collection('config').doc('region-settings').get();
+      if (!snapshot.exists) return;
+    
+      const settings = snapshot.data();
+      this.regionSettings = {
+        ...LocationManager.DEFAULT_REGION_SETTINGS,
+        ...settings,
+        privacySettings: {
+          ...LocationManager.DEFAULT_REGION_SETTINGS.privacySettings,
+          ...(settings.privacySettings || {})
+        }
+      };
+    } catch (error) {
+      console.warn('LocationManager: using default region settings', error);
+      return;
+    }
+    
+    if (this.source === 'fallback') {
+      const city = this.resolveFallbackCity();
+      if (city && city.key !== this.currentCity?.key) {
+        this.applyCity(city, 'fallback');
+      }
+    }
+  }
+
+  // Keep the current city in sync with the registry
+  refreshCurrentCity() {
+    const key = this.currentCity ? this.currentCity.key : null;
+    let city = key && this.getCityByKey(key);
+    let source = this.source;
+    if (!city) {
+      city = this.resolveFallbackCity();
+      source = 'fallback';
+    }
+    const changed = !this.currentCity || !city || city.key !== this.currentCity.key;
+    
+    this.currentCity = city;
+    this.source = source;
+    if (changed && city) {
+      this.notifyListeners(city);
+    }
+  }
+
+  // Nearest active city to region-settings.fallbackLocation
+  resolveFallbackCity() {
+    const { lat, lng } = this.regionSettings.fallbackLocation;
+    const city = this.registry.getNearestCity(lat, lng);
+    return city ? this.toLocationCity(city) : this.getCities()[0] || null;
+  }
+
+  // Nearest active city to a point, or null when outside the service area
+  findNearestCity(lat, lng) {
+    const city = this.registry.getNearestCity(lat, lng, this.regionSettings.maxSearchRadius);
+    return city ? this.toLocationCity(city) : null;
+  }
+
+  // Whether the user opted into geolocation
+  isSharingEnabled() {
+    const preferences = window.authManager?.userProfile?.preferences;
+    if (preferences && typeof preferences.locationSharing === 'boolean') {
+      return preferences.locationSharing;
+    }
+    return localStorage.getItem(LocationManager.SHARING_KEY) === 'true';
+  }
+
+  handleAuthEvent(event, data) {
+    if (event !== 'authenticated') return;
+    
+    const sharing = data?.profile?.preferences?.locationSharing;
+    if (typeof sharing === 'boolean') {
+      localStorage.setItem(LocationManager.SHARING_KEY, String(sharing));
+    }
+    if (sharing === true && this.source === 'fallback' && this.status === 'idle') {
+      this.detectLocation();
+    }
+  }
+
+  // Opt in (from a user gesture): remember the choice and locate now
+  async enableGeolocation() {
+    await this.saveSharingPreference(true);
+    return this.detectLocation({ force: true });
+  }
+
+  // Opt out; the current city stays until the user picks another
+  async disableGeolocation() {
+    await this.saveSharingPreference(false);
+    this.setStatus('idle');
+  }
+
+  async saveSharingPreference(enabled) {
+    localStorage.setItem(LocationManager.SHARING_KEY, String(enabled));
+    
+    const authManager = window.authManager;
+    if (authManager?.currentUser && authManager.userProfile) {
+      await authManager.updateProfile({
+        preferences: { ...(authManager.userProfile.preferences || {}), locationSharing: enabled }
+      });
     }
+  }
+
+  // Ask the browser for a position and snap it to the nearest registry city.
+  // Without force, a city the user picked in the meantime is left alone.
+  async detectLocation({ force = false } = {}) {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      this.setStatus('unavailable');
+      return null;
+    }
+    
+    this.setStatus('detecting');
+    try {
+      const position = await new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(resolve, reject, {
+          enableHighAccuracy: false,
+          timeout: LocationManager.GEOLOCATION_TIMEOUT,
+          maximumAge: this.regionSettings.privacySettings.sessionTimeout
+        });
+      });
     
-    console.log('LocationManager initialized:', this.currentCity);
+      const city = this.findNearestCity(position.coords.latitude, position.coords.longitude);
+      if (!city) {
+        this.setStatus('out-of-area');
+        return null;
+      }
+    
+      if (force || (this.source !== 'manual' && this.source !== 'saved')) {
+        if (force) localStorage.removeItem(LocationManager.SAVED_CITY_KEY);
+        this.applyCity(city, 'detected');
+      }
+      this.setStatus('detected');
+      return city;
+    } catch (error) {
+      // GeolocationPositionError.PERMISSION_DENIED
+      this.setStatus(error.code === 1 ? 'denied' : 'unavailable');
+      return null;
+    }
   }
 
   // Get all available cities
   getCities() {
-    return [...this.cities];
+    return this.registry.getActiveCities().map(city => this.toLocationCity(city));
   }
 
-  // Get city by key
+  // Get city by key (legacy keys resolve to their canonical city)
   getCityByKey(key) {
-    return this.cities.find(city => city.key === key);
+    const city = this.registry.getCity(key);
+    return city && city.isActive ? this.toLocationCity(city) : undefined;
+  }
+
+  // Shape registry entries the way location consumers expect them
+  toLocationCity(city) {
+    return { name: city.name, state: city.state, key: city.key, lat: city.lat, lng: city.lng, metroArea: city.metroArea };
   }
 
   // Get current selected city
@@ -61,24 +220,36 @@ class LocationManager {
     return this.currentCity;
   }
 
-  // Set current city
-  setCurrentCity(cityKey) {
+  // How the current city was chosen: 'saved', 'manual', 'detected' or 'fallback'
+  getCurrentSource() {
+    return this.source;
+  }
+
+  // Set current city (a user pick unless another source is given)
+  setCurrentCity(cityKey, source = 'manual') {
     const city = this.getCityByKey(cityKey);
     if (!city) {
       console.error('Invalid city key:', cityKey);
       return false;
     }
+    
+    this.applyCity(city, source);
+    
+    console.log('City changed to:', city, source);
+    return true;
+  }
 
+  applyCity(city, source) {
     this.currentCity = city;
+    this.source = source;
     
-    // Save to localStorage
-    localStorage.setItem('packslist-selected-city', cityKey);
+    // Only user picks are remembered; detection runs again next visit
+    if (source === 'manual') {
+      localStorage.setItem(LocationManager.SAVED_CITY_KEY, city.key);
+    }
     
     // Notify listeners
     this.notifyListeners(city);
-    
-    console.log('City changed to:', city);
-    return true;
   }
 
   // Add listener for city changes
@@ -98,13 +269,51 @@ class LocationManager {
   notifyListeners(city) {
     this.listeners.forEach(callback => {
       try {
-        callback(city);
+        callback(city, { source: this.source });
       } catch (error) {
         console.error('Error in city change listener:', error);
       }
     });
   }
 
+  // Add listener for geolocation status: idle, detecting, detected, denied, unavailable, out-of-area
+  onStatusChange(callback) {
+    this.statusListeners.push(callback);
+  }
+
+  removeStatusListener(callback) {
+    const index = this.statusListeners.indexOf(callback);
+    if (index > -1) {
+      this.statusListeners.splice(index, 1);
+    }
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.statusListeners.forEach(callback => {
+      try {
+        callback(status, this.getStatusMessage());
+      } catch (error) {
+        console.error('Error in location status listener:', error);
+      }
+    });
+  }
+
+  // User-facing text for the geolocation status, from config/ui-strings
+  getStatusMessage() {
+    const key = LocationManager.STATUS_STRINGS[this.status];
+    if (!key) return '';
+
+    const configManager = window.configManager;
+    const metro = configManager && this.currentCity?.metroArea
+      ? configManager.getConfigItem('metro-areas', this.currentCity.metroArea)
+      : null;
+    const regionName = metro?.name || this.currentCity?.state || 'your area';
+
+    // Pages without ConfigManager show no status text
+    return configManager ? configManager.t(key, { regionName }) : '';
+  }
+
   // Get display name for current city
   getCurrentCityDisplay() {
     if (!this.currentCity) return 'Select City';
@@ -114,7 +323,7 @@ class LocationManager {
   // Get cities grouped by state for dropdown
   getCitiesGroupedByState() {
     const grouped = {};
-    this.cities.forEach(city => {
+    this.getCities().forEach(city => {
       if (!grouped[city.state]) {
         grouped[city.state] = [];
       }
@@ -144,6 +353,8 @@ class LocationManager {
     
     html += `
         </select>
+        <button type="button" id="use-location-btn" class="use-location-btn" title="Use my location">📍</button>
+        <span id="location-status" class="location-status">${this.getStatusMessage()}</span>
       </div>
     `;
     
@@ -160,6 +371,22 @@ class LocationManager {
         citySelect.addEventListener('change', (e) => {
           this.setCurrentCity(e.target.value);
         });
+    
+        // Reflect detected and fallback cities in the dropdown
+        this.onCityChange(city => {
+          citySelect.value = city.key;
+        });
+    
+        const locationButton = document.getElementById('use-location-btn');
+        const statusText = document.getElementById('location-status');
+        if (locationButton) {
+          locationButton.addEventListener('click', () => this.enableGeolocation());
+        }
+        if (statusText) {
+          this.onStatusChange((status, message) => {
+            statusText.textContent = message;
+          });
+        }
         console.log('City picker initialized successfully');
       }
     }, 100);
@@ -175,6 +402,25 @@ class LocationManager {
   }
 }
 
+LocationManager.SAVED_CITY_KEY = 'packslist-selected-city';
+LocationManager.SHARING_KEY = 'packslist-location-sharing';
+LocationManager.GEOLOCATION_TIMEOUT = 10000;
+
+// ui-strings keys for each geolocation status (see ConfigManager.t)
+LocationManager.STATUS_STRINGS = {
+  detecting: 'locationMessages.0',
+  denied: 'errorMessages.location_denied',
+  unavailable: 'errorMessages.location_unavailable',
+  'out-of-area': 'errorMessages.location_out_of_area'
+};
+
+// Mirrors the region-settings defaults in config-manager.js
+LocationManager.DEFAULT_REGION_SETTINGS = {
+  fallbackLocation: { lat: 41.8240, lng: -71.4128 },
+  maxSearchRadius: 50,
+  privacySettings: { sessionTimeout: 1800000 }
+};
+
 // Create global instance
 window.locationManager = new LocationManager();
 console.log('LocationManager: Global instance created', window.locationManager);
@@ -182,4 +428,4 @@ console.log('LocationManager: Global instance created', window.locationManager);
 // Export for module use
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LocationManager;
-}
\ No newline at end of file
+}
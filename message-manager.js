@@ -0,0 +1,472 @@
+// Message Manager for PacksList
+// Buyer <-> poster conversations, unread counts, blocking and reporting
+
+class MessageManager {
+  constructor() {
+    this.unreadCount = 0;
+    this.unreadListeners = [];
+    this.unsubscribeThreads = null;
+    this.unsubscribeMessages = null;
+    this.maxMessageLength = 1000;
+
+    this.initializeWhenReady();
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  get currentUser() {
+    return window.authManager?.currentUser || null;
+  }
+
+  // Start watching unread counts once AuthManager is available
+  initializeWhenReady() {
+    if (!window.authManager) {
+      setTimeout(() => this.initializeWhenReady(), 100);
+      return;
+    }
+
+    window.authManager.addAuthListener((event) => {
+      if (event === 'authenticated') {
+        this.watchUnreadCount();
+      } else if (event === 'unauthenticated') {
+        this.stopWatching();
+      }
+    });
+
+    if (window.authManager.isAuthenticated) {
+      this.watchUnreadCount();
+    }
+  }
+
+  // Threads are keyed by post + buyer; the seller is implied by the post
+  getThreadId(postId, buyerId) {
+    return `${postId}_${buyerId}`;
+  }
+
+  getOtherParticipant(thread) {
+    const uid = this.currentUser?.uid;
+    return (thread.participants || []).find(participant => participant !== uid) || null;
+  }
+
+  // Blocks are per user pair (users/{uid}/blocks/{otherUid}), so they cover every thread between the two
+  async getBlockState(otherId) {
+    const uid = this.currentUser?.uid;
+    if (!uid || !otherId) return { blockedByMe: false, blockedMe: false };
+
+    const [mine, theirs] = await Promise.all([
+      this.db.collection('users').doc(uid).collection('blocks').doc(otherId).get(),
+      this.db.collection('users').doc(otherId).collection('blocks').doc(uid).get()
+    ]);
+    return { blockedByMe: mine.exists, blockedMe: theirs.exists };
+  }
+
+  async isBlocked(otherId) {
+    const { blockedByMe, blockedMe } = await this.getBlockState(otherId);
+    return blockedByMe || blockedMe;
+  }
+
+  // Open (or create) the conversation about a post and go to it
+  async startConversation(post) {
+    if (!window.authManager?.requireAuth()) return null;
+
+    const user = this.currentUser;
+    if (!post || !post.userId) {
+      window.authManager.showAuthError('This pack cannot receive messages.');
+      return null;
+    }
+    if (post.userId === user.uid) {
+      window.authManager.showAuthError('This is your own pack.');
+      return null;
+    }
+
+    const threadId = this.getThreadId(post.id, user.uid);
+    const threadRef = this.db.collection('threads').doc(threadId);
+
+    try {
+      const threadDoc = await threadRef.get();
+      if (!threadDoc.exists) {
+        if (await this.isBlocked(post.userId)) {
+          window.authManager.showAuthError('You cannot message this vendor.');
+          return null;
+        }
+        await threadRef.set({
+          postId: post.id,
+          postTitle: post.title || '',
+          buyerId: user.uid,
+          sellerId: post.userId,
+          participants: [user.uid, post.userId],
+          participantNames: {
+            [user.uid]: window.authManager.currentUserProfile?.displayName || 'Buyer',
+            [post.userId]: post.vendorDisplay || post.vendor || 'Vendor'
+          },
+          unread: { [user.uid]: 0, [post.userId]: 0 },
+          lastMessage: '',
+          lastSenderId: null,
+          lastMessageAt: firebase.firestore.FieldValue.serverTimestamp(),
+          createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+      }
+
+      window.location.href = `messages.html?thread=${encodeURIComponent(threadId)}`;
+      return threadId;
+    } catch (error) {
+      console.error('Error starting conversation:', error);
+      window.authManager.showAuthError('Unable to start conversation. Please try again.');
+      return null;
+    }
+  }
+
+  // Send a message and bump the other participant's unread count
+  async sendMessage(threadId, text) {
+    // requireAuth shows the sign-in, suspension or date-of-birth prompt itself
+    if (!window.authManager?.requireAuth()) {
+      return { success: false, error: 'You cannot send messages from this account right now.' };
+    }
+    const user = this.currentUser;
+
+    const body = (text || '').trim();
+    if (!body) return { success: false, error: 'Message is empty.' };
+    if (body.length > this.maxMessageLength) {
+      return { success: false, error: `Messages are limited to ${this.maxMessageLength} characters.` };
+    }
+
+    const threadRef = this.db.collection('threads').doc(threadId);
+
+    try {
+      const threadDoc = await threadRef.get();
+      if (!threadDoc.exists) return { success: false, error: 'Conversation not found.' };
+
+      const recipientId = this.getOtherParticipant(threadDoc.data());
+      if (await this.isBlocked(recipientId)) {
+        return { success: false, error: 'This conversation is blocked.' };
+      }
+
+      const now = firebase.firestore.FieldValue.serverTimestamp();
+      const messageRef = threadRef.collection('messages').doc();
+      const batch = this.db.batch();
+
+      // firestore.rules only accept the preview alongside the message it previews
+      batch.set(messageRef, {
+        senderId: user.uid,
+        text: body,
+        createdAt: now
+      });
+      batch.update(threadRef, {
+        lastMessage: body,
+        lastMessageId: messageRef.id,
+        lastSenderId: user.uid,
+        lastMessageAt: now,
+        [`unread.${recipientId}`]: firebase.firestore.FieldValue.increment(1)
+      });
+
+      await batch.commit();
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending message:', error);
+      return { success: false, error: 'Unable to send message. Please try again.' };
+    }
+  }
+
+  // Reset the current user's unread count for a thread
+  async markThreadRead(threadId) {
+    const user = this.currentUser;
+    if (!user) return;
+
+    try {
+      await this.db.collection('threads').doc(threadId).update({
+        [`unread.${user.uid}`]: 0
+      });
+    } catch (error) {
+      console.error('Error marking thread read:', error);
+    }
+  }
+
+  // Block or unblock another user in every conversation with them
+  async setBlocked(otherId, blocked) {
+    const user = this.currentUser;
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    const blockRef = this.db.collection('users').doc(user.uid).collection('blocks').doc(otherId);
+
+    try {
+      if (blocked) {
+        await blockRef.set({ createdAt: firebase.firestore.FieldValue.serverTimestamp() });
+      } else {
+        await blockRef.delete();
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating block status:', error);
+      return { success: false, error: 'Unable to update block status.' };
+    }
+  }
+
+  // Report the other participant into the admin moderation queue
+  async reportThread(threadId, reason) {
+    const user = this.currentUser;
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    const details = (reason || '').trim();
+    if (!details) return { success: false, error: 'Please describe the problem.' };
+
+    try {
+      const threadDoc = await this.db.collection('threads').doc(threadId).get();
+      if (!threadDoc.exists) return { success: false, error: 'Conversation not found.' };
+
+      const thread = threadDoc.data();
+      await this.db.collection('reports').add({
+        type: 'conversation',
+        threadId,
+        postId: thread.postId,
+        reporterId: user.uid,
+        reportedUserId: this.getOtherParticipant(thread),
+        reason: details.slice(0, 500),
+        status: 'pending',
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Error reporting conversation:', error);
+      return { success: false, error: 'Unable to send report. Please try again.' };
+    }
+  }
+
+  // Watch the current user's threads and keep the unread total up to date
+  watchUnreadCount() {
+    const user = this.currentUser;
+    if (!user || this.unsubscribeThreads) return;
+
+    this.unsubscribeThreads = this.db.collection('threads')
+      .where('participants', 'array-contains', user.uid)
+      .onSnapshot((snapshot) => {
+        let total = 0;
+        snapshot.forEach(doc => {
+          total += (doc.data().unread || {})[user.uid] || 0;
+        });
+        this.setUnreadCount(total);
+      }, (error) => {
+        console.error('Error watching threads:', error);
+      });
+  }
+
+  stopWatching() {
+    if (this.unsubscribeThreads) {
+      this.unsubscribeThreads();
+      this.unsubscribeThreads = null;
+    }
+    this.setUnreadCount(0);
+  }
+
+  setUnreadCount(count) {
+    if (count === this.unreadCount) return;
+    this.unreadCount = count;
+    this.unreadListeners.forEach(callback => {
+      try {
+        callback(count);
+      } catch (error) {
+        console.error('Error in unread count listener:', error);
+      }
+    });
+  }
+
+  // Add listener for unread count changes, returns an unsubscribe function
+  onUnreadCountChange(callback) {
+    this.unreadListeners.push(callback);
+    callback(this.unreadCount);
+    return () => {
+      const index = this.unreadListeners.indexOf(callback);
+      if (index > -1) {
+        this.unreadListeners.splice(index, 1);
+      }
+    };
+  }
+
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  formatTime(timestamp) {
+    if (!timestamp || !timestamp.toDate) return '';
+    return timestamp.toDate().toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  }
+
+  // Render the inbox list into a container
+  renderInbox(container, activeThreadId = null) {
+    const user = this.currentUser;
+    if (!container || !user) return () => {};
+
+    return this.db.collection('threads')
+      .where('participants', 'array-contains', user.uid)
+      .orderBy('lastMessageAt', 'desc')
+      .onSnapshot((snapshot) => {
+        if (snapshot.empty) {
+          container.innerHTML = '<div class="empty-state">No conversations yet. Message a vendor from any pack.</div>';
+          return;
+        }
+
+        let html = '';
+        snapshot.forEach(doc => {
+          const thread = doc.data();
+          const otherId = this.getOtherParticipant(thread);
+          const name = (thread.participantNames || {})[otherId] || 'User';
+          const unread = (thread.unread || {})[user.uid] || 0;
+          html += `
+            <a class="thread-item ${doc.id === activeThreadId ? 'active' : ''}" href="messages.html?thread=${encodeURIComponent(doc.id)}">
+              <div class="thread-item-header">
+                <strong>${this.escapeHTML(name)}</strong>
+                ${unread > 0 ? `<span class="nav-badge">${unread}</span>` : ''}
+              </div>
+              <div class="thread-item-title">${this.escapeHTML(thread.postTitle || '')}</div>
+              <div class="thread-item-preview">${this.escapeHTML(thread.lastMessage || '')}</div>
+            </a>
+          `;
+        });
+        container.innerHTML = html;
+      }, (error) => {
+        console.error('Error loading conversations:', error);
+        container.innerHTML = '<div class="error-state">Unable to load conversations.</div>';
+      });
+  }
+
+  // Render a conversation with its messages, composer and safety actions
+  renderThread(container, threadId) {
+    const user = this.currentUser;
+    if (!container || !user) return;
+
+    if (this.unsubscribeMessages) {
+      this.unsubscribeMessages();
+    }
+
+    const threadRef = this.db.collection('threads').doc(threadId);
+
+    container.innerHTML = `
+      <div class="thread-header">
+        <div class="thread-title" data-thread-title>Loading...</div>
+        <div class="thread-actions">
+          <button type="button" class="btn-link" data-thread-block>Block</button>
+          <button type="button" class="btn-link" data-thread-report>Report</button>
+        </div>
+      </div>
+      <div class="thread-messages" data-thread-messages></div>
+      <form class="thread-composer" data-thread-composer>
+        <input type="text" name="message" class="form-input" maxlength="${this.maxMessageLength}" placeholder="Write a message..." autocomplete="off">
+        <button type="submit" class="message-btn">Send</button>
+      </form>
+      <div class="thread-notice" data-thread-notice></div>
+    `;
+
+    const titleEl = container.querySelector('[data-thread-title]');
+    const messagesEl = container.querySelector('[data-thread-messages]');
+    const composer = container.querySelector('[data-thread-composer]');
+    const noticeEl = container.querySelector('[data-thread-notice]');
+    const blockBtn = container.querySelector('[data-thread-block]');
+    let thread = null;
+    let blockState = { blockedByMe: false, blockedMe: false };
+
+    const renderBlockState = () => {
+      const blocked = blockState.blockedByMe || blockState.blockedMe;
+      blockBtn.textContent = blockState.blockedByMe ? 'Unblock' : 'Block';
+      composer.hidden = blocked;
+      noticeEl.textContent = blocked
+        ? (blockState.blockedByMe ? 'You blocked this user.' : 'This conversation is no longer available.')
+        : '';
+    };
+
+    const refreshBlockState = async () => {
+      try {
+        blockState = await this.getBlockState(this.getOtherParticipant(thread));
+        renderBlockState();
+      } catch (error) {
+        console.error('Error checking block status:', error);
+      }
+    };
+
+    const unsubscribeThread = threadRef.onSnapshot((doc) => {
+      if (!doc.exists) {
+        titleEl.textContent = 'Conversation not found';
+        composer.hidden = true;
+        return;
+      }
+
+      thread = doc.data();
+      const otherId = this.getOtherParticipant(thread);
+      const name = (thread.participantNames || {})[otherId] || 'User';
+      titleEl.textContent = `${name} · ${thread.postTitle || 'Pack'}`;
+      refreshBlockState();
+
+      if ((thread.unread || {})[user.uid] > 0) {
+        this.markThreadRead(threadId);
+      }
+    });
+
+    const unsubscribeMessages = threadRef.collection('messages')
+      .orderBy('createdAt', 'asc')
+      .limitToLast(100)
+      .onSnapshot((snapshot) => {
+        let html = '';
+        snapshot.forEach(doc => {
+          const message = doc.data();
+          const mine = message.senderId === user.uid;
+          html += `
+            <div class="message ${mine ? 'message-mine' : 'message-theirs'}">
+              <div class="message-text">${message.deletedAt ? '<em>Message deleted</em>' : this.escapeHTML(message.text)}</div>
+              <div class="message-time">${this.formatTime(message.createdAt)}</div>
+            </div>
+          `;
+        });
+        messagesEl.innerHTML = html || '<div class="empty-state">Say hello 👋</div>';
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+      }, (error) => {
+        console.error('Error loading messages:', error);
+        messagesEl.innerHTML = '<div class="error-state">Unable to load messages.</div>';
+      });
+
+    this.unsubscribeMessages = () => {
+      unsubscribeThread();
+      unsubscribeMessages();
+    };
+
+    composer.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const result = await this.sendMessage(threadId, composer.message.value);
+      if (result.success) {
+        composer.message.value = '';
+      } else {
+        noticeEl.textContent = result.error;
+      }
+    });
+
+    blockBtn.addEventListener('click', async () => {
+      if (!thread) return;
+      const { blockedByMe } = blockState;
+      if (!blockedByMe && !confirm('Block this user? Neither of you will be able to message the other about any pack.')) return;
+      const result = await this.setBlocked(this.getOtherParticipant(thread), !blockedByMe);
+      if (result.success) {
+        await refreshBlockState();
+      } else {
+        noticeEl.textContent = result.error;
+      }
+    });
+
+    container.querySelector('[data-thread-report]').addEventListener('click', async () => {
+      const reason = prompt('What is wrong with this conversation? Admins will review your report.');
+      if (reason === null) return;
+      const result = await this.reportThread(threadId, reason);
+      noticeEl.textContent = result.success ? 'Thanks, your report was sent to the moderators.' : result.error;
+    });
+  }
+}
+
+// Create global instance
+window.messageManager = new MessageManager();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageManager;
+}
@@ -0,0 +1,560 @@
+// Post Manager for PacksList
+// Owner edits with revision history and re-moderation of material changes
+
+class PostManager {
+  constructor() {
+    this.modal = null;
+    this.editImages = [];
+    this.newFiles = [];
+    this.expiryConfig = null;
+    this.expiryConfigPromise = null;
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  get currentUser() {
+    return window.authManager?.currentUser || null;
+  }
+
+  // Owners can edit anything except posts a moderator removed
+  canEdit(post) {
+    return !!this.currentUser
+      && post.userId === this.currentUser.uid
+      && (post.status || 'approved') !== 'removed';
+  }
+
+  // Keep editable fields and normalize form values
+  normalizeChanges(changes) {
+    const normalized = {};
+    PostManager.EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] === undefined) return;
+      normalized[field] = typeof changes[field] === 'string' ? changes[field].trim() : changes[field];
+    });
+    if (normalized.price !== undefined) {
+      normalized.price = Number(normalized.price);
+    }
+    if (normalized.license !== undefined) {
+      normalized.license = Object.fromEntries(Object.keys(ComplianceManager.LICENSE_FIELDS)
+        .map(field => [field, String(normalized.license?.[field] ?? '').trim()]));
+    }
+    return normalized;
+  }
+
+  // Fields whose value differs from the stored post
+  getChangedFields(post, changes) {
+    return Object.keys(changes).filter(field =>
+      this.comparable(changes[field]) !== this.comparable(post[field])
+    );
+  }
+
+  // JSON for comparison; map keys are sorted so stored key order is not a change
+  comparable(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return JSON.stringify(Object.keys(value).sort().map(key => [key, value[key]]));
+    }
+    return JSON.stringify(value ?? '');
+  }
+
+  // Mirrors validatePostFields in firestore.rules
+  validateChanges(post, changes) {
+    const next = { ...post, ...changes };
+
+    if (typeof next.title !== 'string' || !next.title.trim() || next.title.length > 100) {
+      return 'Title must be between 1 and 100 characters.';
+    }
+    if (typeof next.price !== 'number' || isNaN(next.price) || next.price <= 0 || next.price > 10000) {
+      return 'Price must be between $0 and $10,000.';
+    }
+    if (typeof next.vendor !== 'string' || !next.vendor || next.vendor.length > 50) {
+      return 'Vendor must be between 1 and 50 characters.';
+    }
+    if (next.description && next.description.length > 500) {
+      return 'Description is limited to 500 characters.';
+    }
+    if (window.cityRegistry && !window.cityRegistry.getCity(next.city)) {
+      return 'Please choose a supported city.';
+    }
+    const license = next.license || {};
+    if ((license.licenseNumber || '').length > 50 || (license.businessName || '').length > 100) {
+      return 'License number is limited to 50 characters and business name to 100.';
+    }
+    return null;
+  }
+
+  // Whether this edit sends the post back to the moderation queue
+  needsReview(post, changedFields) {
+    return (post.status || 'approved') === 'rejected'
+      || changedFields.some(field => PostManager.MATERIAL_FIELDS.includes(field));
+  }
+
+  // Save an edit: the previous values go to posts/{id}/revisions in the same batch
+  async updatePost(post, rawChanges) {
+    if (!window.authManager?.requireAuth()) {
+      return { success: false, error: 'Not authenticated' };
+    }
+    if (!this.canEdit(post)) {
+      return { success: false, error: 'You can only edit your own active posts.' };
+    }
+
+    const changes = this.normalizeChanges(rawChanges);
+    const changedFields = this.getChangedFields(post, changes);
+    if (changedFields.length === 0) {
+      return { success: false, error: 'No changes to save.' };
+    }
+
+    const validationError = this.validateChanges(post, changes);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    // A new city, category or license must still meet that state's compliance profile
+    if (window.complianceManager && changedFields.some(field => PostManager.COMPLIANCE_FIELDS.includes(field))) {
+      const violations = await window.complianceManager.validatePost({ ...post, ...changes });
+      if (violations.length > 0) {
+        return { success: false, error: violations.join(' ') };
+      }
+    }
+
+    const postRef = this.db.collection('posts').doc(post.id);
+    const revisionRef = postRef.collection('revisions').doc();
+    const serverTimestamp = firebase.firestore.FieldValue.serverTimestamp();
+    const previousStatus = post.status || 'approved';
+
+    const revision = {
+      changedFields,
+      status: previousStatus,
+      editedBy: this.currentUser.uid,
+      editedAt: serverTimestamp
+    };
+    changedFields.forEach(field => {
+      revision[field] = post[field] === undefined ? null : post[field];
+    });
+
+    const update = {};
+    changedFields.forEach(field => { update[field] = changes[field]; });
+    update.updatedAt = serverTimestamp;
+    update.lastRevisionId = revisionRef.id;
+
+    if (window.searchIndex && changedFields.some(field => PostManager.SEARCHABLE_FIELDS.includes(field))) {
+      update.searchTokens = window.searchIndex.buildPostTokens({ ...post, ...update });
+    }
+    if (window.geoIndex && changedFields.includes('city')) {
+      Object.assign(update, await window.geoIndex.locationForCity(update.city));
+    }
+
+    if (this.needsReview(post, changedFields) && previousStatus !== 'pending') {
+      update.status = 'pending';
+      update.statusReason = PostManager.RESUBMIT_REASON;
+    }
+
+    try {
+      const batch = this.db.batch();
+      batch.set(revisionRef, revision);
+      batch.update(postRef, update);
+      await batch.commit();
+
+      return { success: true, status: update.status || previousStatus, changedFields };
+    } catch (error) {
+      console.error('Error updating post:', error);
+      return { success: false, error: 'Unable to save changes. Please try again.' };
+    }
+  }
+
+  // Listing TTLs from config/time-filtering, merged over the defaults
+  async loadExpiryConfig() {
+    if (this.expiryConfig) return this.expiryConfig;
+    if (!this.expiryConfigPromise) {
+      this.expiryConfigPromise = this.db.collection('config').doc('time-filtering').get()
+        .then(doc => doc.exists ? doc.data() : {})
+        .catch(error => {
+          console.warn('Using default listing TTLs:', error);
+          return {};
+        })
+        .then(data => {
+          this.expiryConfig = this.mergeExpiryConfig(data);
+          return this.expiryConfig;
+        });
+    }
+    return this.expiryConfigPromise;
+  }
+
+  // When a post in this category should expire if created or renewed now
+  async computeExpiresAt(category, from = new Date()) {
+    const config = await this.loadExpiryConfig();
+    return new Date(from.getTime() + this.getTtlDays(config, category) * PostManager.DAY_MS);
+  }
+
+  mergeExpiryConfig(config = {}) {
+    return {
+      ...PostManager.DEFAULT_EXPIRY_CONFIG,
+      ...config,
+      ttlDaysByCategory: {
+        ...PostManager.DEFAULT_EXPIRY_CONFIG.ttlDaysByCategory,
+        ...(config.ttlDaysByCategory || {})
+      }
+    };
+  }
+
+  // TTL for a category, clamped to what the rules allow
+  getTtlDays(config, category) {
+    const days = Number(config.ttlDaysByCategory[category] || config.defaultTtlDays);
+    return Math.min(Math.max(days || PostManager.DEFAULT_EXPIRY_CONFIG.defaultTtlDays, 1), PostManager.MAX_TTL_DAYS);
+  }
+
+  toDate(value) {
+    if (!value) return null;
+    return value.toDate ? value.toDate() : new Date(value);
+  }
+
+  isExpired(post) {
+    const expiresAt = this.toDate(post.expiresAt);
+    return (post.status || 'approved') === 'expired' || (!!expiresAt && expiresAt <= new Date());
+  }
+
+  // Owners can renew expired posts or approved ones inside the renewal window
+  canRenew(post) {
+    if (!this.canEdit(post)) return false;
+
+    const status = post.status || 'approved';
+    if (status === 'expired') return true;
+    if (status !== 'approved') return false;
+
+    const expiresAt = this.toDate(post.expiresAt);
+    const windowDays = (this.expiryConfig || PostManager.DEFAULT_EXPIRY_CONFIG).renewWindowDays;
+    return !expiresAt || expiresAt.getTime() - Date.now() <= windowDays * PostManager.DAY_MS;
+  }
+
+  // Short label for the account page, e.g. "Expires in 3 days"
+  formatExpiry(post) {
+    const expiresAt = this.toDate(post.expiresAt);
+    if (this.isExpired(post)) return 'Expired';
+    if (!expiresAt) return '';
+
+    const days = Math.ceil((expiresAt.getTime() - Date.now()) / PostManager.DAY_MS);
+    return days <= 1 ? 'Expires today' : `Expires in ${days} days`;
+  }
+
+  // Push expiresAt out by a full TTL; expired posts go back to approved
+  async renewPost(post) {
+    if (!this.canRenew(post)) {
+      return { success: false, error: 'This pack cannot be renewed yet.' };
+    }
+
+    const update = {
+      expiresAt: await this.computeExpiresAt(post.vendor),
+      renewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      renewalCount: (post.renewalCount || 0) + 1
+    };
+    if ((post.status || 'approved') === 'expired') {
+      update.status = 'approved';
+      update.statusReason = PostManager.RENEW_REASON;
+    }
+
+    try {
+      await this.db.collection('posts').doc(post.id).update(update);
+      return { success: true, expiresAt: update.expiresAt };
+    } catch (error) {
+      console.error('Error renewing post:', error);
+      return { success: false, error: 'Unable to renew this pack. Please try again.' };
+    }
+  }
+
+  // Delete a post and the photos stored for it
+  async deletePost(post) {
+    if (!this.canEdit(post)) {
+      return { success: false, error: 'You can only delete your own posts.' };
+    }
+
+    try {
+      const batch = this.db.batch();
+      batch.delete(this.db.collection('posts').doc(post.id));
+      window.auditLogger?.addToBatch(batch, 'post.delete', {
+        target: `posts/${post.id}`,
+        before: { title: post.title, status: post.status || 'approved', userId: post.userId },
+        after: null
+      });
+      await batch.commit();
+      if (window.imageUploadManager) {
+        await window.imageUploadManager.deletePostImages(post.userId, post.id);
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting post:', error);
+      return { success: false, error: 'Unable to delete this pack. Please try again.' };
+    }
+  }
+
+  // Revision history, newest first (owner or moderator only)
+  async getRevisions(postId) {
+    try {
+      const snapshot = await this.db.collection('posts').doc(postId)
+        .collection('revisions')
+        .orderBy('editedAt', 'desc')
+        .limit(50)
+        .get();
+
+      const revisions = [];
+      snapshot.forEach(doc => revisions.push({ id: doc.id, ...doc.data() }));
+      return revisions;
+    } catch (error) {
+      console.error('Error loading revisions:', error);
+      return [];
+    }
+  }
+
+  // Render the edit form in a modal; onSaved runs after a successful save
+  openEditModal(post, onSaved) {
+    if (!this.canEdit(post)) return;
+    this.closeEditModal();
+
+    this.editImages = (post.images || []).map((url, index) => ({
+      url,
+      thumbUrl: (post.thumbnails || [])[index] || url
+    }));
+    this.newFiles = [];
+
+    const cities = window.cityRegistry?.getActiveCities() || [];
+    const cityOptions = cities.map(city => `
+      <option value="${city.key}" ${city.key === post.city ? 'selected' : ''}>${this.escapeHTML(city.name)}, ${city.state}</option>
+    `).join('');
+
+    this.modal = document.createElement('div');
+    this.modal.className = 'vendor-modal active post-edit-modal';
+    this.modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <button class="close-btn" data-action="close">✕</button>
+        </div>
+        <div class="modal-body">
+          <h2 class="form-title">Edit Pack</h2>
+          <form class="post-edit-form">
+            <div class="form-group">
+              <label class="form-label">Title</label>
+              <input class="form-input" name="title" maxlength="100" required value="${this.escapeHTML(post.title || '')}">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Price</label>
+              <input class="form-input" name="price" type="number" min="1" max="10000" step="0.01" required value="${this.escapeHTML(post.price ?? '')}">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Vendor</label>
+              <input class="form-input" name="vendor" maxlength="50" required value="${this.escapeHTML(post.vendor || '')}">
+            </div>
+            <div class="form-group">
+              <label class="form-label">City</label>
+              <select class="form-select" name="city">${cityOptions}</select>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Description</label>
+              <textarea class="form-textarea" name="description" maxlength="500" rows="4">${this.escapeHTML(post.description || '')}</textarea>
+            </div>
+            <div class="form-group">
+              <label class="form-label">License details (licensed businesses only)</label>
+              <input class="form-input" name="licenseNumber" maxlength="50" placeholder="${ComplianceManager.LICENSE_FIELDS.licenseNumber}" value="${this.escapeHTML(post.license?.licenseNumber || '')}">
+              <input class="form-input" name="businessName" maxlength="100" placeholder="${ComplianceManager.LICENSE_FIELDS.businessName}" value="${this.escapeHTML(post.license?.businessName || '')}">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Photos</label>
+              <div class="post-edit-images"></div>
+              <input class="form-input" name="photos" type="file" accept="image/*" multiple>
+            </div>
+            <p class="post-edit-notice">Changing anything but the description sends your pack back for review.</p>
+            <p class="post-edit-error" hidden></p>
+            <button type="submit" class="submit-btn">Save Changes</button>
+          </form>
+        </div>
+      </div>
+    `;
+
+    const form = this.modal.querySelector('form');
+    const errorEl = form.querySelector('.post-edit-error');
+    const showError = (message) => {
+      errorEl.textContent = message;
+      errorEl.hidden = false;
+    };
+
+    this.modal.addEventListener('click', (e) => {
+      const { action, index } = e.target.dataset;
+      if (e.target === this.modal || action === 'close') {
+        this.closeEditModal();
+      } else if (action === 'move-image') {
+        e.preventDefault();
+        this.moveEditImage(Number(index), Number(e.target.dataset.offset));
+      } else if (action === 'remove-image') {
+        e.preventDefault();
+        this.editImages.splice(Number(index), 1);
+        this.renderEditImages();
+      }
+    });
+
+    form.elements.photos.addEventListener('change', (e) => {
+      const files = Array.from(e.target.files || []);
+      const validationError = window.imageUploadManager?.validateFiles(files, this.editImages.length);
+      if (validationError) {
+        showError(validationError);
+        e.target.value = '';
+        return;
+      }
+      errorEl.hidden = true;
+      this.newFiles = files;
+      this.renderEditImages();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const submitBtn = form.querySelector('.submit-btn');
+      const values = Object.fromEntries(new FormData(form).entries());
+      delete values.photos;
+
+      // Like the new-post form, posts without license details carry no license map
+      const license = {};
+      Object.keys(ComplianceManager.LICENSE_FIELDS).forEach(field => {
+        license[field] = values[field];
+        delete values[field];
+      });
+      if (post.license || window.complianceManager?.hasLicense({ license })) {
+        values.license = license;
+      }
+
+      submitBtn.disabled = true;
+      const result = await this.saveEdit(post, values, (done, total) => {
+        submitBtn.textContent = `Uploading photo ${done} of ${total}...`;
+      });
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Save Changes';
+
+      if (!result.success) {
+        showError(result.error);
+        return;
+      }
+
+      this.closeEditModal();
+      if (onSaved) onSaved(result);
+    });
+
+    document.body.appendChild(this.modal);
+    this.renderEditImages();
+  }
+
+  // Current photos in display order, with controls to reorder or remove
+  renderEditImages() {
+    const container = this.modal?.querySelector('.post-edit-images');
+    if (!container) return;
+
+    const last = this.editImages.length - 1;
+    container.innerHTML = this.editImages.map((image, index) => `
+      <div class="post-edit-image">
+        <img src="${this.escapeHTML(image.thumbUrl)}" alt="Photo ${index + 1}">
+        <div class="post-edit-image-actions">
+          <button data-action="move-image" data-index="${index}" data-offset="-1" ${index === 0 ? 'disabled' : ''}>◀</button>
+          <button data-action="move-image" data-index="${index}" data-offset="1" ${index === last ? 'disabled' : ''}>▶</button>
+          <button data-action="remove-image" data-index="${index}">✕</button>
+        </div>
+      </div>
+    `).join('') + (this.newFiles.length > 0
+      ? `<small class="post-edit-notice">${this.newFiles.length} new photo${this.newFiles.length === 1 ? '' : 's'} will be added</small>`
+      : '');
+  }
+
+  moveEditImage(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.editImages.length) return;
+    const [image] = this.editImages.splice(index, 1);
+    this.editImages.splice(target, 0, image);
+    this.renderEditImages();
+  }
+
+  // Upload new photos, save the edit, then clean up whichever files lost out
+  async saveEdit(post, values, onProgress) {
+    let uploaded = { images: [], thumbnails: [] };
+
+    if (this.newFiles.length > 0) {
+      try {
+        uploaded = await window.imageUploadManager.uploadPostImages(post.userId, post.id, this.newFiles, onProgress);
+      } catch (error) {
+        console.error('Error uploading photos:', error);
+        return { success: false, error: error.message || 'Unable to upload photos.' };
+      }
+    }
+
+    const images = [...this.editImages.map(image => image.url), ...uploaded.images];
+    const thumbnails = [...this.editImages.map(image => image.thumbUrl), ...uploaded.thumbnails];
+    const changes = { ...values };
+    if (JSON.stringify(images) !== JSON.stringify(post.images || [])) {
+      changes.images = images;
+      changes.thumbnails = thumbnails;
+    }
+
+    const result = await this.updatePost(post, changes);
+
+    if (!result.success) {
+      await window.imageUploadManager?.deleteImagesByUrl([...uploaded.images, ...uploaded.thumbnails]);
+      return result;
+    }
+
+    const kept = new Set([...images, ...thumbnails]);
+    const removed = [...(post.images || []), ...(post.thumbnails || [])].filter(url => !kept.has(url));
+    if (removed.length > 0) {
+      await window.imageUploadManager?.deleteImagesByUrl(removed);
+    }
+
+    return result;
+  }
+
+  closeEditModal() {
+    if (this.modal) {
+      this.modal.remove();
+      this.modal = null;
+    }
+    this.editImages = [];
+    this.newFiles = [];
+  }
+
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Fields owners may edit after posting
+PostManager.EDITABLE_FIELDS = ['title', 'price', 'description', 'vendor', 'city', 'images', 'thumbnails', 'license'];
+
+// Edits to these refresh the post's searchTokens (search-index.js)
+PostManager.SEARCHABLE_FIELDS = ['title', 'description', 'vendor', 'city'];
+
+// Changes that require a moderator to look again
+PostManager.MATERIAL_FIELDS = ['title', 'price', 'vendor', 'city', 'images', 'thumbnails', 'license'];
+
+// Edits to these are re-checked against the state's compliance profile (compliance-manager.js)
+PostManager.COMPLIANCE_FIELDS = ['vendor', 'city', 'license'];
+
+// Must match validatePostUpdate / validatePostRenewal in firestore.rules
+PostManager.RESUBMIT_REASON = 'Edited, awaiting review';
+PostManager.RENEW_REASON = 'Renewed by owner';
+
+PostManager.DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest TTL the rules accept for expiresAt
+PostManager.MAX_TTL_DAYS = 90;
+
+// Defaults for config/time-filtering; TTLs are keyed by vendor category
+PostManager.DEFAULT_EXPIRY_CONFIG = {
+  defaultTtlDays: 30,
+  ttlDaysByCategory: {},
+  renewWindowDays: 7
+};
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.postManager = new PostManager();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PostManager;
+}
@@ -0,0 +1,455 @@
+// Review Manager for PacksList
+// Buyer reviews with per-post and per-vendor rating aggregates
+
+class ReviewManager {
+  constructor() {
+    this.statsCache = new Map();
+    this.cacheTimeout = 60 * 1000; // 1 minute
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  get currentUser() {
+    return window.authManager?.currentUser || null;
+  }
+
+  // One review per buyer per post: the document ID encodes both
+  getReviewId(postId, userId) {
+    return `${postId}_${userId}`;
+  }
+
+  getPostStatsId(postId) {
+    return `post_${postId}`;
+  }
+
+  getVendorStatsId(vendorId) {
+    return `vendor_${vendorId}`;
+  }
+
+  // Empty aggregate shape shared by posts and vendors
+  createEmptyStats() {
+    return {
+      count: 0,
+      sum: 0,
+      mean: 0,
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    };
+  }
+
+  // Apply a rating change to an aggregate (null rating = no review)
+  applyRatingChange(stats, previousRating, nextRating) {
+    const updated = {
+      ...this.createEmptyStats(),
+      ...stats,
+      distribution: { ...this.createEmptyStats().distribution, ...(stats && stats.distribution) }
+    };
+
+    if (previousRating) {
+      updated.count -= 1;
+      updated.sum -= previousRating;
+      updated.distribution[previousRating] = Math.max(0, updated.distribution[previousRating] - 1);
+    }
+
+    if (nextRating) {
+      updated.count += 1;
+      updated.sum += nextRating;
+      updated.distribution[nextRating] += 1;
+    }
+
+    updated.count = Math.max(0, updated.count);
+    updated.sum = Math.max(0, updated.sum);
+    // Unrounded so firestore.rules can check it against sum / count; formatRating rounds for display
+    updated.mean = updated.count > 0 ? updated.sum / updated.count : 0;
+    return updated;
+  }
+
+  // Validate rating and comment before hitting Firestore
+  validateReview({ rating, comment = '' }) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return 'Rating must be between 1 and 5 stars.';
+    }
+    if (typeof comment !== 'string' || comment.length > 1000) {
+      return 'Reviews are limited to 1000 characters.';
+    }
+    return null;
+  }
+
+  // Create or edit the current user's review of a post
+  async submitReview(post, { rating, comment = '' }) {
+    if (!window.authManager?.requireAuth()) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    const user = this.currentUser;
+    if (post.userId === user.uid) {
+      return { success: false, error: 'You cannot review your own pack.' };
+    }
+
+    const validationError = this.validateReview({ rating, comment });
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const reviewId = this.getReviewId(post.id, user.uid);
+    const reviewRef = this.db.collection('reviews').doc(reviewId);
+    const postStatsRef = this.db.collection('review_stats').doc(this.getPostStatsId(post.id));
+    const vendorStatsRef = this.db.collection('review_stats').doc(this.getVendorStatsId(post.userId));
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+
+    try {
+      await this.db.runTransaction(async (transaction) => {
+        const [reviewDoc, postStatsDoc, vendorStatsDoc] = await Promise.all([
+          transaction.get(reviewRef),
+          transaction.get(postStatsRef),
+          transaction.get(vendorStatsRef)
+        ]);
+
+        const previousRating = reviewDoc.exists ? reviewDoc.data().rating : null;
+        const review = {
+          postId: post.id,
+          vendorId: post.userId,
+          reviewerId: user.uid,
+          reviewerName: window.authManager.currentUserProfile?.displayName || 'Buyer',
+          rating,
+          comment: comment.trim(),
+          updatedAt: now
+        };
+
+        if (reviewDoc.exists) {
+          transaction.update(reviewRef, review);
+        } else {
+          transaction.set(reviewRef, { ...review, createdAt: now });
+        }
+
+        transaction.set(postStatsRef, {
+          ...this.applyRatingChange(postStatsDoc.data(), previousRating, rating),
+          lastReviewId: reviewId,
+          updatedAt: now
+        });
+        transaction.set(vendorStatsRef, {
+          ...this.applyRatingChange(vendorStatsDoc.data(), previousRating, rating),
+          lastReviewId: reviewId,
+          updatedAt: now
+        });
+      });
+
+      this.invalidateStats(post.id, post.userId);
+      return { success: true };
+    } catch (error) {
+      console.error('Error submitting review:', error);
+      return { success: false, error: 'Unable to save your review. Please try again.' };
+    }
+  }
+
+  // Delete a review (author, or admin moderating)
+  async deleteReview(postId, reviewerId = this.currentUser?.uid) {
+    // Suspended users may still remove their own reviews
+    if (!this.currentUser) {
+      window.authManager?.showSignInModal();
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    const reviewId = this.getReviewId(postId, reviewerId);
+    const reviewRef = this.db.collection('reviews').doc(reviewId);
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+    let vendorId = null;
+
+    try {
+      await this.db.runTransaction(async (transaction) => {
+        const reviewDoc = await transaction.get(reviewRef);
+        if (!reviewDoc.exists) return;
+
+        const review = reviewDoc.data();
+        vendorId = review.vendorId;
+        const postStatsRef = this.db.collection('review_stats').doc(this.getPostStatsId(postId));
+        const vendorStatsRef = this.db.collection('review_stats').doc(this.getVendorStatsId(vendorId));
+        const [postStatsDoc, vendorStatsDoc] = await Promise.all([
+          transaction.get(postStatsRef),
+          transaction.get(vendorStatsRef)
+        ]);
+
+        transaction.delete(reviewRef);
+        transaction.set(postStatsRef, {
+          ...this.applyRatingChange(postStatsDoc.data(), review.rating, null),
+          lastReviewId: reviewId,
+          updatedAt: now
+        });
+        transaction.set(vendorStatsRef, {
+          ...this.applyRatingChange(vendorStatsDoc.data(), review.rating, null),
+          lastReviewId: reviewId,
+          updatedAt: now
+        });
+      });
+
+      this.invalidateStats(postId, vendorId);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      return { success: false, error: 'Unable to delete review. Please try again.' };
+    }
+  }
+
+  // Get reviews for a post, newest first
+  async getReviewsForPost(postId, limit = 20) {
+    try {
+      const snapshot = await this.db.collection('reviews')
+        .where('postId', '==', postId)
+        .orderBy('updatedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      const reviews = [];
+      snapshot.forEach(doc => reviews.push({ id: doc.id, ...doc.data() }));
+      return reviews;
+    } catch (error) {
+      console.error('Error loading reviews:', error);
+      return [];
+    }
+  }
+
+  // Get the current user's review of a post, if any
+  async getUserReview(postId) {
+    const user = this.currentUser;
+    if (!user) return null;
+
+    const doc = await this.db.collection('reviews').doc(this.getReviewId(postId, user.uid)).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  async getPostStats(postId) {
+    return this.getStats(this.getPostStatsId(postId));
+  }
+
+  async getVendorStats(vendorId) {
+    return this.getStats(this.getVendorStatsId(vendorId));
+  }
+
+  // Load aggregates for many posts at once, keyed by post ID
+  async getPostStatsMap(postIds) {
+    const ids = [...new Set(postIds)].filter(Boolean);
+    const results = {};
+    const missing = [];
+
+    ids.forEach(postId => {
+      const cached = this.getCachedStats(this.getPostStatsId(postId));
+      if (cached) {
+        results[postId] = cached;
+      } else {
+        missing.push(postId);
+      }
+    });
+
+    // Firestore 'in' queries accept at most 30 values
+    for (let i = 0; i < missing.length; i += 30) {
+      const chunk = missing.slice(i, i + 30);
+      try {
+        const snapshot = await this.db.collection('review_stats')
+          .where(firebase.firestore.FieldPath.documentId(), 'in', chunk.map(id => this.getPostStatsId(id)))
+          .get();
+
+        chunk.forEach(postId => {
+          results[postId] = this.createEmptyStats();
+        });
+        snapshot.forEach(doc => {
+          const postId = doc.id.replace(/^post_/, '');
+          results[postId] = this.normalizeStats(doc.data());
+        });
+        chunk.forEach(postId => this.setCachedStats(this.getPostStatsId(postId), results[postId]));
+      } catch (error) {
+        console.error('Error loading review stats:', error);
+      }
+    }
+
+    return results;
+  }
+
+  async getStats(statsId) {
+    const cached = this.getCachedStats(statsId);
+    if (cached) return cached;
+
+    try {
+      const doc = await this.db.collection('review_stats').doc(statsId).get();
+      const stats = doc.exists ? this.normalizeStats(doc.data()) : this.createEmptyStats();
+      this.setCachedStats(statsId, stats);
+      return stats;
+    } catch (error) {
+      console.error(`Error loading review stats ${statsId}:`, error);
+      return this.createEmptyStats();
+    }
+  }
+
+  normalizeStats(data) {
+    const empty = this.createEmptyStats();
+    return {
+      count: data.count || 0,
+      sum: data.sum || 0,
+      mean: data.mean || 0,
+      distribution: { ...empty.distribution, ...(data.distribution || {}) }
+    };
+  }
+
+  getCachedStats(statsId) {
+    const cached = this.statsCache.get(statsId);
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return cached.data;
+    }
+    return null;
+  }
+
+  setCachedStats(statsId, data) {
+    this.statsCache.set(statsId, { data, timestamp: Date.now() });
+  }
+
+  invalidateStats(postId, vendorId) {
+    this.statsCache.delete(this.getPostStatsId(postId));
+    if (vendorId) {
+      this.statsCache.delete(this.getVendorStatsId(vendorId));
+    }
+  }
+
+  // Format an aggregate for compact display, e.g. "4.3 (12)"
+  formatRating(stats) {
+    if (!stats || !stats.count) return 'New';
+    return `${stats.mean.toFixed(1)} (${stats.count})`;
+  }
+
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Create reviews section HTML for the vendor modal
+  createReviewsHTML(post, { postStats, vendorStats, reviews, userReview }) {
+    const user = this.currentUser;
+    const canReview = user && user.uid !== post.userId;
+
+    let html = `
+      <div class="reviews-summary">
+        <div class="reviews-summary-item">
+          <span class="reviews-summary-label">This pack</span>
+          <span class="reviews-summary-value">⭐ ${this.formatRating(postStats)}</span>
+        </div>
+        <div class="reviews-summary-item">
+          <span class="reviews-summary-label">Vendor</span>
+          <span class="reviews-summary-value">⭐ ${this.formatRating(vendorStats)}</span>
+        </div>
+      </div>
+    `;
+
+    if (postStats.count > 0) {
+      html += '<div class="reviews-distribution">';
+      [5, 4, 3, 2, 1].forEach(stars => {
+        const count = postStats.distribution[stars] || 0;
+        const percent = Math.round((count / postStats.count) * 100);
+        html += `
+          <div class="reviews-distribution-row">
+            <span>${stars}★</span>
+            <div class="reviews-bar"><div class="reviews-bar-fill" style="width:${percent}%"></div></div>
+            <span>${count}</span>
+          </div>
+        `;
+      });
+      html += '</div>';
+    }
+
+    if (canReview) {
+      const rating = userReview ? userReview.rating : 5;
+      html += `
+        <form class="review-form" data-review-form>
+          <label for="review-rating">${userReview ? 'Edit your review' : 'Leave a review'}</label>
+          <select id="review-rating" name="rating" class="form-select">
+            ${[5, 4, 3, 2, 1].map(stars => `<option value="${stars}" ${stars === rating ? 'selected' : ''}>${'★'.repeat(stars)}</option>`).join('')}
+          </select>
+          <textarea name="comment" class="form-textarea" rows="3" maxlength="1000" placeholder="How was it?">${userReview ? this.escapeHTML(userReview.comment || '') : ''}</textarea>
+          <div class="review-form-actions">
+            <button type="submit" class="message-btn">${userReview ? 'Update Review' : 'Post Review'}</button>
+            ${userReview ? '<button type="button" class="review-delete-btn" data-review-delete>Delete</button>' : ''}
+          </div>
+          <div class="review-form-error" data-review-error></div>
+        </form>
+      `;
+    }
+
+    html += '<div class="reviews-list">';
+    if (reviews.length === 0) {
+      html += '<p class="reviews-empty">No reviews yet.</p>';
+    }
+    reviews.forEach(review => {
+      html += `
+        <div class="review-item">
+          <div class="review-item-header">
+            <strong>${this.escapeHTML(review.reviewerName || 'Buyer')}</strong>
+            <span>${'★'.repeat(review.rating)}</span>
+          </div>
+          ${review.comment ? `<p>${this.escapeHTML(review.comment)}</p>` : ''}
+        </div>
+      `;
+    });
+    html += '</div>';
+
+    return html;
+  }
+
+  // Render the reviews section into a container and wire up the form
+  async renderReviews(container, post) {
+    if (!container || !post) return;
+
+    const [postStats, vendorStats, reviews, userReview] = await Promise.all([
+      this.getPostStats(post.id),
+      post.userId ? this.getVendorStats(post.userId) : this.createEmptyStats(),
+      this.getReviewsForPost(post.id),
+      this.getUserReview(post.id).catch(() => null)
+    ]);
+
+    container.innerHTML = this.createReviewsHTML(post, { postStats, vendorStats, reviews, userReview });
+
+    const form = container.querySelector('[data-review-form]');
+    if (!form) return;
+
+    const showError = (message) => {
+      const errorEl = form.querySelector('[data-review-error]');
+      if (errorEl) errorEl.textContent = message || '';
+    };
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const result = await this.submitReview(post, {
+        rating: parseInt(form.rating.value, 10),
+        comment: form.comment.value
+      });
+      if (result.success) {
+        this.renderReviews(container, post);
+      } else {
+        showError(result.error);
+      }
+    });
+
+    const deleteBtn = form.querySelector('[data-review-delete]');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm('Delete your review?')) return;
+        const result = await this.deleteReview(post.id);
+        if (result.success) {
+          this.renderReviews(container, post);
+        } else {
+          showError(result.error);
+        }
+      });
+    }
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.reviewManager = new ReviewManager();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewManager;
+}
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Archives approved posts whose expiresAt has passed by moving them to the
+// 'expired' lifecycle status; owners can renew them from the account page.
+// With --backfill, posts created before expiry existed get expiresAt from
+// created + their category TTL (config/time-filtering) first.
+//
+// Meant to run daily from a scheduler (cron, CI schedule, Cloud Scheduler):
+//   0 3 * * * GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/archive-expired-posts.js
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/archive-expired-posts.js [--dry-run] [--backfill]
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/archive-expired-posts.js --project demo-packslist
+
+const admin = require('firebase-admin');
+const PostManager = require('../post-manager');
+
+const BATCH_SIZE = 400;
+
+function parseArgs(argv) {
+  const args = { dryRun: false, backfill: false, projectId: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    if (argv[i] === '--backfill') args.backfill = true;
+    if (argv[i] === '--project') args.projectId = argv[++i];
+  }
+  return args;
+}
+
+async function commitInBatches(db, updates) {
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+}
+
+function archiveUpdate() {
+  return {
+    status: 'expired',
+    statusReason: 'Listing expired',
+    statusChangedBy: 'system',
+    statusChangedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+// Legacy approved posts without expiresAt: derive it from created + TTL
+async function backfillExpiry(db, postManager, config, now) {
+  const snapshot = await db.collection('posts').where('status', '==', 'approved').get();
+  const updates = [];
+  let archived = 0;
+
+  snapshot.docs.filter(doc => !doc.get('expiresAt')).forEach(doc => {
+    const created = doc.get('created');
+    const from = created && created.toDate ? created.toDate() : now;
+    const ttlDays = postManager.getTtlDays(config, doc.get('vendor'));
+    const expiresAt = new Date(from.getTime() + ttlDays * PostManager.DAY_MS);
+
+    const data = { expiresAt: admin.firestore.Timestamp.fromDate(expiresAt) };
+    if (expiresAt <= now) {
+      Object.assign(data, archiveUpdate());
+      archived++;
+    }
+    updates.push({ ref: doc.ref, data });
+  });
+
+  return { updates, archived };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  admin.initializeApp(args.projectId ? { projectId: args.projectId } : undefined);
+
+  const db = admin.firestore();
+  const postManager = new PostManager();
+  const configDoc = await db.collection('config').doc('time-filtering').get();
+  const config = postManager.mergeExpiryConfig(configDoc.exists ? configDoc.data() : {});
+  const now = new Date();
+
+  const backfill = args.backfill
+    ? await backfillExpiry(db, postManager, config, now)
+    : { updates: [], archived: 0 };
+
+  const expired = await db.collection('posts')
+    .where('status', '==', 'approved')
+    .where('expiresAt', '<=', admin.firestore.Timestamp.fromDate(now))
+    .get();
+  const archives = expired.docs.map(doc => ({ ref: doc.ref, data: archiveUpdate() }));
+
+  if (!args.dryRun) {
+    await commitInBatches(db, [...backfill.updates, ...archives]);
+  }
+
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  if (args.backfill) {
+    console.log(`${prefix}Backfilled expiresAt on ${backfill.updates.length} posts (${backfill.archived} already stale)`);
+  }
+  console.log(`${prefix}Archived ${archives.length + backfill.archived} expired posts`);
+}
+
+main().catch(error => {
+  console.error('Post archival failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Gives posts created before radius search a fuzzed lat/lng and geohash from
+// their city, so "near me" queries (geo-index.js) can find them. Posts that
+// already have a geohash are left alone unless --all is passed, e.g. after
+// moving a city's coordinates in config/cities.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/backfill-post-locations.js [--dry-run] [--all]
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/backfill-post-locations.js --project demo-packslist
+
+const admin = require('firebase-admin');
+const CityRegistry = require('../city-registry.js');
+const GeoIndex = require('../geo-index.js');
+
+const BATCH_SIZE = 400;
+
+function parseArgs(argv) {
+  const args = { dryRun: false, all: false, projectId: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    if (argv[i] === '--all') args.all = true;
+    if (argv[i] === '--project') args.projectId = argv[++i];
+  }
+  return args;
+}
+
+async function commitInBatches(db, updates) {
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  admin.initializeApp(args.projectId ? { projectId: args.projectId } : undefined);
+
+  const db = admin.firestore();
+  const geoIndex = new GeoIndex();
+  const registry = new CityRegistry();
+
+  const [citiesDoc, regionDoc, postsSnapshot] = await Promise.all([
+    db.collection('config').doc('cities').get(),
+    db.collection('config').doc('region-settings').get(),
+    db.collection('posts').get()
+  ]);
+  if (citiesDoc.exists) registry.applyConfig(citiesDoc.data());
+  const { fuzzyLocationRadius } = geoIndex.mergeSettings(regionDoc.exists ? regionDoc.data() : {});
+
+  const updates = [];
+  const unknown = {};
+  postsSnapshot.forEach(doc => {
+    if (doc.get('geohash') && !args.all) return;
+
+    const city = doc.get('city');
+    const coordinates = registry.getCoordinates(city);
+    if (!coordinates) {
+      unknown[city] = (unknown[city] || 0) + 1;
+      return;
+    }
+    updates.push({ ref: doc.ref, data: geoIndex.fuzzLocation(coordinates, fuzzyLocationRadius) });
+  });
+
+  if (!args.dryRun) {
+    await commitInBatches(db, updates);
+  }
+
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Set locations on ${updates.length} of ${postsSnapshot.size} posts`);
+  Object.entries(unknown).forEach(([city, count]) => {
+    console.warn(`  skipped ${count} posts with unknown city '${city}'`);
+  });
+}
+
+main().catch(error => {
+  console.error('Location backfill failed:', error);
+  process.exit(1);
+});
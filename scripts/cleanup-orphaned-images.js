@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Deletes post photos in Storage that no post references anymore: posts deleted
+// outside the app, abandoned uploads, and photos removed in an edit that failed
+// to clean up. Files younger than --min-age-hours are skipped so in-progress
+// uploads are never touched.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/cleanup-orphaned-images.js [--dry-run] [--min-age-hours 24]
+//   FIREBASE_STORAGE_EMULATOR_HOST=localhost:9199 node scripts/cleanup-orphaned-images.js --project demo-packslist --bucket demo-packslist.appspot.com
+
+const admin = require('firebase-admin');
+
+function parseArgs(argv) {
+  const args = { dryRun: false, projectId: undefined, bucket: undefined, minAgeHours: 24 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    if (argv[i] === '--project') args.projectId = argv[++i];
+    if (argv[i] === '--bucket') args.bucket = argv[++i];
+    if (argv[i] === '--min-age-hours') args.minAgeHours = Number(argv[++i]);
+  }
+  return args;
+}
+
+// Storage path from a Firebase download URL (.../o/posts%2Fuid%2Fpost%2Ffile.jpg?alt=media)
+function pathFromUrl(url) {
+  const match = /\/o\/([^?]+)/.exec(url || '');
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {};
+  if (args.projectId) options.projectId = args.projectId;
+  if (args.bucket) options.storageBucket = args.bucket;
+  admin.initializeApp(Object.keys(options).length ? options : undefined);
+
+  const db = admin.firestore();
+  const [files] = await admin.storage().bucket().getFiles({ prefix: 'posts/' });
+  const cutoff = Date.now() - args.minAgeHours * 60 * 60 * 1000;
+
+  // posts/{userId}/{postId}/{fileName} grouped by post
+  const filesByPost = new Map();
+  files.forEach(file => {
+    const [, userId, postId] = file.name.split('/');
+    if (!userId || !postId) return;
+    if (!filesByPost.has(postId)) filesByPost.set(postId, []);
+    filesByPost.get(postId).push(file);
+  });
+
+  let orphaned = 0;
+  for (const [postId, postFiles] of filesByPost) {
+    const postDoc = await db.collection('posts').doc(postId).get();
+    const referenced = new Set();
+    if (postDoc.exists) {
+      [...(postDoc.get('images') || []), ...(postDoc.get('thumbnails') || [])]
+        .map(pathFromUrl)
+        .forEach(path => referenced.add(path));
+    }
+
+    for (const file of postFiles) {
+      if (referenced.has(file.name)) continue;
+      if (new Date(file.metadata.timeCreated).getTime() > cutoff) continue;
+
+      orphaned++;
+      if (!args.dryRun) await file.delete();
+    }
+  }
+
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Scanned ${files.length} files across ${filesByPost.size} posts, ${orphaned} orphaned files deleted`);
+}
+
+main().catch(error => {
+  console.error('Image cleanup failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+// Hard-deletes a user: their Auth account, users/{uid} profile (with blocks),
+// roles/{uid} grant, posts (with revision history) and reviews (taking them out
+// of review_stats), and clears the text of messages they sent, as
+// AccountDataManager does for self-service deletion. Pass --anonymize to keep the
+// posts as removed listings owned by 'deleted-user' instead of deleting them.
+// Images left behind are picked up by cleanup-orphaned-images.js.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/delete-user.js <email|uid> [--anonymize] [--dry-run]
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/delete-user.js <email|uid> --project demo-packslist
+
+const admin = require('firebase-admin');
+const ReviewManager = require('../review-manager');
+
+const BATCH_SIZE = 400;
+const DELETED_USER_ID = 'deleted-user';
+
+function parseArgs(argv) {
+  const args = { positional: [], dryRun: false, anonymize: false, projectId: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--anonymize') {
+      args.anonymize = true;
+    } else if (argv[i] === '--project') {
+      args.projectId = argv[++i];
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+// Auth record for an email or uid; null when the Auth account is already gone
+async function findUser(identifier) {
+  try {
+    return identifier.includes('@')
+      ? await admin.auth().getUserByEmail(identifier)
+      : await admin.auth().getUser(identifier);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+}
+
+function anonymizedPost() {
+  return {
+    userId: DELETED_USER_ID,
+    status: 'removed',
+    statusReason: 'Account deleted',
+    statusChangedBy: 'system',
+    statusChangedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+async function processPosts(db, uid, args) {
+  const snapshot = await db.collection('posts').where('userId', '==', uid).get();
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}${args.anonymize ? 'Anonymizing' : 'Deleting'} ${snapshot.size} posts`);
+  if (args.dryRun) return;
+
+  if (!args.anonymize) {
+    for (const doc of snapshot.docs) {
+      await db.recursiveDelete(doc.ref);
+    }
+    return;
+  }
+
+  for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    snapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => batch.update(doc.ref, anonymizedPost()));
+    await batch.commit();
+  }
+}
+
+// Delete each review and take its rating out of the post and vendor aggregates
+async function deleteReviews(db, uid, args) {
+  const snapshot = await db.collection('reviews').where('reviewerId', '==', uid).get();
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Deleting ${snapshot.size} reviews`);
+  if (args.dryRun) return;
+
+  const reviews = new ReviewManager();
+  for (const doc of snapshot.docs) {
+    await db.runTransaction(async (transaction) => {
+      const reviewDoc = await transaction.get(doc.ref);
+      if (!reviewDoc.exists) return;
+
+      const review = reviewDoc.data();
+      const statsRefs = [
+        db.collection('review_stats').doc(reviews.getPostStatsId(review.postId)),
+        db.collection('review_stats').doc(reviews.getVendorStatsId(review.vendorId))
+      ];
+      const statsDocs = await Promise.all(statsRefs.map(ref => transaction.get(ref)));
+
+      transaction.delete(doc.ref);
+      statsRefs.forEach((ref, index) => transaction.set(ref, {
+        ...reviews.applyRatingChange(statsDocs[index].data(), review.rating, null),
+        lastReviewId: doc.id,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+    });
+  }
+}
+
+// Messages stay in the other participant's thread with their text removed,
+// along with the thread preview when it shows one of them
+async function clearMessages(db, uid, args) {
+  const threads = await db.collection('threads').where('participants', 'array-contains', uid).get();
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Clearing messages in ${threads.size} threads`);
+  if (args.dryRun) return;
+
+  for (const thread of threads.docs) {
+    const messages = await thread.ref.collection('messages').where('senderId', '==', uid).get();
+    const live = messages.docs.filter(doc => !doc.get('deletedAt'));
+
+    for (let i = 0; i < live.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      live.slice(i, i + BATCH_SIZE).forEach(doc => batch.update(doc.ref, {
+        text: '',
+        deletedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+      await batch.commit();
+    }
+
+    if (thread.get('lastSenderId') === uid && thread.get('lastMessage')) {
+      await thread.ref.update({ lastMessage: '' });
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [identifier] = args.positional;
+
+  if (!identifier) {
+    console.error('Usage: delete-user.js <email|uid> [--anonymize] [--dry-run] [--project <id>]');
+    process.exit(1);
+  }
+
+  admin.initializeApp(args.projectId ? { projectId: args.projectId } : undefined);
+
+  const db = admin.firestore();
+  const user = await findUser(identifier);
+  const uid = user ? user.uid : identifier;
+  if (!user && identifier.includes('@')) {
+    console.error(`No Auth account for ${identifier}; pass the uid to clean up its data`);
+    process.exit(1);
+  }
+
+  await processPosts(db, uid, args);
+  await deleteReviews(db, uid, args);
+  await clearMessages(db, uid, args);
+
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Deleting users/${uid}, roles/${uid}${user ? ' and the Auth account' : ''}`);
+  if (args.dryRun) return;
+
+  // recursiveDelete takes users/{uid}/blocks with the profile
+  await db.recursiveDelete(db.collection('users').doc(uid));
+
+  const batch = db.batch();
+  batch.delete(db.collection('roles').doc(uid));
+  batch.set(db.collection('admin').doc('audit').collection('entries').doc(), {
+    action: 'user.delete',
+    level: 'warning',
+    target: `users/${uid}`,
+    before: null,
+    after: null,
+    details: { anonymizedPosts: args.anonymize },
+    actorId: 'system',
+    actorEmail: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await batch.commit();
+
+  if (user) {
+    await admin.auth().deleteUser(uid);
+  }
+  console.log(`Deleted user ${user?.email || uid}`);
+}
+
+main().catch(error => {
+  console.error('Delete user failed:', error);
+  process.exit(1);
+});
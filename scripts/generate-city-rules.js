@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Regenerates the validateCity whitelist in firestore.rules from the city registry
+//
+// Usage:
+//   node scripts/generate-city-rules.js                 # use the registry defaults
+//   node scripts/generate-city-rules.js cities.json     # use an exported config/cities document
+
+const fs = require('fs');
+const path = require('path');
+const CityRegistry = require('../city-registry.js');
+
+const RULES_PATH = path.join(__dirname, '..', 'firestore.rules');
+const BEGIN_MARKER = '// BEGIN GENERATED CITY WHITELIST';
+const END_MARKER = '// END GENERATED CITY WHITELIST';
+
+function loadRegistry(configPath) {
+  const registry = new CityRegistry();
+  if (configPath) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!registry.applyConfig(config)) {
+      throw new Error(`No city items found in ${configPath}`);
+    }
+  }
+  return registry;
+}
+
+function renderWhitelist(keys, indent) {
+  const lines = [];
+  for (let i = 0; i < keys.length; i += 4) {
+    lines.push(keys.slice(i, i + 4).map(key => `'${key}'`).join(', '));
+  }
+  return lines.map(line => `${indent}${line}`).join(',\n');
+}
+
+function main() {
+  const registry = loadRegistry(process.argv[2]);
+  const keys = registry.getActiveKeys();
+  const rules = fs.readFileSync(RULES_PATH, 'utf8');
+
+  const begin = rules.indexOf(BEGIN_MARKER);
+  const end = rules.indexOf(END_MARKER);
+  if (begin === -1 || end === -1 || end < begin) {
+    throw new Error('City whitelist markers not found in firestore.rules');
+  }
+
+  const lineStart = rules.lastIndexOf('\n', begin) + 1;
+  const indent = rules.slice(lineStart, begin);
+  const body = `${BEGIN_MARKER}\n${renderWhitelist(keys, indent)}\n${indent}`;
+  const updated = rules.slice(0, begin) + body + rules.slice(end);
+
+  fs.writeFileSync(RULES_PATH, updated);
+  console.log(`firestore.rules: city whitelist updated (${keys.length} cities)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Failed to generate city rules:', error.message);
+  process.exit(1);
+}
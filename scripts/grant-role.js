@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Grants a role by writing roles/{uid} with admin credentials.
+// Rules forbid granting a role to yourself, so the first super_admin is
+// bootstrapped here; everyone after that is managed from the admin panel.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/grant-role.js <email> <role>
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/grant-role.js <email> <role> --project demo-packslist
+
+const admin = require('firebase-admin');
+const RoleManager = require('../auth/role-manager');
+
+function parseArgs(argv) {
+  const args = { positional: [], projectId: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--project') {
+      args.projectId = argv[++i];
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [email, role] = args.positional;
+
+  if (!email || !RoleManager.ROLES[role]) {
+    console.error(`Usage: grant-role.js <email> <${Object.keys(RoleManager.ROLES).join('|')}>`);
+    process.exit(1);
+  }
+
+  admin.initializeApp(args.projectId ? { projectId: args.projectId } : undefined);
+
+  const user = await admin.auth().getUserByEmail(email);
+  const permissions = [...RoleManager.ROLES[role].permissions];
+  const db = admin.firestore();
+  const batch = db.batch();
+  const roleRef = db.collection('roles').doc(user.uid);
+
+  if (role === 'user') {
+    batch.delete(roleRef);
+  } else {
+    batch.set(roleRef, {
+      role,
+      permissions,
+      grantedBy: 'script',
+      grantedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  batch.set(db.collection('users').doc(user.uid), {
+    role,
+    permissions,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  await batch.commit();
+  console.log(`Granted ${role} to ${email} (${user.uid})`);
+}
+
+main().catch(error => {
+  console.error('Grant role failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Folds the legacy admin_config/vendors and admin_config/locations documents into
+// config/vendor-categories and config/cities, the namespace ConfigManager and the
+// bundles read. Items already in config/* win; legacy items with new keys are
+// appended. Pass --delete to remove the admin_config documents afterwards.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/migrate-admin-config.js [--dry-run] [--delete]
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/migrate-admin-config.js --project demo-packslist
+
+const admin = require('firebase-admin');
+const CityRegistry = require('../city-registry.js');
+
+const MIGRATIONS = [
+  {
+    from: 'vendors',
+    to: 'vendor-categories',
+    // Legacy vendor ids are the vendor keys stored on posts
+    toItem: item => ({
+      key: item.key || item.id,
+      name: item.name || item.id,
+      color: item.color || '#95a5a6',
+      icon: item.icon || (item.name || item.id).charAt(0).toUpperCase(),
+      isActive: item.isActive !== false
+    }),
+    defaults: () => ({ items: [] })
+  },
+  {
+    from: 'locations',
+    to: 'cities',
+    toItem: item => ({
+      key: item.key || item.id,
+      name: item.name || item.id,
+      state: item.state || '',
+      coordinates: { lat: Number(item.lat), lng: Number(item.lng) },
+      isActive: item.isActive !== false,
+      priority: item.priority || 999,
+      metroArea: item.metroArea || null,
+      aliases: []
+    }),
+    defaults: () => new CityRegistry().toConfig()
+  }
+];
+
+function parseArgs(argv) {
+  const args = { dryRun: false, delete: false, projectId: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    if (argv[i] === '--delete') args.delete = true;
+    if (argv[i] === '--project') args.projectId = argv[++i];
+  }
+  return args;
+}
+
+async function migrate(db, migration, args) {
+  const legacyRef = db.collection('admin_config').doc(migration.from);
+  const targetRef = db.collection('config').doc(migration.to);
+  const [legacyDoc, targetDoc] = await Promise.all([legacyRef.get(), targetRef.get()]);
+
+  if (!legacyDoc.exists) {
+    console.log(`admin_config/${migration.from} missing, nothing to migrate`);
+    return;
+  }
+
+  const target = targetDoc.exists ? targetDoc.data() : migration.defaults();
+  const items = Array.isArray(target.items) ? [...target.items] : [];
+  const keys = new Set(items.map(item => item.key));
+
+  const added = (legacyDoc.get('items') || [])
+    .filter(item => item && (item.key || item.id))
+    .map(migration.toItem)
+    .filter(item => !keys.has(item.key));
+  added.forEach(item => console.log(`  config/${migration.to}: + ${item.key}`));
+
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}admin_config/${migration.from} -> config/${migration.to}: ${added.length} new items`);
+  if (args.dryRun) return;
+
+  if (added.length > 0 || !targetDoc.exists) {
+    await targetRef.set({
+      ...target,
+      items: [...items, ...added],
+      version: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  if (args.delete) {
+    await legacyRef.delete();
+    console.log(`  deleted admin_config/${migration.from}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  admin.initializeApp(args.projectId ? { projectId: args.projectId } : undefined);
+
+  const db = admin.firestore();
+  for (const migration of MIGRATIONS) {
+    await migrate(db, migration, args);
+  }
+}
+
+main().catch(error => {
+  console.error('admin_config migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Migrates legacy city keys (e.g. 'southcoast-ma') on posts to canonical registry keys
+// and seeds config/cities from the registry defaults if it does not exist yet.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/migrate-city-keys.js [--dry-run]
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/migrate-city-keys.js --project demo-packslist
+
+const admin = require('firebase-admin');
+const CityRegistry = require('../city-registry.js');
+
+const BATCH_SIZE = 400;
+
+function parseArgs(argv) {
+  const args = { dryRun: false, projectId: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    if (argv[i] === '--project') args.projectId = argv[++i];
+  }
+  return args;
+}
+
+// Seed config/cities so browsers stop relying on hard-coded fallbacks
+async function seedCitiesConfig(db, registry, dryRun) {
+  const ref = db.collection('config').doc('cities');
+  const snapshot = await ref.get();
+
+  if (snapshot.exists) {
+    registry.applyConfig(snapshot.data());
+    console.log('config/cities exists, using it as the registry source');
+    return;
+  }
+
+  console.log(`config/cities missing, seeding ${registry.getCities().length} default cities`);
+  if (!dryRun) {
+    await ref.set(registry.toConfig());
+  }
+}
+
+async function migratePosts(db, registry, dryRun) {
+  const snapshot = await db.collection('posts').get();
+  const changes = [];
+  const unknown = {};
+
+  snapshot.forEach(doc => {
+    const city = doc.get('city');
+    if (typeof city !== 'string') return;
+
+    const canonical = registry.normalizeKey(city);
+    if (!registry.getCity(canonical)) {
+      unknown[city] = (unknown[city] || 0) + 1;
+      return;
+    }
+    if (canonical !== city) {
+      changes.push({ ref: doc.ref, from: city, to: canonical });
+    }
+  });
+
+  changes.forEach(change => console.log(`  ${change.ref.id}: ${change.from} -> ${change.to}`));
+
+  if (!dryRun) {
+    for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      changes.slice(i, i + BATCH_SIZE).forEach(change => {
+        batch.update(change.ref, { city: change.to, legacyCity: change.from });
+      });
+      await batch.commit();
+    }
+  }
+
+  Object.entries(unknown).forEach(([city, count]) => {
+    console.warn(`  Unknown city key '${city}' on ${count} post(s), left unchanged`);
+  });
+
+  return { scanned: snapshot.size, migrated: changes.length };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  admin.initializeApp(args.projectId ? { projectId: args.projectId } : undefined);
+
+  const db = admin.firestore();
+  const registry = new CityRegistry();
+
+  await seedCitiesConfig(db, registry, args.dryRun);
+  const result = await migratePosts(db, registry, args.dryRun);
+
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Scanned ${result.scanned} posts, ${result.migrated} city keys migrated`);
+}
+
+main().catch(error => {
+  console.error('City key migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Backfills the moderation lifecycle on posts created before statuses existed.
+// Posts without a status were already public, so they become 'approved'.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/migrate-post-status.js [--dry-run]
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/migrate-post-status.js --project demo-packslist
+
+const admin = require('firebase-admin');
+
+const BATCH_SIZE = 400;
+
+function parseArgs(argv) {
+  const args = { dryRun: false, projectId: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    if (argv[i] === '--project') args.projectId = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  admin.initializeApp(args.projectId ? { projectId: args.projectId } : undefined);
+
+  const db = admin.firestore();
+  const snapshot = await db.collection('posts').get();
+  const legacy = snapshot.docs.filter(doc => !doc.get('status'));
+
+  if (!args.dryRun) {
+    for (let i = 0; i < legacy.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      legacy.slice(i, i + BATCH_SIZE).forEach(doc => {
+        batch.update(doc.ref, {
+          status: 'approved',
+          statusReason: 'Backfilled: published before moderation',
+          statusChangedBy: 'migration',
+          statusChangedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+    }
+  }
+
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Scanned ${snapshot.size} posts, ${legacy.length} marked approved`);
+}
+
+main().catch(error => {
+  console.error('Post status migration failed:', error);
+  process.exit(1);
+});
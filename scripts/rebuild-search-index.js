@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// Rebuilds search data for search-index.js: recomputes searchTokens on every post
+// and writes the typo-tolerance vocabulary to search_index/vocabulary. New posts
+// get searchTokens when created, but their words only join the vocabulary on the
+// next rebuild, so run this after bulk imports or periodically.
+//
+// --query runs a search against the rebuilt index locally and prints the ranking,
+// which is handy for tuning product-type searchTerms without deploying.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/rebuild-search-index.js [--dry-run]
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/rebuild-search-index.js --project demo-packslist --dry-run --query "nightime gumbo"
+
+const admin = require('firebase-admin');
+const CityRegistry = require('../city-registry.js');
+const SearchIndex = require('../search-index.js');
+
+const BATCH_SIZE = 400;
+const MAX_VOCABULARY_TERMS = 5000;
+
+function parseArgs(argv) {
+  const args = { dryRun: false, projectId: undefined, query: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    if (argv[i] === '--project') args.projectId = argv[++i];
+    if (argv[i] === '--query') args.query = argv[++i];
+  }
+  return args;
+}
+
+async function commitInBatches(db, updates) {
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+}
+
+function sameTokens(a, b) {
+  return Array.isArray(a) && a.length === b.length && a.every((token, i) => token === b[i]);
+}
+
+// Most frequent approved-post tokens first, then synonym terms
+function buildVocabulary(searchIndex, posts) {
+  const counts = new Map();
+  posts
+    .filter(post => post.status === 'approved')
+    .forEach(post => post.searchTokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1)));
+
+  const terms = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([term]) => term);
+  searchIndex.synonymGroups.flat().forEach(term => {
+    if (!counts.has(term)) terms.push(term);
+  });
+
+  return terms.slice(0, MAX_VOCABULARY_TERMS);
+}
+
+function printRanking(searchIndex, posts, query) {
+  const approved = posts.filter(post => post.status === 'approved');
+  const expanded = searchIndex.expandQuery(query);
+
+  console.log(`\nQuery "${query}":`);
+  expanded.forEach(({ token, terms }) => {
+    const expansions = [...terms.entries()].map(([term, weight]) => `${term} (${weight})`);
+    console.log(`  ${token} -> ${expansions.join(', ')}`);
+  });
+
+  const results = searchIndex.rankPosts(approved, expanded).slice(0, 10);
+  if (results.length === 0) console.log('  no matches');
+  results.forEach(({ post, score }, i) => {
+    console.log(`  ${i + 1}. [${score.toFixed(2)}] ${post.title} (${post.vendor}, ${post.city}) ${post.id}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  admin.initializeApp(args.projectId ? { projectId: args.projectId } : undefined);
+
+  const db = admin.firestore();
+  const searchIndex = new SearchIndex();
+
+  const [citiesDoc, productTypesDoc, postsSnapshot] = await Promise.all([
+    db.collection('config').doc('cities').get(),
+    db.collection('config').doc('product-types').get(),
+    db.collection('posts').get()
+  ]);
+
+  const registry = new CityRegistry();
+  if (citiesDoc.exists) registry.applyConfig(citiesDoc.data());
+  searchIndex.cityRegistry = registry;
+  if (productTypesDoc.exists) searchIndex.applyProductTypes(productTypesDoc.data().items || []);
+
+  const updates = [];
+  const posts = postsSnapshot.docs.map(doc => {
+    const post = { id: doc.id, ...doc.data() };
+    const searchTokens = searchIndex.buildPostTokens(post);
+    if (!sameTokens(post.searchTokens, searchTokens)) {
+      updates.push({ ref: doc.ref, data: { searchTokens } });
+    }
+    return { ...post, status: post.status || 'approved', searchTokens };
+  });
+
+  const terms = buildVocabulary(searchIndex, posts);
+  searchIndex.vocabulary = terms;
+
+  if (!args.dryRun) {
+    await commitInBatches(db, updates);
+    await db.collection('search_index').doc('vocabulary').set({
+      terms,
+      postCount: posts.length,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  const prefix = args.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Updated searchTokens on ${updates.length} of ${posts.length} posts`);
+  console.log(`${prefix}Vocabulary: ${terms.length} terms, ${searchIndex.synonymGroups.length} synonym groups`);
+
+  if (args.query) printRanking(searchIndex, posts, args.query);
+}
+
+main().catch(error => {
+  console.error('Search index rebuild failed:', error);
+  process.exit(1);
+});
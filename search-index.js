@@ -0,0 +1,295 @@
+// Search Index for PacksList
+// Posts carry searchTokens; queries expand through product-type synonyms and a
+// typo-tolerant vocabulary, hit Firestore with array-contains-any, then rank locally
+
+class SearchIndex {
+  constructor() {
+    this.synonymGroups = [];
+    this.vocabulary = [];
+    this.listeners = [];
+    this.loadPromise = null;
+    this.placeholderExample = null;
+    this.cityRegistry = null; // set by scripts running outside the browser
+  }
+
+  get db() {
+    return window.db || firebase.firestore();
+  }
+
+  getCityName(cityKey) {
+    const registry = this.cityRegistry || (typeof window !== 'undefined' ? window.cityRegistry : null);
+    return registry?.getCity(cityKey)?.name || '';
+  }
+
+  // Wait briefly for Firebase, then pull synonyms and vocabulary once
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        for (let i = 0; i < 50 && !window.db; i++) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        if (!window.db) return;
+
+        const [productTypes, vocabulary] = await Promise.all([
+          this.db.collection('config').doc('product-types').get(),
+          this.db.collection('search_index').doc('vocabulary').get()
+        ]).catch(error => {
+          console.warn('Search index config unavailable:', error);
+          return [null, null];
+        });
+
+        if (productTypes?.exists) this.applyProductTypes(productTypes.data().items || []);
+        if (vocabulary?.exists) this.vocabulary = vocabulary.data().terms || [];
+
+        // Placeholders are localized ui-strings; refresh them when those change
+        const configManager = window.configManager;
+        if (configManager) {
+          await configManager.loadStrings();
+          configManager.onConfigUpdate((event, data) => {
+            if (event === 'localeChanged' || data?.type === 'ui-strings') this.notifyListeners();
+          });
+        }
+        this.notifyListeners();
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  // Each active product type becomes one synonym group: key, name and searchTerms
+  applyProductTypes(items) {
+    this.synonymGroups = items
+      .filter(item => item.isActive !== false)
+      .map(item => [...new Set([
+        ...this.tokenize(item.key),
+        ...this.tokenize(item.name),
+        ...(item.searchTerms || []).flatMap(term => this.tokenize(term))
+      ].filter(term => !SearchIndex.GENERIC_TERMS.includes(term)))])
+      .filter(group => group.length > 1);
+  }
+
+  // Lowercase, strip accents and punctuation
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  tokenize(text) {
+    const normalized = this.normalize(text);
+    if (!normalized) return [];
+    return [...new Set(normalized.split(' '))]
+      .filter(token => token.length >= 2 && !SearchIndex.STOP_WORDS.includes(token));
+  }
+
+  // Tokens stored on a post as searchTokens (title, description, vendor, city)
+  buildPostTokens(post) {
+    const tokens = new Set([
+      ...this.tokenize(post.title),
+      ...this.tokenize(post.vendor),
+      ...this.tokenize(post.city),
+      ...this.tokenize(this.getCityName(post.city)),
+      ...this.tokenize(post.description)
+    ]);
+    return [...tokens]
+      .filter(token => token.length <= SearchIndex.MAX_TOKEN_LENGTH)
+      .slice(0, SearchIndex.MAX_POST_TOKENS);
+  }
+
+  // Edit distance with adjacent transpositions, stopping early past max
+  editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previousPrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Typos allowed grow with word length
+  maxTypos(token) {
+    if (token.length < 4) return 0;
+    if (token.length < 8) return 1;
+    return 2;
+  }
+
+  // Every query token maps to candidate terms with a match weight
+  expandQuery(query) {
+    return this.tokenize(query).map(token => {
+      const terms = new Map([[token, SearchIndex.WEIGHTS.exact]]);
+      const add = (term, weight) => {
+        if ((terms.get(term) || 0) < weight) terms.set(term, weight);
+      };
+
+      const maxTypos = this.maxTypos(token);
+      const corrections = [];
+      this.vocabulary.forEach(term => {
+        if (term === token) return;
+        if (token.length >= 3 && term.startsWith(token)) {
+          add(term, SearchIndex.WEIGHTS.prefix);
+        } else if (maxTypos > 0 && this.editDistance(token, term, maxTypos) <= maxTypos) {
+          add(term, SearchIndex.WEIGHTS.typo);
+          corrections.push(term);
+        }
+      });
+
+      // Synonyms apply to the word as typed and to its typo corrections
+      [token, ...corrections].forEach(word => {
+        this.synonymGroups
+          .filter(group => group.includes(word))
+          .forEach(group => group.forEach(term => add(term, SearchIndex.WEIGHTS.synonym)));
+      });
+
+      return { token, terms };
+    });
+  }
+
+  // Score posts: best match per query token, boosted by the field it hit
+  rankPosts(posts, expanded) {
+    return posts
+      .map(post => {
+        const fields = {
+          title: this.tokenize(post.title),
+          vendor: this.tokenize(post.vendor),
+          city: [...this.tokenize(post.city), ...this.tokenize(this.getCityName(post.city))],
+          description: this.tokenize(post.description)
+        };
+
+        let score = 0;
+        let matchedTokens = 0;
+        expanded.forEach(({ terms }) => {
+          let best = 0;
+          Object.entries(fields).forEach(([field, tokens]) => {
+            tokens.forEach(token => {
+              const weight = terms.get(token);
+              if (weight) best = Math.max(best, weight * SearchIndex.FIELD_BOOSTS[field]);
+            });
+          });
+          if (best > 0) matchedTokens++;
+          score += best;
+        });
+
+        return { post, score, matchedTokens };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.matchedTokens - a.matchedTokens
+        || b.score - a.score
+        || this.createdMillis(b.post) - this.createdMillis(a.post));
+  }
+
+  createdMillis(post) {
+    const created = post.created;
+    if (!created) return 0;
+    return created.toMillis ? created.toMillis() : new Date(created).getTime();
+  }
+
+  // Query approved posts by expanded terms; resolves to ranked { post, score } results
+  async search(query, { limit = 100 } = {}) {
+    await this.load();
+
+    const expanded = this.expandQuery(query);
+    if (expanded.length === 0) return [];
+
+    // array-contains-any accepts 30 values: keep the strongest candidates
+    const candidates = new Map();
+    expanded.forEach(({ terms }) => {
+      terms.forEach((weight, term) => {
+        candidates.set(term, Math.max(candidates.get(term) || 0, weight));
+      });
+    });
+    const queryTerms = [...candidates.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SearchIndex.MAX_QUERY_TERMS)
+      .map(([term]) => term);
+
+    const snapshot = await this.db.collection('posts')
+      .where('status', '==', 'approved')
+      .where('searchTokens', 'array-contains-any', queryTerms)
+      .limit(limit)
+      .get();
+
+    const now = new Date();
+    const posts = [];
+    snapshot.forEach(doc => {
+      const post = { id: doc.id, ...doc.data() };
+      if (post.expiresAt && post.expiresAt.toDate() <= now) return;
+      posts.push(post);
+    });
+
+    return this.rankPosts(posts, expanded);
+  }
+
+  // Search box hint: the ui-strings placeholder when ConfigManager is loaded,
+  // otherwise one built from a product-type synonym, stable until config reloads
+  getPlaceholder() {
+    const terms = this.synonymGroups.flat();
+    if (terms.length > 0 && !terms.includes(this.placeholderExample)) {
+      this.placeholderExample = terms[Math.floor(Math.random() * terms.length)];
+    }
+
+    if (typeof window !== 'undefined' && window.configManager) {
+      const placeholder = window.configManager.getSearchPlaceholder({ productType: this.placeholderExample || undefined });
+      if (placeholder) return placeholder;
+    }
+    if (terms.length === 0) return SearchIndex.DEFAULT_PLACEHOLDER;
+    return `Search packs, vendors, cities — try "${this.placeholderExample}"`;
+  }
+
+  onUpdate(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this);
+      } catch (error) {
+        console.error('Search index listener error:', error);
+      }
+    });
+  }
+}
+
+SearchIndex.MAX_POST_TOKENS = 100; // must match firestore.rules
+SearchIndex.MAX_TOKEN_LENGTH = 30; // must match validateSearchTokens in firestore.rules
+SearchIndex.MAX_QUERY_TERMS = 30; // Firestore array-contains-any limit
+
+SearchIndex.WEIGHTS = { exact: 1, prefix: 0.8, synonym: 0.7, typo: 0.6 };
+SearchIndex.FIELD_BOOSTS = { title: 3, vendor: 2, city: 1.5, description: 1 };
+
+SearchIndex.STOP_WORDS = ['the', 'and', 'for', 'with', 'of', 'in', 'on', 'at', 'to', 'an'];
+
+// Words shared by every product type that would merge all synonym groups
+SearchIndex.GENERIC_TERMS = ['pack'];
+
+SearchIndex.DEFAULT_PLACEHOLDER = 'Search packs, vendors, locations...';
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.searchIndex = new SearchIndex();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+}
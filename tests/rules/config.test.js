@@ -0,0 +1,263 @@
+// Rules tests for config/{configDoc}, search_index, admin/* and the audit log: public app config,
+// settings and analytics gated by role permissions.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { USERS, createTestEnv, dbFor, seed, seedRoles, validPost, serverTimestamp } = require('./helpers');
+
+describe('config/{configDoc}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+    await seed(testEnv, db => db.collection('config').doc('cities').set({ items: [], aliases: {} }));
+  });
+
+  it('is readable by everyone', async () => {
+    await assertSucceeds(dbFor(testEnv).collection('config').doc('cities').get());
+    await assertSucceeds(dbFor(testEnv, 'owner').collection('config').doc('cities').get());
+  });
+
+  // Change as ConfigManager.saveConfig writes it: history entry and config in one batch
+  function saveConfig(name, configDoc, data, {
+    version = 1, changes = [{ path: 'items', before: [], after: [] }], withHistory = true
+  } = {}) {
+    const db = dbFor(testEnv, name);
+    const configRef = db.collection('config').doc(configDoc);
+    const historyRef = configRef.collection('history').doc();
+    const batch = db.batch();
+
+    if (withHistory) {
+      batch.set(historyRef, {
+        version: version - 1,
+        previous: { items: [], aliases: {} },
+        changes,
+        rollbackOf: null,
+        changedBy: USERS[name] ? USERS[name].uid : null,
+        changedAt: serverTimestamp()
+      });
+    }
+    batch.set(configRef, { ...data, version, updatedAt: serverTimestamp(), lastHistoryId: historyRef.id });
+    return batch.commit();
+  }
+
+  const saveCities = (name, options) => saveConfig(name, 'cities', { items: [], aliases: {} }, options);
+
+  it('is writable by settings managers only', async () => {
+    await assertSucceeds(saveCities('superAdmin'));
+
+    for (const name of [undefined, 'owner', 'moderator', 'admin']) {
+      await assertFails(saveCities(name, { version: 2 }));
+    }
+  });
+
+  it('cannot be deleted without manage_settings', async () => {
+    await assertFails(dbFor(testEnv, 'admin').collection('config').doc('cities').delete());
+    await assertSucceeds(dbFor(testEnv, 'superAdmin').collection('config').doc('cities').delete());
+  });
+
+  it('only accepts documents the app reads', async () => {
+    await assertSucceeds(saveConfig('superAdmin', 'vendor-display', { showVendorNames: false }));
+    await assertFails(saveConfig('superAdmin', 'vendors', { items: [] }));
+  });
+
+  it('requires a paired history entry and the next version on every write', async () => {
+    const superAdmin = dbFor(testEnv, 'superAdmin');
+    await assertFails(superAdmin.collection('config').doc('cities').set({ items: [] }));
+    await assertFails(saveCities('superAdmin', { withHistory: false }));
+    await assertFails(saveCities('superAdmin', { version: 5 }));
+
+    await assertSucceeds(saveCities('superAdmin'));
+    await assertFails(saveCities('superAdmin', { version: 1 }));
+    await assertSucceeds(saveCities('superAdmin', { version: 2 }));
+  });
+
+  it('records history entries paired with the change', async () => {
+    await assertSucceeds(saveCities('superAdmin'));
+    await assertFails(saveCities('superAdmin', { changes: [] }));
+    await assertFails(saveCities('admin'));
+  });
+
+  it('keeps history readable and immutable for settings managers only', async () => {
+    await assertSucceeds(saveCities('superAdmin'));
+    const history = db => db.collection('config').doc('cities').collection('history');
+    const entries = await history(dbFor(testEnv, 'superAdmin')).get();
+    const entryId = entries.docs[0].id;
+
+    await assertFails(history(dbFor(testEnv, 'admin')).get());
+    await assertFails(history(dbFor(testEnv, 'superAdmin')).doc(entryId).update({ changes: [] }));
+    await assertFails(history(dbFor(testEnv, 'superAdmin')).doc(entryId).delete());
+  });
+
+  it('leaves the legacy admin_config namespace closed', async () => {
+    await seed(testEnv, db => db.collection('admin_config').doc('vendors').set({ items: [] }));
+
+    for (const name of [undefined, 'owner', 'superAdmin']) {
+      await assertFails(dbFor(testEnv, name).collection('admin_config').doc('vendors').get());
+    }
+  });
+});
+
+describe('admin/**', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+    await seed(testEnv, db => db.collection('admin').doc('analytics').set({ visits: 1 }));
+  });
+
+  it('is readable with view_analytics only', async () => {
+    await assertSucceeds(dbFor(testEnv, 'admin').collection('admin').doc('analytics').get());
+    await assertSucceeds(dbFor(testEnv, 'superAdmin').collection('admin').doc('analytics').get());
+
+    for (const name of [undefined, 'owner', 'moderator']) {
+      await assertFails(dbFor(testEnv, name).collection('admin').doc('analytics').get());
+    }
+  });
+
+  it('is writable with manage_settings only', async () => {
+    await assertSucceeds(dbFor(testEnv, 'superAdmin').collection('admin').doc('analytics').set({ visits: 2 }));
+
+    for (const name of [undefined, 'owner', 'moderator', 'admin']) {
+      await assertFails(dbFor(testEnv, name).collection('admin').doc('analytics').set({ visits: 2 }));
+    }
+  });
+
+  it('covers nested documents', async () => {
+    const nested = db => db.collection('admin').doc('audit').collection('entries').doc('e1');
+    await assertFails(nested(dbFor(testEnv, 'owner')).get());
+    await assertSucceeds(nested(dbFor(testEnv, 'admin')).get());
+  });
+});
+
+describe('admin/audit/entries/{entryId}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+    await seed(testEnv, db => entries(db).doc('existing').set({
+      action: 'config.update', level: 'info', actorId: USERS.superAdmin.uid, createdAt: new Date()
+    }));
+  });
+
+  const entries = db => db.collection('admin').doc('audit').collection('entries');
+
+  // Entry as AuditLogger.buildEntry writes it
+  function entry(name, action, overrides = {}) {
+    return {
+      action,
+      level: 'info',
+      target: null,
+      before: null,
+      after: null,
+      details: null,
+      actorId: USERS[name].uid,
+      actorEmail: USERS[name].email,
+      createdAt: serverTimestamp(),
+      ...overrides
+    };
+  }
+
+  it('lets users record sign-ins and deletions of their own account only', async () => {
+    const db = dbFor(testEnv, 'owner');
+    const self = { target: `users/${USERS.owner.uid}` };
+    await assertSucceeds(entries(db).add(entry('owner', 'auth.sign_in', self)));
+    await assertSucceeds(entries(db).add(entry('owner', 'user.delete', self)));
+    await assertFails(entries(db).add(entry('owner', 'auth.sign_in')));
+    await assertFails(entries(db).add(entry('owner', 'user.delete', { target: `users/${USERS.other.uid}` })));
+    await assertFails(entries(db).add(entry('owner', 'role.change', self)));
+    await assertFails(entries(db).add(entry('owner', 'auth.sign_in', { ...self, actorId: USERS.other.uid })));
+    await assertFails(entries(dbFor(testEnv)).add({ ...entry('owner', 'auth.sign_in', self), actorId: null }));
+  });
+
+  it('lets users record a post deletion only with the delete of their own post', async () => {
+    await seed(testEnv, async db => {
+      await db.collection('posts').doc('own-post').set(validPost('owner'));
+      await db.collection('posts').doc('other-post').set(validPost('other'));
+    });
+
+    // Delete plus entry in one batch, the way PostManager.deletePost commits it
+    const deleteWithEntry = (db, postId, target = `posts/${postId}`) => {
+      const batch = db.batch();
+      batch.delete(db.collection('posts').doc(postId));
+      batch.set(entries(db).doc(), entry('owner', 'post.delete', { target }));
+      return batch.commit();
+    };
+
+    const db = dbFor(testEnv, 'owner');
+    await assertFails(entries(db).add(entry('owner', 'post.delete', { target: 'posts/own-post' })));
+    await assertFails(deleteWithEntry(db, 'own-post', 'posts/other-post'));
+    await assertFails(deleteWithEntry(db, 'other-post'));
+    await assertSucceeds(deleteWithEntry(db, 'own-post'));
+  });
+
+  it('lets staff record any action with a server timestamp', async () => {
+    await assertSucceeds(entries(dbFor(testEnv, 'moderator')).add(entry('moderator', 'moderation.status')));
+    await assertSucceeds(entries(dbFor(testEnv, 'admin')).add(entry('admin', 'role.change')));
+    await assertFails(entries(dbFor(testEnv, 'admin')).add(entry('admin', 'role.change', { createdAt: new Date(0) })));
+    await assertFails(entries(dbFor(testEnv, 'admin')).add(entry('admin', 'role.change', { level: 'debug' })));
+  });
+
+  it('forbids edits and deletes, even with manage_settings', async () => {
+    for (const name of ['owner', 'admin', 'superAdmin']) {
+      await assertFails(entries(dbFor(testEnv, name)).doc('existing').update({ level: 'error' }));
+      await assertFails(entries(dbFor(testEnv, name)).doc('existing').delete());
+    }
+  });
+
+  it('is readable with view_analytics only', async () => {
+    await assertSucceeds(entries(dbFor(testEnv, 'admin')).get());
+    await assertFails(entries(dbFor(testEnv, 'moderator')).get());
+  });
+});
+
+describe('search_index/{indexDoc}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+  });
+
+  it('is readable by everyone and writable by settings managers only', async () => {
+    const vocabulary = db => db.collection('search_index').doc('vocabulary');
+    await assertSucceeds(vocabulary(dbFor(testEnv)).get());
+    await assertFails(vocabulary(dbFor(testEnv, 'admin')).set({ terms: ['spam'] }));
+    await assertSucceeds(vocabulary(dbFor(testEnv, 'superAdmin')).set({ terms: ['gumbo'] }));
+  });
+});
@@ -0,0 +1,130 @@
+// Shared setup for Firestore rules tests run against the local emulator.
+// Start the emulator with `npm run test:rules`, which wraps these files in
+// `firebase emulators:exec`.
+
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const RoleManager = require('../../auth/role-manager');
+
+const PROJECT_ID = 'demo-packslist';
+
+// Identities used across suites; admins get their permissions from roles/{uid}
+const USERS = {
+  owner: { uid: 'owner-uid', email: 'owner@example.com' },
+  other: { uid: 'other-uid', email: 'other@example.com' },
+  moderator: { uid: 'moderator-uid', email: 'moderator@example.com', role: 'moderator' },
+  admin: { uid: 'admin-uid', email: 'admin@example.com', role: 'admin' },
+  superAdmin: { uid: 'super-admin-uid', email: 'super@example.com', role: 'super_admin' }
+};
+
+async function createTestEnv() {
+  return initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: fs.readFileSync(path.join(__dirname, '../../firestore.rules'), 'utf8')
+    },
+    storage: {
+      rules: fs.readFileSync(path.join(__dirname, '../../storage.rules'), 'utf8')
+    }
+  });
+}
+
+// Rules context for a named identity from USERS, or anonymous when omitted
+function contextFor(testEnv, name) {
+  if (!name) return testEnv.unauthenticatedContext();
+  const user = USERS[name];
+  return testEnv.authenticatedContext(user.uid, { email: user.email });
+}
+
+function dbFor(testEnv, name) {
+  return contextFor(testEnv, name).firestore();
+}
+
+function storageFor(testEnv, name) {
+  return contextFor(testEnv, name).storage();
+}
+
+// Write fixtures with rules disabled; callback receives an admin Firestore
+async function seed(testEnv, callback) {
+  await testEnv.withSecurityRulesDisabled(context => callback(context.firestore()));
+}
+
+// Seed roles/{uid} for every identity that has an elevated role
+async function seedRoles(testEnv) {
+  await seed(testEnv, async db => {
+    for (const user of Object.values(USERS)) {
+      if (!user.role) continue;
+      await db.collection('roles').doc(user.uid).set({
+        role: user.role,
+        permissions: [...RoleManager.ROLES[user.role].permissions],
+        grantedBy: 'test',
+        grantedAt: new Date()
+      });
+    }
+  });
+}
+
+// Baseline profile as AuthManager.createUserProfile writes it
+function baseProfile(name) {
+  const user = USERS[name];
+  return {
+    uid: user.uid,
+    email: user.email,
+    displayName: name,
+    photoURL: '',
+    role: 'user',
+    permissions: ['browse', 'post'],
+    createdAt: serverTimestamp(),
+    lastLogin: serverTimestamp(),
+    preferences: { locationSharing: false, emailNotifications: true, pushNotifications: false },
+    onboardingCompleted: false,
+    accountStatus: 'active'
+  };
+}
+
+// Profile fields AuthManager.verifyAge adds for an adult user
+function verifiedAge() {
+  return { dateOfBirth: new Date(1990, 0, 1), ageVerified: true };
+}
+
+// Post as the new-post form submits it; the owner defaults to USERS.owner
+function validPost(name = 'owner', overrides = {}) {
+  return {
+    title: 'Fresh pack',
+    price: 40,
+    city: 'boston',
+    vendor: 'Corner Shop',
+    description: 'Test listing',
+    userId: USERS[name].uid,
+    status: 'pending',
+    created: serverTimestamp(),
+    expiresAt: daysFromNow(30),
+    ...overrides
+  };
+}
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+function serverTimestamp() {
+  return firebase.firestore.FieldValue.serverTimestamp();
+}
+
+module.exports = {
+  USERS,
+  createTestEnv,
+  dbFor,
+  storageFor,
+  seed,
+  seedRoles,
+  baseProfile,
+  verifiedAge,
+  validPost,
+  daysFromNow,
+  serverTimestamp
+};
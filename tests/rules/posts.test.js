@@ -0,0 +1,465 @@
+// Rules tests for posts/{postId}: validation on create, owner-only edits,
+// moderation transitions and deletes.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const {
+  USERS, createTestEnv, dbFor, seed, seedRoles, baseProfile, verifiedAge, validPost, daysFromNow, serverTimestamp
+} = require('./helpers');
+
+const POST_ID = 'post-1';
+
+// Download URL for a file uploaded by ImageUploadManager into posts/{userId}/{postId}/
+function photoUrl(fileName, postId = POST_ID, userId = USERS.owner.uid) {
+  const path = encodeURIComponent(`posts/${userId}/${postId}/${fileName}`);
+  return `https://firebasestorage.googleapis.com/v0/b/demo-packslist.appspot.com/o/${path}?alt=media&token=abc`;
+}
+
+describe('posts/{postId}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+  });
+
+  describe('read', () => {
+    it('is public', async () => {
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost()));
+      await assertSucceeds(dbFor(testEnv).collection('posts').doc(POST_ID).get());
+      await assertSucceeds(dbFor(testEnv, 'other').collection('posts').get());
+    });
+  });
+
+  describe('create', () => {
+    beforeEach(async () => {
+      await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).set({
+        ...baseProfile('owner'),
+        ...verifiedAge()
+      }));
+    });
+
+    it('accepts a valid pending post from a signed-in user', async () => {
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('posts').add(validPost()));
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('posts').add(validPost('owner', { searchTokens: ['gumbo'] })));
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('posts').add(validPost('owner', {
+        lat: 42.3612, lng: -71.0571, geohash: 'drt2zp2mrc'
+      })));
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('posts').add(validPost('owner', {
+        license: { licenseNumber: 'MR281234', businessName: 'Gumbo Dispensary LLC' }
+      })));
+    });
+
+    it('only accepts photos uploaded to the new post\'s storage folder', async () => {
+      const posts = dbFor(testEnv, 'owner').collection('posts');
+      await assertSucceeds(posts.doc('post-new').set(validPost('owner', {
+        images: [photoUrl('a.jpg', 'post-new')],
+        thumbnails: [photoUrl('a_thumb.jpg', 'post-new')]
+      })));
+      await assertFails(posts.doc('post-other').set(validPost('owner', { images: [photoUrl('a.jpg', 'post-new')] })));
+      await assertFails(posts.doc('post-other').set(validPost('owner', { images: ['https://example.com/a.jpg'] })));
+    });
+
+    it('rejects anonymous users', async () => {
+      await assertFails(dbFor(testEnv).collection('posts').add(validPost()));
+    });
+
+    it('rejects posts claiming another user as owner', async () => {
+      await assertFails(dbFor(testEnv, 'other').collection('posts').add(validPost('owner')));
+    });
+
+    it('rejects posts from users who have not verified their age', async () => {
+      await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner')));
+      await assertFails(dbFor(testEnv, 'owner').collection('posts').add(validPost()));
+    });
+
+    it('rejects posts that skip moderation', async () => {
+      const db = dbFor(testEnv, 'owner');
+      const unmoderated = validPost();
+      delete unmoderated.status;
+      await assertFails(db.collection('posts').add(validPost('owner', { status: 'approved' })));
+      await assertFails(db.collection('posts').add(unmoderated));
+    });
+
+    it('rejects client-side timestamps', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertFails(db.collection('posts').add(validPost('owner', { created: new Date() })));
+    });
+
+    it('requires an expiry within the TTL cap', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertFails(db.collection('posts').add(validPost('owner', { expiresAt: daysFromNow(-1) })));
+      await assertFails(db.collection('posts').add(validPost('owner', { expiresAt: daysFromNow(91) })));
+    });
+
+    it('rejects missing required fields', async () => {
+      const db = dbFor(testEnv, 'owner');
+      for (const field of ['title', 'price', 'city', 'vendor', 'created', 'expiresAt']) {
+        const post = validPost();
+        delete post[field];
+        await assertFails(db.collection('posts').add(post));
+      }
+    });
+
+    it('rejects invalid field values', async () => {
+      const db = dbFor(testEnv, 'owner');
+      const invalid = [
+        { title: '   ' },
+        { title: 'x'.repeat(101) },
+        { price: '40' },
+        { price: 0 },
+        { price: 10001 },
+        { city: 'atlantis' },
+        { vendor: '' },
+        { vendor: 'x'.repeat(51) },
+        { description: 'x'.repeat(501) },
+        { images: ['1', '2', '3', '4', '5', '6'] },
+        { searchTokens: 'gumbo' },
+        { searchTokens: Array.from({ length: 101 }, (_, i) => `t${i}`) },
+        { searchTokens: ['Gumbo'] },
+        { searchTokens: ['g'] },
+        { searchTokens: ['x'.repeat(31)] },
+        { searchTokens: ['gumbo', 'gumbo'] },
+        { searchTokens: ['gumbo pack'] },
+        { lat: 91 },
+        { lng: '-71.06' },
+        { geohash: 'drt2zaaaaa' },
+        { license: 'MR281234' },
+        { license: { licenseNumber: 'x'.repeat(51) } },
+        { license: { businessName: 'x'.repeat(101) } },
+        { license: { licenseNumber: 'MR281234', expires: '2027-01-01' } }
+      ];
+      for (const overrides of invalid) {
+        await assertFails(db.collection('posts').add(validPost('owner', overrides)));
+      }
+    });
+
+    it('rejects posts from suspended or banned accounts until a suspension lapses', async () => {
+      const db = dbFor(testEnv, 'owner');
+      const setStatus = (accountStatus, until) => seed(testEnv, admin =>
+        admin.collection('users').doc(USERS.owner.uid).set({
+          ...baseProfile('owner'),
+          ...verifiedAge(),
+          accountStatus,
+          suspension: { reason: 'Spam', until, by: USERS.admin.uid, at: new Date() }
+        }));
+
+      await setStatus('suspended', daysFromNow(7));
+      await assertFails(db.collection('posts').add(validPost()));
+      await setStatus('suspended', null);
+      await assertFails(db.collection('posts').add(validPost()));
+      await setStatus('banned', null);
+      await assertFails(db.collection('posts').add(validPost()));
+      await setStatus('suspended', daysFromNow(-1));
+      await assertSucceeds(db.collection('posts').add(validPost()));
+    });
+  });
+
+  describe('update', () => {
+    beforeEach(async () => {
+      await seed(testEnv, async db => {
+        await db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner'));
+        await db.collection('posts').doc(POST_ID).set(validPost('owner', { status: 'approved' }));
+      });
+    });
+
+    // Edit as PostManager.updatePost writes it: revision with the previous values and post in one batch
+    function edit(name, changes, { withRevision = true, previous = {} } = {}) {
+      const db = dbFor(testEnv, name);
+      const postRef = db.collection('posts').doc(POST_ID);
+      const revisionRef = postRef.collection('revisions').doc();
+      const batch = db.batch();
+
+      if (withRevision) {
+        const seeded = validPost('owner', { status: 'approved' });
+        const changedFields = previous.changedFields || Object.keys(changes)
+          .filter(field => !field.startsWith('status') && !['searchTokens', 'lat', 'lng', 'geohash'].includes(field));
+        const revision = {
+          changedFields,
+          status: 'approved',
+          editedBy: USERS[name] ? USERS[name].uid : null,
+          editedAt: serverTimestamp()
+        };
+        changedFields.forEach(field => { revision[field] = seeded[field] ?? null; });
+        batch.set(revisionRef, { ...revision, ...previous });
+      }
+      batch.update(postRef, {
+        ...changes,
+        updatedAt: serverTimestamp(),
+        lastRevisionId: revisionRef.id
+      });
+      return batch.commit();
+    }
+
+    it('lets the owner edit the description without re-moderation', async () => {
+      await assertSucceeds(edit('owner', { description: 'Now with more' }));
+    });
+
+    it('lets the owner refresh searchTokens alongside an edit', async () => {
+      await assertSucceeds(edit('owner', { description: 'Sleepy pack', searchTokens: ['sleepy', 'pack'] }));
+    });
+
+    it('rejects searchTokens changed without the text they index', async () => {
+      await assertFails(edit('owner', { price: 45, status: 'pending', statusReason: 'Edited, awaiting review', searchTokens: ['cheap'] }));
+    });
+
+    it('only moves coordinates along with the city', async () => {
+      const location = { lat: 41.7658, lng: -72.6734, geohash: 'drkmq' };
+      await assertFails(edit('owner', { description: 'Moved', ...location }));
+      await assertSucceeds(edit('owner', {
+        city: 'hartford',
+        ...location,
+        status: 'pending',
+        statusReason: 'Edited, awaiting review'
+      }));
+    });
+
+    it('requires a paired revision', async () => {
+      await assertFails(edit('owner', { description: 'Sneaky' }, { withRevision: false }));
+    });
+
+    it('rejects revisions that do not hold the previous values', async () => {
+      await assertFails(edit('owner', { description: 'Sneaky' }, { previous: { description: 'Made-up history' } }));
+      await assertFails(edit('owner', { description: 'Sneaky' }, { previous: { title: 'Never the title' } }));
+      await assertFails(edit('owner', { description: 'Sneaky' }, { previous: { changedFields: ['title'] } }));
+      await assertFails(edit('owner', { description: 'Sneaky' }, { previous: { status: 'rejected' } }));
+    });
+
+    it('rejects revisions that leave out a changed field', async () => {
+      const review = { status: 'pending', statusReason: 'Edited, awaiting review' };
+      await assertFails(edit('owner', { title: 'Renamed', ...review }, { previous: { changedFields: [] } }));
+      await assertFails(edit('owner', { title: 'Renamed', price: 45, ...review }, { previous: { changedFields: ['price'] } }));
+    });
+
+    it('rejects pointing lastRevisionId at an older revision', async () => {
+      const postRef = dbFor(testEnv, 'owner').collection('posts').doc(POST_ID);
+      await assertSucceeds(edit('owner', { description: 'First' }));
+      const { lastRevisionId } = (await postRef.get()).data();
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).update({ lastRevisionId: 'newer' }));
+
+      await assertFails(postRef.update({ description: 'Second', updatedAt: serverTimestamp(), lastRevisionId }));
+    });
+
+    it('sends material edits back to pending', async () => {
+      await assertFails(edit('owner', { title: 'Updated pack' }));
+      await assertSucceeds(edit('owner', {
+        title: 'Updated pack',
+        status: 'pending',
+        statusReason: 'Edited, awaiting review'
+      }));
+    });
+
+    it('sends photo changes back to pending', async () => {
+      const photos = { images: [photoUrl('a.jpg')], thumbnails: [photoUrl('a_thumb.jpg')] };
+      await assertFails(edit('owner', photos));
+      await assertSucceeds(edit('owner', {
+        ...photos,
+        status: 'pending',
+        statusReason: 'Edited, awaiting review'
+      }));
+    });
+
+    it('sends thumbnail-only changes back to pending', async () => {
+      await assertFails(edit('owner', { thumbnails: [photoUrl('b_thumb.jpg')] }));
+      await assertSucceeds(edit('owner', {
+        thumbnails: [photoUrl('b_thumb.jpg')],
+        status: 'pending',
+        statusReason: 'Edited, awaiting review'
+      }));
+    });
+
+    it('sends vendor, city and license changes back to pending', async () => {
+      const license = { licenseNumber: 'MR-12345', businessName: 'Corner Shop LLC' };
+      for (const changes of [{ vendor: 'New Vendor' }, { city: 'hartford' }, { license }]) {
+        await assertFails(edit('owner', changes));
+        await assertSucceeds(edit('owner', {
+          ...changes,
+          status: 'pending',
+          statusReason: 'Edited, awaiting review'
+        }));
+        await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost('owner', { status: 'approved' })));
+      }
+    });
+
+    it('validates license details added after posting', async () => {
+      const review = { status: 'pending', statusReason: 'Edited, awaiting review' };
+      await assertFails(edit('owner', { ...review, license: { licenseNumber: 'x'.repeat(51) } }));
+      await assertFails(edit('owner', { ...review, license: { permit: 'MR-12345' } }));
+      await assertFails(edit('owner', { ...review, license: { licenseNumber: 'MR-12345' } },
+        { previous: { license: { licenseNumber: 'Made-up' } } }));
+    });
+
+    it('rejects photos outside the post\'s storage folder', async () => {
+      const review = { status: 'pending', statusReason: 'Edited, awaiting review' };
+      await assertFails(edit('owner', { ...review, images: ['https://example.com/a.jpg'] }));
+      await assertFails(edit('owner', { ...review, images: [photoUrl('a.jpg', 'post-2')] }));
+      await assertFails(edit('owner', { ...review, thumbnails: [photoUrl('a_thumb.jpg', POST_ID, USERS.other.uid)] }));
+    });
+
+    it('keeps created and userId fixed', async () => {
+      await assertFails(edit('owner', { description: 'x', created: serverTimestamp() }));
+      await assertFails(edit('owner', { description: 'x', userId: USERS.other.uid }));
+    });
+
+    it('does not let a banned owner edit a rejected post back into the queue', async () => {
+      await seed(testEnv, async db => {
+        await db.collection('posts').doc(POST_ID).update({ status: 'rejected' });
+        await db.collection('users').doc(USERS.owner.uid).update({
+          accountStatus: 'banned',
+          suspension: { reason: 'Spam', until: null, by: USERS.admin.uid, at: new Date() }
+        });
+      });
+      await assertFails(edit('owner', { description: 'Back again', status: 'pending', statusReason: 'Edited, awaiting review' },
+        { previous: { status: 'rejected' } }));
+    });
+
+    it('rejects edits to removed posts', async () => {
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).update({ status: 'removed' }));
+      await assertFails(edit('owner', { description: 'Back again' }));
+    });
+
+    it('rejects edits from other users and anonymous visitors', async () => {
+      await assertFails(edit('other', { description: 'Hijacked' }));
+      await assertFails(dbFor(testEnv).collection('posts').doc(POST_ID)
+        .update({ description: 'Hijacked', updatedAt: serverTimestamp() }));
+    });
+
+    it('does not let the owner change moderation state', async () => {
+      await assertFails(edit('owner', { description: 'x', status: 'pending' }));
+      await assertFails(edit('owner', { description: 'x', statusReason: 'Self-approved' }));
+      await assertFails(edit('owner', { description: 'x', statusChangedBy: USERS.owner.uid }));
+    });
+
+    it('keeps revisions readable by the owner and moderators only', async () => {
+      await assertSucceeds(edit('owner', { description: 'Tracked' }));
+      const revisions = db => db.collection('posts').doc(POST_ID).collection('revisions').get();
+      await assertSucceeds(revisions(dbFor(testEnv, 'owner')));
+      await assertSucceeds(revisions(dbFor(testEnv, 'moderator')));
+      await assertFails(revisions(dbFor(testEnv, 'other')));
+    });
+
+    it('lets a moderator change status with attribution', async () => {
+      const ref = dbFor(testEnv, 'moderator').collection('posts').doc(POST_ID);
+      await assertSucceeds(ref.update({
+        status: 'removed',
+        statusReason: 'Spam',
+        statusChangedBy: USERS.moderator.uid,
+        statusChangedAt: serverTimestamp()
+      }));
+    });
+
+    it('rejects moderation without attribution or with an unknown status', async () => {
+      const ref = dbFor(testEnv, 'moderator').collection('posts').doc(POST_ID);
+      await assertFails(ref.update({
+        status: 'removed',
+        statusReason: 'Spam',
+        statusChangedBy: USERS.admin.uid,
+        statusChangedAt: serverTimestamp()
+      }));
+      await assertFails(ref.update({
+        status: 'archived',
+        statusChangedBy: USERS.moderator.uid,
+        statusChangedAt: serverTimestamp()
+      }));
+    });
+
+    it('does not let a moderator edit listing content', async () => {
+      const ref = dbFor(testEnv, 'moderator').collection('posts').doc(POST_ID);
+      await assertFails(ref.update({ price: 1 }));
+    });
+  });
+
+  describe('renew', () => {
+    beforeEach(async () => {
+      await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner')));
+    });
+
+    function renew(name, overrides = {}) {
+      return dbFor(testEnv, name).collection('posts').doc(POST_ID).update({
+        expiresAt: daysFromNow(30),
+        renewedAt: serverTimestamp(),
+        renewalCount: 1,
+        ...overrides
+      });
+    }
+
+    it('lets the owner extend an approved post', async () => {
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost('owner', { status: 'approved' })));
+      await assertSucceeds(renew('owner'));
+    });
+
+    it('returns expired posts to approved', async () => {
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost('owner', { status: 'expired' })));
+      await assertFails(renew('owner'));
+      await assertSucceeds(renew('owner', { status: 'approved', statusReason: 'Renewed by owner' }));
+    });
+
+    it('does not renew pending, rejected or removed posts', async () => {
+      for (const status of ['pending', 'rejected', 'removed']) {
+        await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost('owner', { status })));
+        await assertFails(renew('owner', { status: 'approved', statusReason: 'Renewed by owner' }));
+        await assertFails(renew('owner'));
+      }
+    });
+
+    it('does not let a banned or suspended owner renew an expired post', async () => {
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost('owner', { status: 'expired' })));
+      for (const accountStatus of ['banned', 'suspended']) {
+        await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).update({
+          accountStatus,
+          suspension: { reason: 'Spam', until: null, by: USERS.admin.uid, at: new Date() }
+        }));
+        await assertFails(renew('owner', { status: 'approved', statusReason: 'Renewed by owner' }));
+      }
+    });
+
+    it('rejects renewals past the TTL cap, skipped counters or other users', async () => {
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost('owner', { status: 'approved' })));
+      await assertFails(renew('owner', { expiresAt: daysFromNow(120) }));
+      await assertFails(renew('owner', { renewalCount: 5 }));
+      await assertFails(renew('other'));
+    });
+  });
+
+  describe('delete', () => {
+    beforeEach(async () => {
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost()));
+    });
+
+    it('lets the owner delete', async () => {
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('posts').doc(POST_ID).delete());
+    });
+
+    it('lets a moderator delete', async () => {
+      await assertSucceeds(dbFor(testEnv, 'moderator').collection('posts').doc(POST_ID).delete());
+    });
+
+    it('rejects other users and anonymous visitors', async () => {
+      await assertFails(dbFor(testEnv, 'other').collection('posts').doc(POST_ID).delete());
+      await assertFails(dbFor(testEnv).collection('posts').doc(POST_ID).delete());
+    });
+
+    it('lets the owner delete revisions only along with the post', async () => {
+      await seed(testEnv, db => db.collection('posts').doc(POST_ID).collection('revisions').doc('rev-1').set({
+        changedFields: ['title'], title: 'Old title', status: 'approved', editedBy: USERS.owner.uid, editedAt: new Date()
+      }));
+      const db = dbFor(testEnv, 'owner');
+      const postRef = db.collection('posts').doc(POST_ID);
+      await assertFails(postRef.collection('revisions').doc('rev-1').delete());
+
+      // As AccountDataManager.deletePosts commits it
+      const batch = db.batch();
+      batch.delete(postRef);
+      batch.delete(postRef.collection('revisions').doc('rev-1'));
+      await assertSucceeds(batch.commit());
+    });
+  });
+});
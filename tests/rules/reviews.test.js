@@ -0,0 +1,114 @@
+// Rules tests for reviews/{reviewId} and the review_stats aggregates written
+// alongside them by ReviewManager.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { USERS, createTestEnv, dbFor, seed, seedRoles, validPost, serverTimestamp } = require('./helpers');
+
+const POST_ID = 'post-1';
+const REVIEW_ID = `${POST_ID}_${USERS.other.uid}`;
+
+// Review as ReviewManager.submitReview writes it
+function review(rating) {
+  return {
+    postId: POST_ID,
+    vendorId: USERS.owner.uid,
+    reviewerId: USERS.other.uid,
+    reviewerName: 'other',
+    rating,
+    comment: '',
+    updatedAt: serverTimestamp()
+  };
+}
+
+// Aggregate holding the given ratings, as ReviewManager.applyRatingChange computes it
+function stats(ratings, overrides = {}) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  ratings.forEach(rating => { distribution[rating] += 1; });
+  const sum = ratings.reduce((total, rating) => total + rating, 0);
+  return {
+    count: ratings.length,
+    sum,
+    mean: ratings.length ? sum / ratings.length : 0,
+    distribution,
+    lastReviewId: REVIEW_ID,
+    updatedAt: serverTimestamp(),
+    ...overrides
+  };
+}
+
+describe('review_stats/{statsId}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+    await seed(testEnv, db => db.collection('posts').doc(POST_ID).set(validPost()));
+  });
+
+  // Review plus both aggregates in one batch, the way submitReview's transaction commits
+  function submit(db, rating, postStats, vendorStats = postStats) {
+    const batch = db.batch();
+    batch.set(db.collection('reviews').doc(REVIEW_ID), { ...review(rating), createdAt: serverTimestamp() });
+    batch.set(db.collection('review_stats').doc(`post_${POST_ID}`), postStats);
+    batch.set(db.collection('review_stats').doc(`vendor_${USERS.owner.uid}`), vendorStats);
+    return batch.commit();
+  }
+
+  it('accepts aggregates that match the review written with them', async () => {
+    await assertSucceeds(submit(dbFor(testEnv, 'other'), 4, stats([4])));
+  });
+
+  it('accepts edits and deletes that move the aggregates by the old and new rating', async () => {
+    await seed(testEnv, async db => {
+      await db.collection('reviews').doc(REVIEW_ID).set({ ...review(2), createdAt: new Date() });
+      await db.collection('review_stats').doc(`post_${POST_ID}`).set(stats([2, 5]));
+      await db.collection('review_stats').doc(`vendor_${USERS.owner.uid}`).set(stats([2, 5]));
+    });
+
+    const db = dbFor(testEnv, 'other');
+    const edit = db.batch();
+    edit.update(db.collection('reviews').doc(REVIEW_ID), { rating: 3, updatedAt: serverTimestamp() });
+    edit.set(db.collection('review_stats').doc(`post_${POST_ID}`), stats([3, 5]));
+    edit.set(db.collection('review_stats').doc(`vendor_${USERS.owner.uid}`), stats([3, 5]));
+    await assertSucceeds(edit.commit());
+
+    const remove = db.batch();
+    remove.delete(db.collection('reviews').doc(REVIEW_ID));
+    remove.set(db.collection('review_stats').doc(`post_${POST_ID}`), stats([5]));
+    remove.set(db.collection('review_stats').doc(`vendor_${USERS.owner.uid}`), stats([5]));
+    await assertSucceeds(remove.commit());
+  });
+
+  it('rejects aggregates written without a review change', async () => {
+    const db = dbFor(testEnv, 'other');
+    await assertFails(db.collection('review_stats').doc(`post_${POST_ID}`).set(stats([5])));
+
+    await seed(testEnv, db => db.collection('reviews').doc(REVIEW_ID).set({ ...review(5), createdAt: new Date() }));
+    await assertFails(db.collection('review_stats').doc(`post_${POST_ID}`).set(stats([5, 5, 5])));
+  });
+
+  it('rejects aggregates that do not match the review', async () => {
+    const db = dbFor(testEnv, 'other');
+    await assertFails(submit(db, 1, stats([1], { mean: 5 })));
+    await assertFails(submit(db, 1, stats([1], { sum: 5 })));
+    await assertFails(submit(db, 1, stats([5], { sum: 1, mean: 1 })));
+    await assertFails(submit(db, 1, stats([1, 1])));
+  });
+
+  it('rejects aggregates for another post or vendor', async () => {
+    const db = dbFor(testEnv, 'other');
+    const batch = db.batch();
+    batch.set(db.collection('reviews').doc(REVIEW_ID), { ...review(5), createdAt: serverTimestamp() });
+    batch.set(db.collection('review_stats').doc('post_post-2'), stats([5]));
+    await assertFails(batch.commit());
+  });
+});
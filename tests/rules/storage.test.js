@@ -0,0 +1,77 @@
+// Storage rules tests for post photos under posts/{userId}/{postId}/.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { USERS, createTestEnv, storageFor, seedRoles } = require('./helpers');
+
+const JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+const JPEG_METADATA = { contentType: 'image/jpeg' };
+
+function photoPath(name, fileName = '1700000000000_abc123.jpg') {
+  return `posts/${USERS[name].uid}/post-1/${fileName}`;
+}
+
+describe('storage posts/{userId}/{postId}/{fileName}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await seedRoles(testEnv);
+  });
+
+  async function seedPhoto() {
+    await testEnv.withSecurityRulesDisabled(context =>
+      context.storage().ref(photoPath('owner')).put(JPEG, JPEG_METADATA)
+    );
+  }
+
+  it('lets owners upload JPEGs into their own folder', async () => {
+    const storage = storageFor(testEnv, 'owner');
+    await assertSucceeds(storage.ref(photoPath('owner')).put(JPEG, JPEG_METADATA));
+    await assertSucceeds(storage.ref(photoPath('owner', '1700000000000_abc123_thumb.jpg')).put(JPEG, JPEG_METADATA));
+  });
+
+  it("rejects uploads into another user's folder or while signed out", async () => {
+    await assertFails(storageFor(testEnv, 'other').ref(photoPath('owner')).put(JPEG, JPEG_METADATA));
+    await assertFails(storageFor(testEnv).ref(photoPath('owner')).put(JPEG, JPEG_METADATA));
+  });
+
+  it('rejects non-JPEG content and unexpected file names', async () => {
+    const storage = storageFor(testEnv, 'owner');
+    await assertFails(storage.ref(photoPath('owner')).put(JPEG, { contentType: 'image/png' }));
+    await assertFails(storage.ref(photoPath('owner', 'photo.exe')).put(JPEG, JPEG_METADATA));
+  });
+
+  it('rejects files over 2 MB', async () => {
+    const large = new Uint8Array(2 * 1024 * 1024 + 1);
+    await assertFails(storageFor(testEnv, 'owner').ref(photoPath('owner')).put(large, JPEG_METADATA));
+  });
+
+  it('never overwrites an existing photo', async () => {
+    await seedPhoto();
+    await assertFails(storageFor(testEnv, 'owner').ref(photoPath('owner')).put(JPEG, JPEG_METADATA));
+  });
+
+  it('is publicly readable', async () => {
+    await seedPhoto();
+    await assertSucceeds(storageFor(testEnv).ref(photoPath('owner')).getMetadata());
+  });
+
+  it('lets owners and moderators delete photos', async () => {
+    await seedPhoto();
+    await assertFails(storageFor(testEnv, 'other').ref(photoPath('owner')).delete());
+    await assertSucceeds(storageFor(testEnv, 'moderator').ref(photoPath('owner')).delete());
+
+    await seedPhoto();
+    await assertSucceeds(storageFor(testEnv, 'owner').ref(photoPath('owner')).delete());
+  });
+});
@@ -0,0 +1,144 @@
+// Rules tests for threads/{threadId}, their messages and user-level blocks
+// (users/{uid}/blocks/{otherUid}) written by MessageManager.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app');
+const {
+  USERS, createTestEnv, dbFor, seed, seedRoles, baseProfile, verifiedAge, validPost, serverTimestamp
+} = require('./helpers');
+
+const BUYER = USERS.other.uid;
+const SELLER = USERS.owner.uid;
+const THREAD_ID = `post-1_${BUYER}`;
+
+// Thread as MessageManager.startConversation creates it
+function newThread(postId = 'post-1') {
+  return {
+    postId,
+    postTitle: 'Fresh pack',
+    buyerId: BUYER,
+    sellerId: SELLER,
+    participants: [BUYER, SELLER],
+    participantNames: { [BUYER]: 'other', [SELLER]: 'owner' },
+    unread: { [BUYER]: 0, [SELLER]: 0 },
+    lastMessage: '',
+    lastSenderId: null,
+    lastMessageAt: serverTimestamp(),
+    createdAt: serverTimestamp()
+  };
+}
+
+describe('threads/{threadId}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+    await seed(testEnv, async db => {
+      await db.collection('users').doc(BUYER).set({ ...baseProfile('other'), ...verifiedAge() });
+      await db.collection('users').doc(SELLER).set({ ...baseProfile('owner'), ...verifiedAge() });
+      await db.collection('posts').doc('post-1').set(validPost());
+      await db.collection('posts').doc('post-2').set(validPost());
+      await db.collection('threads').doc(THREAD_ID).set({ ...newThread(), unread: { [BUYER]: 2, [SELLER]: 0 } });
+    });
+  });
+
+  // Message plus thread preview in one batch, the way sendMessage commits it
+  function send(db, text, threadUpdate = {}) {
+    const threadRef = db.collection('threads').doc(THREAD_ID);
+    const messageRef = threadRef.collection('messages').doc();
+    const batch = db.batch();
+    batch.set(messageRef, { senderId: BUYER, text, createdAt: serverTimestamp() });
+    batch.update(threadRef, {
+      lastMessage: text,
+      lastMessageId: messageRef.id,
+      lastSenderId: BUYER,
+      lastMessageAt: serverTimestamp(),
+      [`unread.${SELLER}`]: firebase.firestore.FieldValue.increment(1),
+      ...threadUpdate
+    });
+    return batch.commit();
+  }
+
+  describe('update', () => {
+    it('lets participants reset only their own unread count', async () => {
+      const threadRef = dbFor(testEnv, 'other').collection('threads').doc(THREAD_ID);
+      await assertSucceeds(threadRef.update({ [`unread.${BUYER}`]: 0 }));
+      await assertFails(threadRef.update({ [`unread.${SELLER}`]: 0 }));
+      await assertFails(threadRef.update({ [`unread.${SELLER}`]: 50 }));
+      await assertFails(threadRef.update({ [`unread.${BUYER}`]: 5 }));
+    });
+
+    it('accepts a preview written with the message it previews', async () => {
+      await assertSucceeds(send(dbFor(testEnv, 'other'), 'Still available?'));
+    });
+
+    it('rejects previews without a message or that do not match it', async () => {
+      const db = dbFor(testEnv, 'other');
+      await assertFails(db.collection('threads').doc(THREAD_ID).update({
+        lastMessage: 'Fake',
+        lastSenderId: BUYER,
+        lastMessageAt: serverTimestamp()
+      }));
+      await assertFails(send(db, 'Still available?', { lastMessage: 'Something else' }));
+      await assertFails(send(db, 'Still available?', { [`unread.${SELLER}`]: 10 }));
+      await assertFails(send(db, 'Still available?', { lastSenderId: SELLER }));
+    });
+  });
+
+  describe('account deletion', () => {
+    it('lets the last sender blank the preview, and nothing else', async () => {
+      await seed(testEnv, db => db.collection('threads').doc(THREAD_ID).update({ lastMessage: 'Hi', lastSenderId: BUYER }));
+      await assertFails(dbFor(testEnv, 'owner').collection('threads').doc(THREAD_ID).update({ lastMessage: '' }));
+      await assertFails(dbFor(testEnv, 'other').collection('threads').doc(THREAD_ID).update({ lastMessage: 'Edited' }));
+      await assertFails(dbFor(testEnv, 'other').collection('threads').doc(THREAD_ID).update({ lastMessage: '', lastSenderId: null }));
+      await assertSucceeds(dbFor(testEnv, 'other').collection('threads').doc(THREAD_ID).update({ lastMessage: '' }));
+    });
+  });
+
+  describe('blocks', () => {
+    it('only lets the blocker add or lift a block', async () => {
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('users').doc(SELLER)
+        .collection('blocks').doc(BUYER).set({ createdAt: serverTimestamp() }));
+      await assertSucceeds(dbFor(testEnv, 'other').collection('users').doc(SELLER)
+        .collection('blocks').doc(BUYER).get());
+      await assertFails(dbFor(testEnv, 'other').collection('users').doc(SELLER)
+        .collection('blocks').doc(BUYER).delete());
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('users').doc(SELLER)
+        .collection('blocks').doc(BUYER).delete());
+    });
+
+    it('stops messages and new threads between the two users about any post', async () => {
+      await seed(testEnv, db => db.collection('users').doc(SELLER)
+        .collection('blocks').doc(BUYER).set({ createdAt: new Date() }));
+
+      const db = dbFor(testEnv, 'other');
+      await assertFails(send(db, 'Hello?'));
+      await assertFails(db.collection('threads').doc(THREAD_ID).collection('messages').add({
+        senderId: BUYER, text: 'Hello?', createdAt: serverTimestamp()
+      }));
+      await assertFails(db.collection('threads').doc(`post-2_${BUYER}`).set(newThread('post-2')));
+    });
+
+    it('requires both the buyer and the seller as participants', async () => {
+      await assertFails(dbFor(testEnv, 'other').collection('threads').doc(`post-2_${BUYER}`).set({
+        ...newThread('post-2'),
+        participants: [BUYER, BUYER],
+        unread: { [BUYER]: 0 }
+      }));
+    });
+
+    it('still lets unblocked users open threads', async () => {
+      await assertSucceeds(dbFor(testEnv, 'other').collection('threads').doc(`post-2_${BUYER}`).set(newThread('post-2')));
+    });
+  });
+});
@@ -0,0 +1,351 @@
+// Rules tests for users/{userId}: the self-editable allowlist, privileged
+// fields that only user managers may change, and account deletion tombstones.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const {
+  USERS, createTestEnv, dbFor, seed, seedRoles, baseProfile, verifiedAge, validPost, serverTimestamp
+} = require('./helpers');
+const RoleManager = require('../../auth/role-manager');
+
+describe('users/{userId}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+  });
+
+  describe('create', () => {
+    it('lets a user create their own plain profile', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertSucceeds(db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner')));
+    });
+
+    it('rejects creating a profile for someone else', async () => {
+      const db = dbFor(testEnv, 'other');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner')));
+    });
+
+    it('rejects creating a profile with an elevated role', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).set({
+        ...baseProfile('owner'),
+        role: 'admin'
+      }));
+    });
+
+    it('rejects creating a profile with extra permissions', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).set({
+        ...baseProfile('owner'),
+        permissions: ['browse', 'post', 'moderate']
+      }));
+    });
+
+    it('rejects creating a profile with a non-active account status', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).set({
+        ...baseProfile('owner'),
+        accountStatus: 'verified'
+      }));
+    });
+
+    it('rejects unknown fields', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).set({
+        ...baseProfile('owner'),
+        isAdmin: true
+      }));
+    });
+
+    it('rejects anonymous users', async () => {
+      const db = dbFor(testEnv);
+      await assertFails(db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner')));
+    });
+  });
+
+  describe('self update', () => {
+    beforeEach(async () => {
+      await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner')));
+    });
+
+    it('allows allowlisted profile fields', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertSucceeds(db.collection('users').doc(USERS.owner.uid).update({
+        displayName: 'New Name',
+        bio: 'Hello',
+        preferences: { emailNotifications: false },
+        updatedAt: serverTimestamp()
+      }));
+    });
+
+    it('allows completing onboarding with a merge write', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertSucceeds(db.collection('users').doc(USERS.owner.uid).set({
+        onboardingCompleted: true,
+        email: USERS.owner.email,
+        lastLogin: serverTimestamp()
+      }, { merge: true }));
+    });
+
+    for (const field of ['role', 'permissions', 'accountStatus']) {
+      it(`rejects self-escalation via ${field}`, async () => {
+        const values = {
+          role: 'super_admin',
+          permissions: ['browse', 'post', 'moderate', 'manage_users', 'manage_admins'],
+          accountStatus: 'active_verified'
+        };
+        const db = dbFor(testEnv, 'owner');
+        await assertFails(db.collection('users').doc(USERS.owner.uid).update({ [field]: values[field] }));
+      });
+    }
+
+    it('rejects escalation smuggled alongside allowed fields', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).update({
+        displayName: 'Innocent',
+        role: 'admin'
+      }));
+    });
+
+    it('rejects unknown fields', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).update({ isAdmin: true }));
+    });
+
+    it('allows recording an adult date of birth once', async () => {
+      const ref = dbFor(testEnv, 'owner').collection('users').doc(USERS.owner.uid);
+      await assertSucceeds(ref.update({ dateOfBirth: new Date(1990, 0, 1), ageVerified: true }));
+      await assertFails(ref.update({ dateOfBirth: new Date(1980, 0, 1) }));
+    });
+
+    it('rejects verifying an under-age or missing date of birth', async () => {
+      const ref = dbFor(testEnv, 'owner').collection('users').doc(USERS.owner.uid);
+      const seventeen = new Date();
+      seventeen.setFullYear(seventeen.getFullYear() - 17);
+      await assertFails(ref.update({ dateOfBirth: seventeen, ageVerified: true }));
+      await assertFails(ref.update({ ageVerified: true }));
+      await assertFails(ref.update({ dateOfBirth: '1990-01-01', ageVerified: true }));
+    });
+
+    it('counts 21 years by calendar date, leap days included', async () => {
+      const ref = dbFor(testEnv, 'owner').collection('users').doc(USERS.owner.uid);
+      const yearsAgo = (years, days) => {
+        const date = new Date();
+        date.setUTCFullYear(date.getUTCFullYear() - years, date.getUTCMonth(), date.getUTCDate() + days);
+        return date;
+      };
+      await assertFails(ref.update({ dateOfBirth: yearsAgo(21, 2), ageVerified: true }));
+      await assertSucceeds(ref.update({ dateOfBirth: yearsAgo(21, -1), ageVerified: true }));
+    });
+
+    it('rejects changing email or createdAt', async () => {
+      const db = dbFor(testEnv, 'owner');
+      const ref = db.collection('users').doc(USERS.owner.uid);
+      await assertFails(ref.update({ email: 'someone-else@example.com' }));
+      await assertFails(ref.update({ createdAt: new Date(0) }));
+    });
+
+    it('rejects invalid values for allowlisted fields', async () => {
+      const db = dbFor(testEnv, 'owner');
+      const ref = db.collection('users').doc(USERS.owner.uid);
+      await assertFails(ref.update({ displayName: 'x'.repeat(51) }));
+      await assertFails(ref.update({ onboardingCompleted: 'yes' }));
+    });
+
+    it('rejects other users editing the profile', async () => {
+      const db = dbFor(testEnv, 'other');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).update({ displayName: 'Hijacked' }));
+    });
+  });
+
+  describe('privileged update', () => {
+    beforeEach(async () => {
+      await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner')));
+    });
+
+    it('lets a user manager change role, permissions and account status', async () => {
+      const db = dbFor(testEnv, 'admin');
+      await assertSucceeds(db.collection('users').doc(USERS.owner.uid).update({
+        role: 'moderator',
+        permissions: ['browse', 'post', 'moderate'],
+        accountStatus: 'active',
+        updatedAt: serverTimestamp()
+      }));
+    });
+
+    it('lets a user manager suspend, ban and reinstate an account', async () => {
+      const db = dbFor(testEnv, 'admin');
+      const ref = db.collection('users').doc(USERS.owner.uid);
+      const suspension = until => ({ reason: 'Spam', until, by: USERS.admin.uid, at: serverTimestamp() });
+
+      await assertSucceeds(ref.update({ accountStatus: 'suspended', suspension: suspension(new Date(Date.now() + 86400000)) }));
+      await assertSucceeds(ref.update({ accountStatus: 'banned', suspension: suspension(null) }));
+      await assertSucceeds(ref.update({ accountStatus: 'active', suspension: null, updatedAt: serverTimestamp() }));
+    });
+
+    it('requires a reason, the acting manager and a known status', async () => {
+      const db = dbFor(testEnv, 'admin');
+      const ref = db.collection('users').doc(USERS.owner.uid);
+      const suspension = { reason: 'Spam', until: null, by: USERS.admin.uid, at: serverTimestamp() };
+
+      await assertFails(ref.update({ accountStatus: 'deleted', suspension }));
+      await assertFails(ref.update({ accountStatus: 'banned', suspension: { ...suspension, reason: '' } }));
+      await assertFails(ref.update({ accountStatus: 'banned', suspension: { ...suspension, by: USERS.moderator.uid } }));
+      await assertFails(ref.update({ accountStatus: 'banned', suspension: { ...suspension, at: new Date() } }));
+    });
+
+    it('does not let a user manager suspend themselves', async () => {
+      await seed(testEnv, db => db.collection('users').doc(USERS.admin.uid).set(baseProfile('admin')));
+      const db = dbFor(testEnv, 'admin');
+      await assertFails(db.collection('users').doc(USERS.admin.uid).update({ accountStatus: 'suspended' }));
+    });
+
+    it('needs manage_admins to suspend or ban an admin', async () => {
+      await seed(testEnv, async db => {
+        await db.collection('users').doc(USERS.admin.uid).set(baseProfile('admin'));
+        await db.collection('users').doc(USERS.superAdmin.uid).set(baseProfile('superAdmin'));
+      });
+      const ban = by => ({ accountStatus: 'banned', suspension: { reason: 'Abuse', until: null, by, at: serverTimestamp() } });
+
+      await assertFails(dbFor(testEnv, 'admin').collection('users').doc(USERS.superAdmin.uid).update(ban(USERS.admin.uid)));
+      await assertSucceeds(dbFor(testEnv, 'superAdmin').collection('users').doc(USERS.admin.uid).update(ban(USERS.superAdmin.uid)));
+    });
+
+    it('does not let a user manager edit self-editable fields', async () => {
+      const db = dbFor(testEnv, 'admin');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).update({ displayName: 'Renamed' }));
+    });
+
+    it('does not let a moderator change privileged fields', async () => {
+      const db = dbFor(testEnv, 'moderator');
+      await assertFails(db.collection('users').doc(USERS.owner.uid).update({ role: 'admin' }));
+    });
+  });
+
+  describe('delete', () => {
+    beforeEach(async () => {
+      await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).set({ ...baseProfile('owner'), ...verifiedAge() }));
+    });
+
+    // Tombstone as AccountDataManager.deleteAccount writes it
+    const tombstone = () => ({ accountStatus: 'deleted', deletedAt: serverTimestamp() });
+
+    it('lets active users replace their profile with a tombstone', async () => {
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('users').doc(USERS.owner.uid).set(tombstone()));
+    });
+
+    it('never lets users remove their profile outright', async () => {
+      await assertFails(dbFor(testEnv, 'owner').collection('users').doc(USERS.owner.uid).delete());
+    });
+
+    it('does not let suspended or banned users delete their account', async () => {
+      const suspension = { reason: 'Spam', until: null, by: USERS.admin.uid, at: new Date() };
+      for (const accountStatus of ['suspended', 'banned']) {
+        await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).update({ accountStatus, suspension }));
+        await assertFails(dbFor(testEnv, 'owner').collection('users').doc(USERS.owner.uid).set(tombstone()));
+      }
+    });
+
+    it('does not let anyone else delete a profile', async () => {
+      await assertFails(dbFor(testEnv, 'other').collection('users').doc(USERS.owner.uid).delete());
+      await assertFails(dbFor(testEnv, 'admin').collection('users').doc(USERS.owner.uid).delete());
+      await assertFails(dbFor(testEnv, 'other').collection('users').doc(USERS.owner.uid).set(tombstone()));
+    });
+
+    it('stops a deleted account from posting, even with a verified age', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertSucceeds(db.collection('posts').add(validPost()));
+      await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).set({ ...tombstone(), ...verifiedAge() }));
+      await assertFails(db.collection('posts').add(validPost()));
+    });
+
+    it('stops a deleted account from re-creating its profile', async () => {
+      const db = dbFor(testEnv, 'owner');
+      await assertSucceeds(db.collection('users').doc(USERS.owner.uid).set(tombstone()));
+      await assertFails(db.collection('users').doc(USERS.owner.uid).set({ ...baseProfile('owner'), ...verifiedAge() }));
+      await assertFails(dbFor(testEnv, 'admin').collection('users').doc(USERS.owner.uid).update({ accountStatus: 'active' }));
+    });
+  });
+
+  describe('read', () => {
+    beforeEach(async () => {
+      await seed(testEnv, db => db.collection('users').doc(USERS.owner.uid).set(baseProfile('owner')));
+    });
+
+    it('lets owners and user managers read a profile', async () => {
+      await assertSucceeds(dbFor(testEnv, 'owner').collection('users').doc(USERS.owner.uid).get());
+      await assertSucceeds(dbFor(testEnv, 'admin').collection('users').doc(USERS.owner.uid).get());
+    });
+
+    it('hides profiles from other users and anonymous visitors', async () => {
+      await assertFails(dbFor(testEnv, 'other').collection('users').doc(USERS.owner.uid).get());
+      await assertFails(dbFor(testEnv).collection('users').doc(USERS.owner.uid).get());
+    });
+  });
+});
+
+describe('roles/{userId}', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await createTestEnv();
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedRoles(testEnv);
+  });
+
+  function grant(name, uid, role, overrides = {}) {
+    return dbFor(testEnv, name).collection('roles').doc(uid).set({
+      role,
+      permissions: [...RoleManager.ROLES[role].permissions],
+      grantedBy: USERS[name].uid,
+      grantedAt: serverTimestamp(),
+      ...overrides
+    });
+  }
+
+  it('lets users read only their own role', async () => {
+    await assertSucceeds(dbFor(testEnv, 'moderator').collection('roles').doc(USERS.moderator.uid).get());
+    await assertFails(dbFor(testEnv, 'owner').collection('roles').doc(USERS.moderator.uid).get());
+  });
+
+  it('never lets users grant themselves a role', async () => {
+    await assertFails(grant('owner', USERS.owner.uid, 'super_admin'));
+    await assertFails(grant('admin', USERS.admin.uid, 'super_admin'));
+  });
+
+  it('lets admins grant moderator but not admin', async () => {
+    await assertSucceeds(grant('admin', USERS.owner.uid, 'moderator'));
+    await assertFails(grant('admin', USERS.other.uid, 'admin'));
+  });
+
+  it('lets super admins grant admin', async () => {
+    await assertSucceeds(grant('superAdmin', USERS.owner.uid, 'admin'));
+  });
+
+  it('requires the grant to be attributed to the caller', async () => {
+    await assertFails(grant('superAdmin', USERS.owner.uid, 'admin', { grantedBy: USERS.admin.uid }));
+  });
+
+  it('rejects permissions that do not match the role', async () => {
+    await assertFails(grant('admin', USERS.owner.uid, 'moderator', {
+      permissions: ['browse', 'post', 'moderate', 'manage_admins']
+    }));
+  });
+});